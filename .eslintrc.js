@@ -28,6 +28,15 @@ module.exports = {
             'always'
         ]
     },
+    'overrides': [
+        {
+            'files': ['test/**/*.js'],
+            'env': {
+                'node': true,
+                'mocha': true
+            }
+        }
+    ],
     'globals': {
         'module': true,
         'require': true,
@@ -1,20 +1,31 @@
-import SimpliSafe3Accessory from './ss3Accessory';
+import SimpliSafe3Accessory, { CONTROL_POLICIES } from './ss3Accessory';
 
 import {
     EVENT_TYPES,
-    SENSOR_TYPES
+    SENSOR_TYPES,
+    ALARM_EVENT_CATEGORIES
 } from '../simplisafe';
 
 import { AUTH_EVENTS } from '../lib/authManager';
 
 const targetStateMaxRetries = 5;
+const OPEN_SENSOR_CHECKS = ['refuse', 'arm', 'armAndReport'];
 
 class SS3Alarm extends SimpliSafe3Accessory {
 
-    constructor(name, id, log, debug, simplisafe, api) {
-        super(name, id, log, debug, simplisafe, api);
+    constructor(name, id, subId, alarmOptions, log, debug, simplisafe, api) {
+        super(name, id, subId, log, debug, simplisafe, api);
+        this.alarmOptions = alarmOptions || {};
+        // SS3 state armed when HomeKit night mode is selected
+        this.nightMode = ['home', 'away'].includes(this.alarmOptions.nightMode) ? this.alarmOptions.nightMode.toUpperCase() : null;
+        this.nightModeOpenShutters = this.alarmOptions.nightModeOpenShutters || [];
+        this.controlPolicy = this.alarmOptions.controlPolicy || CONTROL_POLICIES.FULL;
+        // what to do when arming with entry sensors open
+        this.openSensorCheck = OPEN_SENSOR_CHECKS.includes(this.alarmOptions.openSensorCheck) ? this.alarmOptions.openSensorCheck : null;
+        this.openEntrySensors = {};
         this.nRetries = 0;
         this.nSocketConnectFailures = 0;
+        this.userTestInProgress = false;
         this.services.push(this.api.hap.Service.SecuritySystem);
 
         this.SS3_TO_HOMEKIT_CURRENT = {
@@ -54,10 +65,19 @@ class SS3Alarm extends SimpliSafe3Accessory {
             this.api.hap.Characteristic.SecuritySystemTargetState.DISARM
         ];
 
+        if (this.nightMode) {
+            this.HOMEKIT_TARGET_TO_SS3[this.api.hap.Characteristic.SecuritySystemTargetState.NIGHT_ARM] = this.nightMode;
+            this.VALID_CURRENT_STATE_VALUES.push(this.api.hap.Characteristic.SecuritySystemCurrentState.NIGHT_ARM);
+            this.VALID_TARGET_STATE_VALUES.push(this.api.hap.Characteristic.SecuritySystemTargetState.NIGHT_ARM);
+        }
+
+        // target states allowed under the arm-only control policy
+        this.ARM_TARGET_STATE_VALUES = this.VALID_TARGET_STATE_VALUES.filter(value => value !== this.api.hap.Characteristic.SecuritySystemTargetState.DISARM);
+
         // SimpliSafe events
         this.startListening();
 
-        this.simplisafe.subscribeToAlarmSystem(this.id, (system) => {
+        this.simplisafe.subscribeToAlarmSystem(this.subId, this.id, (system) => {
             // update power outage status in case event was never received i.e. wifi out
             if (this.service) this.service.updateCharacteristic(this.api.hap.Characteristic.StatusTampered, system.powerOutage ? this.api.hap.Characteristic.StatusTampered.TAMPERED : this.api.hap.Characteristic.StatusTampered.NOT_TAMPERED);
         });
@@ -84,17 +104,29 @@ class SS3Alarm extends SimpliSafe3Accessory {
         this.service.getCharacteristic(this.api.hap.Characteristic.SecuritySystemCurrentState)
             .setProps({ validValues: this.VALID_CURRENT_STATE_VALUES })
             .on('get', async callback => this.getCurrentState(callback));
+        this.applyControlPolicy(this.service.getCharacteristic(this.api.hap.Characteristic.SecuritySystemTargetState), this.VALID_TARGET_STATE_VALUES, this.ARM_TARGET_STATE_VALUES);
         this.service.getCharacteristic(this.api.hap.Characteristic.SecuritySystemTargetState)
-            .setProps({ validValues: this.VALID_TARGET_STATE_VALUES })
             .on('get', async callback => this.getTargetState(callback))
             .on('set', async (state, callback) => this.setTargetState(state, callback));
+        this.service.getCharacteristic(this.api.hap.Characteristic.SecuritySystemAlarmType)
+            .on('get', callback => callback(null, this.service.getCharacteristic(this.api.hap.Characteristic.SecuritySystemAlarmType).value));
+
+        this.notReadyService = this.accessory.getServiceById(this.api.hap.Service.ContactSensor, 'notready');
+        if (this.openSensorCheck) {
+            if (!this.notReadyService) this.notReadyService = this.accessory.addService(this.api.hap.Service.ContactSensor, `${this.name} Not Ready to Arm`, 'notready');
+            this.setBypassedSensors(this.accessory.context.bypassedSensors || []);
+            this.watchEntrySensors();
+        } else if (this.notReadyService) {
+            this.accessory.removeService(this.notReadyService);
+            this.notReadyService = null;
+        }
 
         this.refreshState();
     }
 
     async updateReachability() {
         try {
-            let subscription = await this.simplisafe.getSubscription();
+            let subscription = await this.simplisafe.getSubscription(this.subId);
             let connType = subscription.location.system.connType;
             this.reachable = connType == 'wifi' || connType == 'cell';
             if (this.debug) this.log(`Reachability updated for ${this.name}: ${this.reachable}`);
@@ -116,7 +148,7 @@ class SS3Alarm extends SimpliSafe3Accessory {
 
         try {
             let state = await this.getAlarmState();
-            let homekitState = this.SS3_TO_HOMEKIT_CURRENT[state];
+            let homekitState = this.getHomekitCurrentState(state);
             if (this.debug) this.log(`Current alarm state is: ${homekitState}`);
             callback(null, homekitState);
         } catch (err) {
@@ -136,7 +168,7 @@ class SS3Alarm extends SimpliSafe3Accessory {
 
         try {
             let state = await this.getAlarmState();
-            let homekitState = this.SS3_TO_HOMEKIT_TARGET[state];
+            let homekitState = this.getHomekitTargetState(state);
             if (this.debug) this.log(`Target alarm state is: ${homekitState}`);
             callback(null, homekitState);
         } catch (err) {
@@ -154,10 +186,37 @@ class SS3Alarm extends SimpliSafe3Accessory {
             return;
         }
 
+        if (!this.isControlAllowed(homekitState, this.ARM_TARGET_STATE_VALUES)) {
+            this.log.warn(`Refused to set ${this.name} to ${state}, not allowed by its '${this.controlPolicy}' control policy`);
+            callback(new this.api.hap.HapStatusError(this.api.hap.HAPStatus.INSUFFICIENT_PRIVILEGES));
+            return;
+        }
+
+        if (this.openSensorCheck && state !== 'OFF') {
+            let openSensors = await this.checkOpenEntrySensors();
+            if (openSensors.length > 0) {
+                if (this.openSensorCheck == 'refuse') {
+                    this.log.warn(`Refused to arm ${this.name}, entry sensors open: ${openSensors.join(', ')}`);
+                    callback(new this.api.hap.HapStatusError(this.api.hap.HAPStatus.NOT_ALLOWED_IN_CURRENT_STATE));
+                    return;
+                } else if (this.openSensorCheck == 'armAndReport') {
+                    this.log.warn(`Arming ${this.name} with open entry sensors bypassed: ${openSensors.join(', ')}`);
+                    this.setBypassedSensors(openSensors);
+                } else if (this.debug) {
+                    this.log(`Arming ${this.name} with open entry sensors: ${openSensors.join(', ')}`);
+                }
+            } else {
+                this.setBypassedSensors([]);
+            }
+        }
+
         try {
-            let data = await this.simplisafe.setAlarmState(state);
+            let data = await this.simplisafe.setAlarmState(this.subId, state);
             if (this.debug) this.log(`Updated alarm state: ${JSON.stringify(data)}`);
+            // the camera settings are applied in the background so HomeKit doesn't wait on them
+            this.setNightModeActive(homekitState == this.api.hap.Characteristic.SecuritySystemTargetState.NIGHT_ARM);
             if (data.state == 'OFF') {
+                this.setBypassedSensors([]);
                 this.service.updateCharacteristic(this.api.hap.Characteristic.SecuritySystemCurrentState, this.api.hap.Characteristic.SecuritySystemCurrentState.DISARMED);
             } else if (data.exitDelay && data.exitDelay > 0) {
                 setTimeout(async () => {
@@ -166,6 +225,7 @@ class SS3Alarm extends SimpliSafe3Accessory {
             }
             this.nRetries = 0;
             this.setFault(false);
+            this.updateTargetState(homekitState);
             callback(null);
         } catch (err) {
             if ([409, 504].indexOf(parseInt(err.statusCode)) !== -1 && this.nRetries < targetStateMaxRetries) { // 409 = SettingsInProgress, 504 = GatewayTimeout
@@ -187,47 +247,45 @@ class SS3Alarm extends SimpliSafe3Accessory {
     startListening() {
         this.simplisafe.on(EVENT_TYPES.ALARM_TRIGGER, (data) => {
             if (!this._validateEvent(EVENT_TYPES.ALARM_TRIGGER, data)) return;
+            this.userTestInProgress = false;
+            this.setLastAlarm(data);
+            this.service.updateCharacteristic(this.api.hap.Characteristic.SecuritySystemAlarmType, 1); // HomeKit only defines 0 = no alarm, 1 = unknown alarm type
             this.service.updateCharacteristic(this.api.hap.Characteristic.SecuritySystemCurrentState, this.api.hap.Characteristic.SecuritySystemCurrentState.ALARM_TRIGGERED);
         });
 
         this.simplisafe.on(EVENT_TYPES.ALARM_DISARM, (data) => {
             if (!this._validateEvent(EVENT_TYPES.ALARM_DISARM, data)) return;
-            this.service.updateCharacteristic(this.api.hap.Characteristic.SecuritySystemTargetState, this.api.hap.Characteristic.SecuritySystemTargetState.DISARM);
-            this.service.updateCharacteristic(this.api.hap.Characteristic.SecuritySystemCurrentState, this.api.hap.Characteristic.SecuritySystemCurrentState.DISARMED);
+            this.updateStateFromEvent('OFF');
         });
 
         this.simplisafe.on(EVENT_TYPES.ALARM_CANCEL, (data) => {
             if (!this._validateEvent(EVENT_TYPES.ALARM_CANCEL, data)) return;
-            this.service.updateCharacteristic(this.api.hap.Characteristic.SecuritySystemTargetState, this.api.hap.Characteristic.SecuritySystemTargetState.DISARM);
-            this.service.updateCharacteristic(this.api.hap.Characteristic.SecuritySystemCurrentState, this.api.hap.Characteristic.SecuritySystemCurrentState.DISARMED);
+            this.updateStateFromEvent('OFF');
         });
 
         this.simplisafe.on(EVENT_TYPES.HOME_ARM, (data) => {
             if (!this._validateEvent(EVENT_TYPES.HOME_ARM, data)) return;
-            this.service.updateCharacteristic(this.api.hap.Characteristic.SecuritySystemTargetState, this.api.hap.Characteristic.SecuritySystemTargetState.STAY_ARM);
-            this.service.updateCharacteristic(this.api.hap.Characteristic.SecuritySystemCurrentState, this.api.hap.Characteristic.SecuritySystemCurrentState.STAY_ARM);
+            this.updateStateFromEvent('HOME');
         });
 
         this.simplisafe.on(EVENT_TYPES.ALARM_OFF, (data) => {
             if (!this._validateEvent(EVENT_TYPES.ALARM_OFF, data)) return;
-            this.service.updateCharacteristic(this.api.hap.Characteristic.SecuritySystemTargetState, this.api.hap.Characteristic.SecuritySystemTargetState.DISARM);
-            this.service.updateCharacteristic(this.api.hap.Characteristic.SecuritySystemCurrentState, this.api.hap.Characteristic.SecuritySystemCurrentState.DISARMED);
+            this.updateStateFromEvent('OFF');
         });
 
         this.simplisafe.on(EVENT_TYPES.AWAY_ARM, (data) => {
             if (!this._validateEvent(EVENT_TYPES.AWAY_ARM, data)) return;
-            this.service.updateCharacteristic(this.api.hap.Characteristic.SecuritySystemTargetState, this.api.hap.Characteristic.SecuritySystemTargetState.AWAY_ARM);
-            this.service.updateCharacteristic(this.api.hap.Characteristic.SecuritySystemCurrentState, this.api.hap.Characteristic.SecuritySystemCurrentState.AWAY_ARM);
+            this.updateStateFromEvent('AWAY');
         });
 
         this.simplisafe.on(EVENT_TYPES.HOME_EXIT_DELAY, (data) => {
             if (!this._validateEvent(EVENT_TYPES.HOME_EXIT_DELAY, data)) return;
-            this.service.updateCharacteristic(this.api.hap.Characteristic.SecuritySystemTargetState, this.api.hap.Characteristic.SecuritySystemTargetState.STAY_ARM);
+            this.updateStateFromEvent('HOME_COUNT');
         });
 
         this.simplisafe.on(EVENT_TYPES.AWAY_EXIT_DELAY, (data) => {
             if (!this._validateEvent(EVENT_TYPES.AWAY_EXIT_DELAY, data)) return;
-            this.service.updateCharacteristic(this.api.hap.Characteristic.SecuritySystemTargetState, this.api.hap.Characteristic.SecuritySystemTargetState.AWAY_ARM);
+            this.updateStateFromEvent('AWAY_COUNT');
         });
 
         this.simplisafe.on(EVENT_TYPES.POWER_OUTAGE, (data) => {
@@ -245,23 +303,165 @@ class SS3Alarm extends SimpliSafe3Accessory {
         this.simplisafe.on(EVENT_TYPES.USER_INITIATED_TEST, (data) => {
             if (!this._validateEvent(EVENT_TYPES.USER_INITIATED_TEST, data)) return;
             this.log.warn(`Detected user-initiated test, not a true alarm.`);
+            // the system reports itself as alarming while the sirens are tested, don't let HomeKit believe it
+            this.userTestInProgress = true;
+            this.setLastAlarm(data, true);
         });
     }
 
+    updateStateFromEvent(state) {
+        this.handleNightModeStateChange(state);
+        if (state == 'OFF') this.setBypassedSensors([]);
+        this.clearAlarm();
+        this.updateTargetState(this.getHomekitTargetState(state));
+        if (!state.endsWith('_COUNT')) { // current state does not change until the exit delay expires
+            this.service.updateCharacteristic(this.api.hap.Characteristic.SecuritySystemCurrentState, this.getHomekitCurrentState(state));
+        }
+    }
+
+    async watchEntrySensors() {
+        try {
+            let sensors = await this.simplisafe.getSensors(this.subId);
+            for (let sensor of sensors.filter(sen => sen.type == SENSOR_TYPES.ENTRY_SENSOR)) {
+                this.updateEntrySensor(sensor);
+                this.simplisafe.subscribeToSensor(this.subId, sensor.serial, sen => this.updateEntrySensor(sen));
+            }
+        } catch (err) {
+            this.log.error(`An error occurred while getting entry sensors for ${this.name}:`, err);
+        }
+    }
+
+    updateEntrySensor(sensor) {
+        if (!sensor.status) return;
+        if (sensor.status.triggered) {
+            this.openEntrySensors[sensor.serial] = sensor.name || sensor.serial;
+        } else {
+            delete this.openEntrySensors[sensor.serial];
+        }
+
+        let ready = Object.keys(this.openEntrySensors).length == 0;
+        this.notReadyService.updateCharacteristic(this.api.hap.Characteristic.ContactSensorState, ready ? this.api.hap.Characteristic.ContactSensorState.CONTACT_DETECTED : this.api.hap.Characteristic.ContactSensorState.CONTACT_NOT_DETECTED);
+    }
+
+    /**
+     * Remembers the entry sensors open when armed, shown as a fault of the Not Ready to Arm sensor until disarmed
+     */
+    setBypassedSensors(sensors) {
+        this.accessory.context.bypassedSensors = sensors;
+        if (!this.notReadyService) return;
+        this.notReadyService.updateCharacteristic(this.api.hap.Characteristic.StatusFault, sensors.length > 0 ? this.api.hap.Characteristic.StatusFault.GENERAL_FAULT : this.api.hap.Characteristic.StatusFault.NO_FAULT);
+    }
+
+    /**
+     * Names of the entry sensors open according to the latest sensor data
+     */
+    async checkOpenEntrySensors() {
+        try {
+            let sensors = await this.simplisafe.getSensors(this.subId);
+            for (let sensor of sensors.filter(sen => sen.type == SENSOR_TYPES.ENTRY_SENSOR)) {
+                this.updateEntrySensor(sensor);
+            }
+        } catch (err) {
+            // don't prevent arming because the check itself failed
+            this.log.error(`An error occurred while checking for open entry sensors on ${this.name}:`, err);
+        }
+        return Object.values(this.openEntrySensors);
+    }
+
+    updateTargetState(homekitState) {
+        // the new state has to be valid before it can be set
+        let characteristic = this.service.getCharacteristic(this.api.hap.Characteristic.SecuritySystemTargetState);
+        this.applyControlPolicy(characteristic, this.VALID_TARGET_STATE_VALUES, this.ARM_TARGET_STATE_VALUES, homekitState);
+        characteristic.updateValue(homekitState);
+    }
+
+    setLastAlarm(data, test = false) {
+        if (!this.accessory) return;
+        this.accessory.context.lastAlarm = {
+            category: ALARM_EVENT_CATEGORIES[data.eventCid] || null,
+            eventCid: data.eventCid,
+            sensorSerial: data.sensorSerial,
+            sensorName: data.sensorName,
+            timestamp: data.eventTimestamp || Math.floor(Date.now() / 1000),
+            test: test
+        };
+    }
+
+    clearAlarm() {
+        this.userTestInProgress = false;
+        this.service.updateCharacteristic(this.api.hap.Characteristic.SecuritySystemAlarmType, 0);
+    }
+
+    isNightModeActive() {
+        return !!(this.nightMode && this.accessory && this.accessory.context.nightModeActive);
+    }
+
+    getHomekitCurrentState(state) {
+        if (this.isNightModeActive() && state == this.nightMode) return this.api.hap.Characteristic.SecuritySystemCurrentState.NIGHT_ARM;
+        return this.SS3_TO_HOMEKIT_CURRENT[state];
+    }
+
+    getHomekitTargetState(state) {
+        if (this.isNightModeActive() && (state == this.nightMode || state == `${this.nightMode}_COUNT`)) return this.api.hap.Characteristic.SecuritySystemTargetState.NIGHT_ARM;
+        return this.SS3_TO_HOMEKIT_TARGET[state];
+    }
+
+    handleNightModeStateChange(state) {
+        // night mode ends as soon as SimpliSafe reports any other mode e.g. disarmed from the keypad
+        if (this.isNightModeActive() && ![this.nightMode, `${this.nightMode}_COUNT`, 'ALARM', 'ALARM_COUNT'].includes(state)) {
+            this.setNightModeActive(false);
+        }
+    }
+
+    setNightModeActive(active) {
+        if (!this.nightMode || !this.accessory || this.isNightModeActive() == active) return this.nightModeUpdate;
+        this.accessory.context.nightModeActive = active;
+        if (this.debug) this.log(`Night mode ${active ? 'activated' : 'deactivated'} for ${this.name}`);
+        // one at a time, so leaving night mode restores the shutters saved when entering it
+        this.nightModeUpdate = (this.nightModeUpdate || Promise.resolve()).then(() => this.applyNightModeProfile(active));
+        return this.nightModeUpdate;
+    }
+
+    async applyNightModeProfile(active) {
+        if (this.nightModeOpenShutters.length == 0) return;
+
+        let shutterSetting = this.nightMode == 'HOME' ? 'shutterHome' : 'shutterAway';
+        let savedShutters = this.accessory.context.nightModeSavedShutters || {};
+        try {
+            let cameras = await this.simplisafe.getCameras(this.subId);
+            for (let camera of cameras.filter(cam => this.nightModeOpenShutters.includes(cam.uuid))) {
+                if (active) {
+                    savedShutters[camera.uuid] = camera.cameraSettings ? camera.cameraSettings[shutterSetting] : null;
+                    await this.simplisafe.setCameraSettings(this.subId, camera.uuid, { [shutterSetting]: 'open' });
+                } else if (savedShutters[camera.uuid]) {
+                    await this.simplisafe.setCameraSettings(this.subId, camera.uuid, { [shutterSetting]: savedShutters[camera.uuid] });
+                    delete savedShutters[camera.uuid];
+                }
+            }
+        } catch (err) {
+            this.log.error(`An error occurred while applying night mode camera settings for ${this.name}:`, err);
+        }
+        this.accessory.context.nightModeSavedShutters = savedShutters;
+    }
+
     _validateEvent(event, data) {
         if (this.debug) this.log('Alarm received event:', event);
-        if (event == EVENT_TYPES.ALARM_TRIGGER) return !!this.service; // just make sure this.service
-        else return this.service && data && (data.sensorType == SENSOR_TYPES.APP || data.sensorType == SENSOR_TYPES.KEYPAD || data.sensorType == SENSOR_TYPES.KEYCHAIN || data.sensorType == SENSOR_TYPES.DOORLOCK);
+        if (!data || data.sid != this.subId) return false; // event is for another location
+        if (event == EVENT_TYPES.ALARM_TRIGGER || event == EVENT_TYPES.USER_INITIATED_TEST) return !!this.service; // just make sure this.service
+        else return this.service && (data.sensorType == SENSOR_TYPES.APP || data.sensorType == SENSOR_TYPES.KEYPAD || data.sensorType == SENSOR_TYPES.KEYCHAIN || data.sensorType == SENSOR_TYPES.DOORLOCK);
     }
 
     async refreshState() {
         if (this.debug) this.log('Refreshing alarm state');
         try {
             let state = await this.getAlarmState();
-            let currentHomekitState = this.SS3_TO_HOMEKIT_CURRENT[state];
-            let targetHomekitState = this.SS3_TO_HOMEKIT_TARGET[state];
+            this.handleNightModeStateChange(state);
+            if (state == 'OFF') this.setBypassedSensors([]);
+            this.service.updateCharacteristic(this.api.hap.Characteristic.SecuritySystemAlarmType, state == 'ALARM' ? 1 : 0);
+            let currentHomekitState = this.getHomekitCurrentState(state);
+            let targetHomekitState = this.getHomekitTargetState(state);
             this.service.updateCharacteristic(this.api.hap.Characteristic.SecuritySystemCurrentState, currentHomekitState);
-            this.service.updateCharacteristic(this.api.hap.Characteristic.SecuritySystemTargetState, targetHomekitState);
+            this.updateTargetState(targetHomekitState);
             if (this.debug) this.log(`Updated current state for ${this.name}: ${state}`);
             this.setFault(false);
         } catch (err) {
@@ -272,11 +472,13 @@ class SS3Alarm extends SimpliSafe3Accessory {
     }
 
     async getAlarmState(forceRefresh = false, retry = false) {
-        let system = await this.simplisafe.getAlarmSystem(forceRefresh);
+        let system = await this.simplisafe.getAlarmSystem(this.subId, forceRefresh);
         this.setFault(false); // if above succeeded auth is working
 
-        if (system.isAlarming) {
+        if (system.isAlarming && !this.userTestInProgress) {
             return 'ALARM';
+        } else if (!system.isAlarming) {
+            this.userTestInProgress = false;
         }
 
         let alarmState = system.alarmState;
@@ -0,0 +1,173 @@
+import SimpliSafe3Accessory from './ss3Accessory';
+import {
+    EVENT_TYPES,
+    ALARM_CATEGORIES,
+    ALARM_EVENT_CATEGORIES
+} from '../simplisafe';
+
+class SS3AlarmCategorySensors extends SimpliSafe3Accessory {
+
+    constructor(name, id, subId, log, debug, simplisafe, api) {
+        super(name, id, subId, log, debug, simplisafe, api);
+        // the alarm accessory already uses the system serial for its uuid
+        this.uuid = this.api.hap.uuid.generate(`${id}:alarmcategories`);
+        this.reachable = true;
+
+        // HomeKit sensor type and the value it reports while that kind of alarm is active
+        this.CATEGORY_SENSORS = {
+            [ALARM_CATEGORIES.FIRE]: {
+                name: 'Fire Alarm',
+                service: this.api.hap.Service.SmokeSensor,
+                characteristic: this.api.hap.Characteristic.SmokeDetected,
+                triggered: this.api.hap.Characteristic.SmokeDetected.SMOKE_DETECTED,
+                cleared: this.api.hap.Characteristic.SmokeDetected.SMOKE_NOT_DETECTED
+            },
+            [ALARM_CATEGORIES.CO]: {
+                name: 'CO Alarm',
+                service: this.api.hap.Service.CarbonMonoxideSensor,
+                characteristic: this.api.hap.Characteristic.CarbonMonoxideDetected,
+                triggered: this.api.hap.Characteristic.CarbonMonoxideDetected.CO_LEVELS_ABNORMAL,
+                cleared: this.api.hap.Characteristic.CarbonMonoxideDetected.CO_LEVELS_NORMAL
+            },
+            [ALARM_CATEGORIES.WATER]: {
+                name: 'Water Alarm',
+                service: this.api.hap.Service.LeakSensor,
+                characteristic: this.api.hap.Characteristic.LeakDetected,
+                triggered: this.api.hap.Characteristic.LeakDetected.LEAK_DETECTED,
+                cleared: this.api.hap.Characteristic.LeakDetected.LEAK_NOT_DETECTED
+            },
+            [ALARM_CATEGORIES.FREEZE]: {
+                name: 'Freeze Alarm',
+                service: this.api.hap.Service.ContactSensor,
+                characteristic: this.api.hap.Characteristic.ContactSensorState,
+                triggered: this.api.hap.Characteristic.ContactSensorState.CONTACT_NOT_DETECTED,
+                cleared: this.api.hap.Characteristic.ContactSensorState.CONTACT_DETECTED
+            },
+            [ALARM_CATEGORIES.INTRUSION]: {
+                name: 'Intrusion Alarm',
+                service: this.api.hap.Service.ContactSensor,
+                characteristic: this.api.hap.Characteristic.ContactSensorState,
+                triggered: this.api.hap.Characteristic.ContactSensorState.CONTACT_NOT_DETECTED,
+                cleared: this.api.hap.Characteristic.ContactSensorState.CONTACT_DETECTED
+            },
+            [ALARM_CATEGORIES.PANIC]: {
+                name: 'Panic Alarm',
+                service: this.api.hap.Service.ContactSensor,
+                characteristic: this.api.hap.Characteristic.ContactSensorState,
+                triggered: this.api.hap.Characteristic.ContactSensorState.CONTACT_NOT_DETECTED,
+                cleared: this.api.hap.Characteristic.ContactSensorState.CONTACT_DETECTED
+            }
+        };
+
+        this.startListening();
+    }
+
+    setupServices(accessory) {
+        for (let [category, sensor] of Object.entries(this.CATEGORY_SENSORS)) {
+            accessory.addService(sensor.service, `${this.name} ${sensor.name}`, category);
+        }
+    }
+
+    setAccessory(accessory) {
+        super.setAccessory(accessory);
+
+        this.accessory.getService(this.api.hap.Service.AccessoryInformation)
+            .setCharacteristic(this.api.hap.Characteristic.Manufacturer, 'SimpliSafe')
+            .setCharacteristic(this.api.hap.Characteristic.Model, 'Alarm Sensors')
+            .setCharacteristic(this.api.hap.Characteristic.SerialNumber, this.id);
+
+        this.categoryServices = {};
+        for (let [category, sensor] of Object.entries(this.CATEGORY_SENSORS)) {
+            let service = this.accessory.getServiceById(sensor.service, category);
+            service.getCharacteristic(sensor.characteristic)
+                .on('get', callback => this.getState(callback, category));
+            this.categoryServices[category] = service;
+        }
+
+        // latched alarms survive a restart as long as SimpliSafe is still alarming
+        this.accessory.context.activeCategories = this.accessory.context.activeCategories || [];
+        this.updateCategoryStates();
+
+        this.refreshState();
+    }
+
+    async updateReachability() {
+        try {
+            let system = await this.simplisafe.getAlarmSystem(this.subId);
+            this.reachable = system.connType == 'wifi' || system.connType == 'cell';
+            if (this.debug) this.log(`Reachability updated for ${this.name}: ${this.reachable}`);
+            return this.reachable;
+        } catch (err) {
+            this.log.error(`An error occurred while updating reachability for ${this.name}`);
+            this.log.error(err);
+        }
+    }
+
+    getState(callback, category) {
+        if (this.simplisafe.isBlocked && Date.now() < this.simplisafe.nextAttempt) {
+            return callback(new Error('Request blocked (rate limited)'));
+        }
+
+        // Alarm categories are only known from real time events, so no need to ping the API
+        let characteristic = this.categoryServices[category].getCharacteristic(this.CATEGORY_SENSORS[category].characteristic);
+        return callback(null, characteristic.value);
+    }
+
+    startListening() {
+        this.simplisafe.on(EVENT_TYPES.ALARM_TRIGGER, (data) => {
+            if (!this._validateEvent(EVENT_TYPES.ALARM_TRIGGER, data)) return;
+
+            let category = ALARM_EVENT_CATEGORIES[data.eventCid];
+            if (!category) {
+                this.log.warn(`Alarm event ${data.eventCid} does not match a known alarm category`);
+                return;
+            }
+            if (this.accessory.context.activeCategories.includes(category)) return;
+
+            this.accessory.context.activeCategories.push(category);
+            this.updateCategoryStates();
+        });
+
+        // alarms stay latched until the system is disarmed or the alarm is cleared
+        for (let event of [EVENT_TYPES.ALARM_OFF, EVENT_TYPES.ALARM_DISARM, EVENT_TYPES.ALARM_CANCEL]) {
+            this.simplisafe.on(event, (data) => {
+                if (!this._validateEvent(event, data)) return;
+                this.clearCategories();
+            });
+        }
+    }
+
+    _validateEvent(event, data) {
+        let valid = this.categoryServices && data && data.sid == this.subId;
+        if (this.debug && valid) this.log(`Alarm sensors '${this.name}' received event: ${event}`);
+        return valid;
+    }
+
+    clearCategories() {
+        this.accessory.context.activeCategories = [];
+        this.updateCategoryStates();
+    }
+
+    updateCategoryStates() {
+        for (let [category, sensor] of Object.entries(this.CATEGORY_SENSORS)) {
+            let active = this.accessory.context.activeCategories.includes(category);
+            this.categoryServices[category].updateCharacteristic(sensor.characteristic, active ? sensor.triggered : sensor.cleared);
+        }
+    }
+
+    async refreshState() {
+        if (this.debug) this.log('Refreshing alarm sensors state');
+        try {
+            let system = await this.simplisafe.getAlarmSystem(this.subId);
+            if (!system.isAlarming && this.accessory.context.activeCategories.length > 0) {
+                this.clearCategories();
+            }
+        } catch (err) {
+            this.log.error('An error occurred while refreshing state');
+            this.log.error(err);
+        }
+    }
+
+}
+
+export default SS3AlarmCategorySensors;
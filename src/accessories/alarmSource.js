@@ -0,0 +1,112 @@
+import SimpliSafe3Accessory from './ss3Accessory';
+import { EVENT_TYPES } from '../simplisafe';
+
+class SS3AlarmSource extends SimpliSafe3Accessory {
+
+    constructor(name, id, subId, log, debug, simplisafe, api) {
+        super(name, id, subId, log, debug, simplisafe, api);
+        // the alarm accessory already uses the system serial for its uuid
+        this.uuid = this.api.hap.uuid.generate(`${id}:alarmsource`);
+        this.reachable = true;
+        this.services.push(this.api.hap.Service.ContactSensor);
+
+        this.startListening();
+    }
+
+    setAccessory(accessory) {
+        super.setAccessory(accessory);
+
+        this.accessory.getService(this.api.hap.Service.AccessoryInformation)
+            .setCharacteristic(this.api.hap.Characteristic.Manufacturer, 'SimpliSafe')
+            .setCharacteristic(this.api.hap.Characteristic.Model, 'Alarm Source')
+            .setCharacteristic(this.api.hap.Characteristic.SerialNumber, this.id);
+
+        this.service = this.accessory.getService(this.api.hap.Service.ContactSensor);
+        this.service.addOptionalCharacteristic(this.api.hap.Characteristic.ConfiguredName);
+        this.service.getCharacteristic(this.api.hap.Characteristic.ContactSensorState)
+            .on('get', callback => this.getState(callback));
+
+        // restore the last source after a restart, the alarm state itself is refreshed below
+        if (this.accessory.context.lastSource) this.updateSourceName(this.accessory.context.lastSource);
+
+        this.refreshState();
+    }
+
+    async updateReachability() {
+        try {
+            let system = await this.simplisafe.getAlarmSystem(this.subId);
+            this.reachable = system.connType == 'wifi' || system.connType == 'cell';
+            if (this.debug) this.log(`Reachability updated for ${this.name}: ${this.reachable}`);
+            return this.reachable;
+        } catch (err) {
+            this.log.error(`An error occurred while updating reachability for ${this.name}`);
+            this.log.error(err);
+        }
+    }
+
+    getState(callback) {
+        if (this.simplisafe.isBlocked && Date.now() < this.simplisafe.nextAttempt) {
+            return callback(new Error('Request blocked (rate limited)'));
+        }
+
+        // Alarm source is only known from real time events, so no need to ping the API
+        let characteristic = this.service.getCharacteristic(this.api.hap.Characteristic.ContactSensorState);
+        return callback(null, characteristic.value);
+    }
+
+    startListening() {
+        this.simplisafe.on(EVENT_TYPES.ALARM_TRIGGER, (data) => {
+            if (!this._validateEvent(EVENT_TYPES.ALARM_TRIGGER, data)) return;
+            this.handleAlarmTrigger(data);
+        });
+
+        for (let event of [EVENT_TYPES.ALARM_OFF, EVENT_TYPES.ALARM_DISARM, EVENT_TYPES.ALARM_CANCEL]) {
+            this.simplisafe.on(event, (data) => {
+                if (!this._validateEvent(event, data)) return;
+                this.service.updateCharacteristic(this.api.hap.Characteristic.ContactSensorState, this.api.hap.Characteristic.ContactSensorState.CONTACT_DETECTED);
+            });
+        }
+    }
+
+    _validateEvent(event, data) {
+        let valid = this.service && data && data.sid == this.subId;
+        if (this.debug && valid) this.log(`Alarm source '${this.name}' received event: ${event}`);
+        return valid;
+    }
+
+    handleAlarmTrigger(data) {
+        let source = {
+            sensorSerial: data.sensorSerial,
+            sensorName: data.sensorName || (data.sensorSerial ? `Sensor ${data.sensorSerial}` : 'Unknown'),
+            sensorType: data.sensorType,
+            eventCid: data.eventCid,
+            eventTimestamp: data.eventTimestamp
+        };
+        this.log.warn(`Alarm triggered by '${source.sensorName}'${source.sensorSerial ? ` (${source.sensorSerial})` : ''}, event ${source.eventCid}`);
+
+        this.accessory.context.lastSource = source;
+        this.updateSourceName(source);
+        this.service.updateCharacteristic(this.api.hap.Characteristic.ContactSensorState, this.api.hap.Characteristic.ContactSensorState.CONTACT_NOT_DETECTED);
+    }
+
+    updateSourceName(source) {
+        // the sensor name is what shows up in HomeKit notifications for this accessory
+        this.service.updateCharacteristic(this.api.hap.Characteristic.ConfiguredName, `${this.name}: ${source.sensorName}`);
+    }
+
+    async refreshState() {
+        if (this.debug) this.log('Refreshing alarm source state');
+        try {
+            let system = await this.simplisafe.getAlarmSystem(this.subId);
+            if (!system.isAlarming) {
+                this.service.updateCharacteristic(this.api.hap.Characteristic.ContactSensorState, this.api.hap.Characteristic.ContactSensorState.CONTACT_DETECTED);
+            }
+        } catch (err) {
+            this.log.error('An error occurred while refreshing state');
+            this.log.error(err);
+        }
+    }
+
+}
+
+export default SS3AlarmSource;
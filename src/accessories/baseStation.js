@@ -0,0 +1,136 @@
+import SimpliSafe3Accessory from './ss3Accessory';
+import { EVENT_TYPES } from '../simplisafe';
+
+class SS3BaseStation extends SimpliSafe3Accessory {
+
+    constructor(name, id, subId, log, debug, simplisafe, api) {
+        super(name, id, subId, log, debug, simplisafe, api);
+        // the alarm accessory already uses the system serial for its uuid
+        this.uuid = this.api.hap.uuid.generate(`${id}:basestation`);
+        this.reachable = true;
+        this.wifiLost = false;
+
+        this.startListening();
+    }
+
+    setupServices(accessory) {
+        accessory.addService(this.api.hap.Service.Battery, `${this.name} Power`);
+        accessory.addService(this.api.hap.Service.ContactSensor, `${this.name} Wi-Fi`, 'wifi');
+    }
+
+    setAccessory(accessory) {
+        super.setAccessory(accessory);
+
+        this.accessory.getService(this.api.hap.Service.AccessoryInformation)
+            .setCharacteristic(this.api.hap.Characteristic.Manufacturer, 'SimpliSafe')
+            .setCharacteristic(this.api.hap.Characteristic.Model, 'Base Station')
+            .setCharacteristic(this.api.hap.Characteristic.SerialNumber, this.id);
+
+        this.powerService = this.accessory.getService(this.api.hap.Service.Battery);
+        this.powerService.getCharacteristic(this.api.hap.Characteristic.ChargingState)
+            .on('get', callback => this.getState(callback, this.powerService, this.api.hap.Characteristic.ChargingState));
+        this.powerService.getCharacteristic(this.api.hap.Characteristic.StatusLowBattery)
+            .on('get', callback => this.getState(callback, this.powerService, this.api.hap.Characteristic.StatusLowBattery));
+
+        this.wifiService = this.accessory.getServiceById(this.api.hap.Service.ContactSensor, 'wifi');
+        this.wifiService.getCharacteristic(this.api.hap.Characteristic.ContactSensorState)
+            .on('get', callback => this.getState(callback, this.wifiService, this.api.hap.Characteristic.ContactSensorState));
+        this.wifiService.getCharacteristic(this.api.hap.Characteristic.StatusFault)
+            .on('get', callback => this.getState(callback, this.wifiService, this.api.hap.Characteristic.StatusFault));
+
+        this.refreshState();
+    }
+
+    async updateReachability() {
+        try {
+            let system = await this.simplisafe.getAlarmSystem(this.subId);
+            this.reachable = system.connType == 'wifi' || system.connType == 'cell';
+            if (this.debug) this.log(`Reachability updated for ${this.name}: ${this.reachable}`);
+            return this.reachable;
+        } catch (err) {
+            this.log.error(`An error occurred while updating reachability for ${this.name}`);
+            this.log.error(err);
+        }
+    }
+
+    getState(callback, service, characteristicType) {
+        if (this.simplisafe.isBlocked && Date.now() < this.simplisafe.nextAttempt) {
+            return callback(new Error('Request blocked (rate limited)'));
+        }
+
+        let characteristic = service.getCharacteristic(characteristicType);
+        return callback(null, characteristic.value);
+    }
+
+    startListening() {
+        this.simplisafe.on(EVENT_TYPES.POWER_OUTAGE, (data) => {
+            if (!this._validateEvent(EVENT_TYPES.POWER_OUTAGE, data)) return;
+            this.updatePowerState(true);
+        });
+
+        this.simplisafe.on(EVENT_TYPES.POWER_RESTORED, (data) => {
+            if (!this._validateEvent(EVENT_TYPES.POWER_RESTORED, data)) return;
+            this.updatePowerState(false);
+        });
+
+        this.simplisafe.on(EVENT_TYPES.WIFI_LOST, (data) => {
+            if (!this._validateEvent(EVENT_TYPES.WIFI_LOST, data)) return;
+            this.wifiLost = true;
+            this.updateConnectionState('cell');
+        });
+
+        this.simplisafe.on(EVENT_TYPES.WIFI_RESTORED, (data) => {
+            if (!this._validateEvent(EVENT_TYPES.WIFI_RESTORED, data)) return;
+            this.wifiLost = false;
+            this.updateConnectionState('wifi');
+        });
+
+        this.simplisafe.subscribeToAlarmSystem(this.subId, this.id, (system) => {
+            if (this.powerService) this.updateSystemState(system);
+        });
+    }
+
+    _validateEvent(event, data) {
+        let valid = this.powerService && data && data.sid == this.subId;
+        if (this.debug && valid) this.log(`Base station '${this.name}' received event: ${event}`);
+        return valid;
+    }
+
+    updatePowerState(powerOutage) {
+        // running on the backup battery is the only battery state reported by SimpliSafe
+        this.powerService.updateCharacteristic(this.api.hap.Characteristic.ChargingState, powerOutage ? this.api.hap.Characteristic.ChargingState.NOT_CHARGING : this.api.hap.Characteristic.ChargingState.CHARGING);
+        this.powerService.updateCharacteristic(this.api.hap.Characteristic.StatusLowBattery, powerOutage ? this.api.hap.Characteristic.StatusLowBattery.BATTERY_LEVEL_LOW : this.api.hap.Characteristic.StatusLowBattery.BATTERY_LEVEL_NORMAL);
+    }
+
+    updateConnectionState(connType) {
+        // contact is "open" whenever the base station is not using Wi-Fi, e.g. fallen back to cellular
+        this.wifiService.updateCharacteristic(this.api.hap.Characteristic.ContactSensorState, connType == 'wifi' ? this.api.hap.Characteristic.ContactSensorState.CONTACT_DETECTED : this.api.hap.Characteristic.ContactSensorState.CONTACT_NOT_DETECTED);
+        this.wifiService.updateCharacteristic(this.api.hap.Characteristic.StatusFault, this.wifiLost ? this.api.hap.Characteristic.StatusFault.GENERAL_FAULT : this.api.hap.Characteristic.StatusFault.NO_FAULT);
+    }
+
+    updateSystemState(system) {
+        this.updatePowerState(!!system.powerOutage);
+        if (system.connType == 'wifi') this.wifiLost = false;
+        this.updateConnectionState(system.connType);
+
+        if (system.firmwareVersion) {
+            this.accessory.getService(this.api.hap.Service.AccessoryInformation)
+                .updateCharacteristic(this.api.hap.Characteristic.FirmwareRevision, system.firmwareVersion);
+        }
+    }
+
+    async refreshState() {
+        if (this.debug) this.log('Refreshing base station state');
+        try {
+            let system = await this.simplisafe.getAlarmSystem(this.subId);
+            this.updateSystemState(system);
+            if (this.debug) this.log(`Updated power outage, connection type for ${this.name}: ${system.powerOutage}, ${system.connType}`);
+        } catch (err) {
+            this.log.error('An error occurred while refreshing state');
+            this.log.error(err);
+        }
+    }
+
+}
+
+export default SS3BaseStation;
@@ -5,13 +5,24 @@ import SimpliSafe3Accessory from './ss3Accessory';
 import { EVENT_TYPES } from '../simplisafe';
 
 import StreamingDelegate from '../lib/streamingDelegate';
+import RecordingDelegate from '../lib/recordingDelegate';
+import ClipRecorder, { getClipsDirectory } from '../lib/clipRecorder';
+import SnapshotCache from '../lib/snapshotCache';
+
+// Camera setting holding the privacy shutter position for each alarm state
+const SHUTTER_SETTINGS = {
+    'OFF': 'shutterOff',
+    'HOME': 'shutterHome',
+    'AWAY': 'shutterAway'
+};
 
 class SS3Camera extends SimpliSafe3Accessory {
-    constructor(name, id, cameraDetails, cameraOptions, log, debug, simplisafe, authManager, api) {
-        super(name, id, log, debug, simplisafe, api);
+    constructor(name, id, subId, cameraDetails, cameraOptions, log, debug, simplisafe, authManager, ffmpegSupervisor, api) {
+        super(name, id, subId, log, debug, simplisafe, api);
         this.cameraDetails = cameraDetails;
         this.cameraOptions = cameraOptions;
         this.authManager = authManager;
+        this.ffmpegSupervisor = ffmpegSupervisor;
         this.reachable = true;
         this.nSocketConnectFailures = 0;
 
@@ -21,10 +32,33 @@ class SS3Camera extends SimpliSafe3Accessory {
             this.ffmpegPath = this.cameraOptions.ffmpegPath;
         }
 
+        let recordingOptions = this.cameraOptions && this.cameraOptions.recording && this.cameraOptions.recording.find(r => r.uuid == this.id);
+        if (recordingOptions && recordingOptions.enabled !== false && !this.isUnsupported()) {
+            if (this.api.hap.MediaContainerType) {
+                this.recordingDelegate = new RecordingDelegate(this, recordingOptions);
+            } else {
+                this.log.warn(`HomeKit Secure Video for camera '${this.name}' requires Homebridge 1.4.0 or newer`);
+            }
+        }
+
+        let clipsOptions = this.cameraOptions && this.cameraOptions.clips;
+        let clipOptions = clipsOptions && clipsOptions.cameras && clipsOptions.cameras.find(c => c.uuid == this.id);
+        if (clipOptions && !this.isUnsupported()) {
+            this.clipRecorder = new ClipRecorder(this, clipOptions, getClipsDirectory(this.api.user.storagePath(), clipsOptions.directory, this.log));
+        }
+
+        this.snapshotCache = new SnapshotCache(this, this.cameraOptions ? this.cameraOptions.snapshotTtl : undefined);
+
         const delegate = new StreamingDelegate(this);
         this.controller = delegate.controller;
 
         this.startListening();
+
+        // camera settings (e.g. privacy shutter) can be changed in the SimpliSafe app at any time
+        this.simplisafe.subscribeToAlarmSystem(this.subId, this.id, (system) => {
+            let cameraDetails = system.cameras && system.cameras.find(cam => cam.uuid === this.id);
+            if (cameraDetails) this.updateCameraDetails(cameraDetails, system.alarmState);
+        });
     }
 
     setAccessory(accessory) {
@@ -51,6 +85,18 @@ class SS3Camera extends SimpliSafe3Accessory {
                 .getCharacteristic(this.api.hap.Characteristic.ProgrammableSwitchEvent)
                 .on('get', callback => this.getState(callback, this.accessory.getService(this.api.hap.Service.Doorbell), this.api.hap.Characteristic.ProgrammableSwitchEvent));
         }
+
+        this.shutterService = this.accessory.getServiceById(this.api.hap.Service.Switch, 'shutter');
+        if (this.supportsPrivacyShutter()) {
+            if (!this.shutterService) this.shutterService = this.accessory.addService(this.api.hap.Service.Switch, `${this.name} Privacy Shutter`, 'shutter');
+            this.shutterService.getCharacteristic(this.api.hap.Characteristic.On)
+                .on('get', callback => this.getState(callback, this.shutterService, this.api.hap.Characteristic.On))
+                .on('set', async (open, callback) => this.setPrivacyShutter(open, callback));
+            this.refreshPrivacyShutterState();
+        } else if (this.shutterService) {
+            this.accessory.removeService(this.shutterService);
+            this.shutterService = null;
+        }
     }
 
     getState(callback, service, characteristicType) {
@@ -64,7 +110,7 @@ class SS3Camera extends SimpliSafe3Accessory {
 
     async updateReachability() {
         try {
-            let cameras = await this.simplisafe.getCameras();
+            let cameras = await this.simplisafe.getCameras(this.subId);
             let camera = cameras.find(cam => cam.uuid === this.id);
             if (!camera) {
                 this.reachable = false;
@@ -84,6 +130,54 @@ class SS3Camera extends SimpliSafe3Accessory {
         return this.cameraDetails.supportedFeatures && this.cameraDetails.supportedFeatures.privacyShutter;
     }
 
+    supportsTalkback() {
+        // the Home app microphone is relayed to cameras with a speaker, e.g. the doorbell
+        return !!(this.cameraDetails.supportedFeatures && this.cameraDetails.supportedFeatures.speaker) && !this.isUnsupported();
+    }
+
+    isPrivacyShutterClosed(alarmState) {
+        let setting = SHUTTER_SETTINGS[alarmState];
+        return !!setting && this.cameraDetails.cameraSettings[setting] !== 'open';
+    }
+
+    async refreshPrivacyShutterState() {
+        try {
+            let system = await this.simplisafe.getAlarmSystem(this.subId);
+            this.updatePrivacyShutterState(system.alarmState);
+        } catch (err) {
+            this.log.error(`An error occurred while refreshing privacy shutter state for ${this.name}`);
+            this.log.error(err);
+        }
+    }
+
+    updatePrivacyShutterState(alarmState) {
+        if (!this.shutterService || !SHUTTER_SETTINGS[alarmState]) return;
+        this.shutterService.updateCharacteristic(this.api.hap.Characteristic.On, !this.isPrivacyShutterClosed(alarmState));
+    }
+
+    updateCameraDetails(cameraDetails, alarmState) {
+        this.cameraDetails = cameraDetails;
+        this.updatePrivacyShutterState(alarmState);
+    }
+
+    async setPrivacyShutter(open, callback) {
+        try {
+            // the shutter position is a setting per alarm state, change the one currently in effect
+            let system = await this.simplisafe.getAlarmSystem(this.subId);
+            let setting = SHUTTER_SETTINGS[system.alarmState];
+            if (!setting) throw new Error(`Privacy shutter can't be changed while the alarm is ${system.alarmState}`);
+
+            let position = open ? 'open' : 'closed';
+            await this.simplisafe.setCameraSettings(this.subId, this.id, { [setting]: position });
+            this.cameraDetails.cameraSettings[setting] = position;
+            if (this.debug) this.log(`Set ${this.name} privacy shutter to ${position} for alarm state ${system.alarmState}`);
+            callback(null);
+        } catch (err) {
+            this.log.error(`An error occurred while setting the privacy shutter for ${this.name}:`, err);
+            callback(new Error(`An error occurred while setting the privacy shutter: ${err}`));
+        }
+    }
+
     isUnsupported() {
         // so far SSOBCM4
         return this.cameraDetails.supportedFeatures && this.cameraDetails.supportedFeatures.providers && this.cameraDetails.supportedFeatures.providers.recording !== 'simplisafe';
@@ -92,17 +186,43 @@ class SS3Camera extends SimpliSafe3Accessory {
     startListening() {
         this.simplisafe.on(EVENT_TYPES.CAMERA_MOTION, (data) => {
             if (!this._validateEvent(EVENT_TYPES.CAMERA_MOTION, data)) return;
-            this.accessory.getService(this.api.hap.Service.MotionSensor).updateCharacteristic(this.api.hap.Characteristic.MotionDetected, true);
-            this.motionIsTriggered = true;
-            setTimeout(() => {
-                this.accessory.getService(this.api.hap.Service.MotionSensor).updateCharacteristic(this.api.hap.Characteristic.MotionDetected, false);
-                this.motionIsTriggered = false;
-            }, 5000);
+            this.triggerMotion();
+            if (!this.isUnsupported()) this.snapshotCache.prefetch();
+            if (this.clipRecorder) this.clipRecorder.capture('motion');
         });
         this.simplisafe.on(EVENT_TYPES.DOORBELL, (data) => {
             if (!this._validateEvent(EVENT_TYPES.DOORBELL, data)) return;
             this.accessory.getService(this.api.hap.Service.Doorbell).getCharacteristic(this.api.hap.Characteristic.ProgrammableSwitchEvent).setValue(0);
+            // HKSV only records on motion, so a doorbell press has to trigger it too
+            if (this.recordingDelegate) this.triggerMotion();
+            if (!this.isUnsupported()) this.snapshotCache.prefetch();
+            if (this.clipRecorder) this.clipRecorder.capture('doorbell');
         });
+
+        // the shutter position follows the alarm state
+        const alarmStateEvents = {
+            [EVENT_TYPES.ALARM_OFF]: 'OFF',
+            [EVENT_TYPES.ALARM_DISARM]: 'OFF',
+            [EVENT_TYPES.ALARM_CANCEL]: 'OFF',
+            [EVENT_TYPES.HOME_ARM]: 'HOME',
+            [EVENT_TYPES.AWAY_ARM]: 'AWAY'
+        };
+        for (let [event, alarmState] of Object.entries(alarmStateEvents)) {
+            this.simplisafe.on(event, (data) => {
+                if (!data || data.sid != this.subId) return;
+                this.updatePrivacyShutterState(alarmState);
+            });
+        }
+    }
+
+    triggerMotion() {
+        this.accessory.getService(this.api.hap.Service.MotionSensor).updateCharacteristic(this.api.hap.Characteristic.MotionDetected, true);
+        this.motionIsTriggered = true;
+        clearTimeout(this.motionTimeoutID);
+        this.motionTimeoutID = setTimeout(() => {
+            this.accessory.getService(this.api.hap.Service.MotionSensor).updateCharacteristic(this.api.hap.Characteristic.MotionDetected, false);
+            this.motionIsTriggered = false;
+        }, 5000);
     }
 
     _validateEvent(event, data) {
@@ -0,0 +1,207 @@
+import SimpliSafe3Accessory from './ss3Accessory';
+import { EVENT_TYPES } from '../simplisafe';
+import getCustomCharacteristics from '../lib/characteristics';
+
+const DELAYS = {
+    exit: 'Exit Delay Active',
+    entry: 'Entry Delay Active'
+};
+
+class SS3DelaySensors extends SimpliSafe3Accessory {
+
+    constructor(name, id, subId, log, debug, simplisafe, api) {
+        super(name, id, subId, log, debug, simplisafe, api);
+        // the alarm accessory already uses the system serial for its uuid
+        this.uuid = this.api.hap.uuid.generate(`${id}:delays`);
+        this.reachable = true;
+        this.RemainingDelay = getCustomCharacteristics(this.api.hap).RemainingDelay;
+        this.countdownIntervalIDs = {};
+
+        this.startListening();
+    }
+
+    setupServices(accessory) {
+        for (let [delay, name] of Object.entries(DELAYS)) {
+            accessory.addService(this.api.hap.Service.OccupancySensor, `${this.name} ${name}`, delay);
+        }
+    }
+
+    setAccessory(accessory) {
+        super.setAccessory(accessory);
+
+        this.accessory.getService(this.api.hap.Service.AccessoryInformation)
+            .setCharacteristic(this.api.hap.Characteristic.Manufacturer, 'SimpliSafe')
+            .setCharacteristic(this.api.hap.Characteristic.Model, 'Alarm Delays')
+            .setCharacteristic(this.api.hap.Characteristic.SerialNumber, this.id);
+
+        this.delayServices = {};
+        for (let delay of Object.keys(DELAYS)) {
+            let service = this.accessory.getServiceById(this.api.hap.Service.OccupancySensor, delay);
+            if (!service.testCharacteristic(this.RemainingDelay)) service.addCharacteristic(this.RemainingDelay);
+            service.getCharacteristic(this.api.hap.Characteristic.OccupancyDetected)
+                .on('get', callback => this.getState(callback, service, this.api.hap.Characteristic.OccupancyDetected));
+            service.getCharacteristic(this.RemainingDelay)
+                .on('get', callback => this.getState(callback, service, this.RemainingDelay));
+            this.delayServices[delay] = service;
+        }
+
+        this.refreshState();
+    }
+
+    async updateReachability() {
+        try {
+            let system = await this.simplisafe.getAlarmSystem(this.subId);
+            this.reachable = system.connType == 'wifi' || system.connType == 'cell';
+            if (this.debug) this.log(`Reachability updated for ${this.name}: ${this.reachable}`);
+            return this.reachable;
+        } catch (err) {
+            this.log.error(`An error occurred while updating reachability for ${this.name}`);
+            this.log.error(err);
+        }
+    }
+
+    getState(callback, service, characteristicType) {
+        if (this.simplisafe.isBlocked && Date.now() < this.simplisafe.nextAttempt) {
+            return callback(new Error('Request blocked (rate limited)'));
+        }
+
+        let characteristic = service.getCharacteristic(characteristicType);
+        return callback(null, characteristic.value);
+    }
+
+    startListening() {
+        for (let event of [EVENT_TYPES.HOME_EXIT_DELAY, EVENT_TYPES.AWAY_EXIT_DELAY]) {
+            this.simplisafe.on(event, (data) => {
+                if (!this._validateEvent(event, data)) return;
+                // only known when the delay was started from HomeKit
+                let seconds = data.exitDelay || this.simplisafe.getExitDelayRemaining(this.subId);
+                if (seconds) {
+                    this.startDelay('exit', seconds);
+                } else {
+                    this.startConfiguredDelay('exit', event == EVENT_TYPES.HOME_EXIT_DELAY ? 'HOME' : 'AWAY', data.eventTimestamp);
+                }
+            });
+        }
+
+        // 1429 is sent when an entry sensor opens while armed, starting the entry delay
+        this.simplisafe.on(EVENT_TYPES.ENTRY, (data) => {
+            if (!this._validateEvent(EVENT_TYPES.ENTRY, data)) return;
+            this.startConfiguredDelay('entry', this.armedMode, data.eventTimestamp);
+        });
+
+        for (let [event, mode] of [[EVENT_TYPES.HOME_ARM, 'HOME'], [EVENT_TYPES.AWAY_ARM, 'AWAY']]) {
+            this.simplisafe.on(event, (data) => {
+                if (!this._validateEvent(event, data)) return;
+                this.armedMode = mode;
+                this.stopDelay('exit');
+            });
+        }
+
+        for (let event of [EVENT_TYPES.ALARM_TRIGGER, EVENT_TYPES.ALARM_OFF, EVENT_TYPES.ALARM_DISARM, EVENT_TYPES.ALARM_CANCEL]) {
+            this.simplisafe.on(event, (data) => {
+                if (!this._validateEvent(event, data)) return;
+                this.stopDelay('exit');
+                this.stopDelay('entry');
+            });
+        }
+
+        this.simplisafe.subscribeToAlarmSystem(this.subId, this.id, (system) => {
+            if (this.delayServices) this.updateSystemState(system);
+        });
+    }
+
+    _validateEvent(event, data) {
+        let valid = this.delayServices && data && data.sid == this.subId;
+        if (this.debug && valid) this.log(`Delay sensors '${this.name}' received event: ${event}`);
+        return valid;
+    }
+
+    isDelayActive(delay) {
+        return this.delayServices[delay].getCharacteristic(this.api.hap.Characteristic.OccupancyDetected).value == this.api.hap.Characteristic.OccupancyDetected.OCCUPANCY_DETECTED;
+    }
+
+    startDelay(delay, seconds) {
+        let service = this.delayServices[delay];
+        let remaining = seconds > 0 ? Math.round(seconds) : 0;
+        if (this.debug) this.log(`${DELAYS[delay]} for ${this.name}, ${remaining ? `${remaining}s remaining` : 'length unknown'}`);
+
+        clearInterval(this.countdownIntervalIDs[delay]);
+        service.updateCharacteristic(this.api.hap.Characteristic.OccupancyDetected, this.api.hap.Characteristic.OccupancyDetected.OCCUPANCY_DETECTED);
+        service.updateCharacteristic(this.RemainingDelay, remaining);
+        if (!remaining) return; // stays active until SimpliSafe reports the delay is over
+
+        let endTime = Date.now() + remaining * 1000;
+        this.countdownIntervalIDs[delay] = setInterval(() => {
+            let secondsLeft = Math.max(0, Math.ceil((endTime - Date.now()) / 1000));
+            service.updateCharacteristic(this.RemainingDelay, secondsLeft);
+            if (secondsLeft == 0) {
+                clearInterval(this.countdownIntervalIDs[delay]);
+                this.countdownIntervalIDs[delay] = undefined;
+                this.refreshState(true);
+            }
+        }, 1000);
+    }
+
+    /**
+     * Starts a delay SimpliSafe didn't report the length of, using the length configured for the mode
+     */
+    async startConfiguredDelay(delay, mode, eventTimestamp) {
+        this.startDelay(delay, 0);
+        try {
+            let settings = await this.simplisafe.getSettings(this.subId);
+            let seconds = settings[`${delay}Delay${mode == 'HOME' ? 'Home' : 'Away'}`];
+            // the event may arrive late, e.g. replayed after the real time connection dropped
+            if (eventTimestamp) seconds -= Date.now() / 1000 - eventTimestamp;
+            if (seconds > 0 && this.isDelayActive(delay) && !this.countdownIntervalIDs[delay]) this.startDelay(delay, seconds);
+        } catch (err) {
+            this.log.error(`An error occurred while getting the ${delay} delay length for ${this.name}`);
+            this.log.error(err);
+        }
+    }
+
+    stopDelay(delay) {
+        clearInterval(this.countdownIntervalIDs[delay]);
+        this.countdownIntervalIDs[delay] = undefined;
+        this.delayServices[delay].updateCharacteristic(this.api.hap.Characteristic.OccupancyDetected, this.api.hap.Characteristic.OccupancyDetected.OCCUPANCY_NOT_DETECTED);
+        this.delayServices[delay].updateCharacteristic(this.RemainingDelay, 0);
+    }
+
+    updateSystemState(system) {
+        let state = system.isAlarming ? 'ALARM' : system.alarmState;
+        if (state == 'HOME' || state == 'AWAY') this.armedMode = state;
+
+        // the alarm state doesn't say how much of a delay is left, so one started outside HomeKit is assumed to have just started
+        if (state == 'HOME_COUNT' || state == 'AWAY_COUNT') {
+            if (!this.isDelayActive('exit')) {
+                let seconds = this.simplisafe.getExitDelayRemaining(this.subId);
+                if (seconds) {
+                    this.startDelay('exit', seconds);
+                } else {
+                    this.startConfiguredDelay('exit', state == 'HOME_COUNT' ? 'HOME' : 'AWAY');
+                }
+            }
+        } else if (this.isDelayActive('exit')) {
+            this.stopDelay('exit');
+        }
+
+        if (state == 'ALARM_COUNT') {
+            if (!this.isDelayActive('entry')) this.startConfiguredDelay('entry', this.armedMode);
+        } else if (this.isDelayActive('entry')) {
+            this.stopDelay('entry');
+        }
+    }
+
+    async refreshState(forceRefresh = false) {
+        if (this.debug) this.log('Refreshing alarm delay state');
+        try {
+            let system = await this.simplisafe.getAlarmSystem(this.subId, forceRefresh);
+            this.updateSystemState(system);
+        } catch (err) {
+            this.log.error('An error occurred while refreshing state');
+            this.log.error(err);
+        }
+    }
+
+}
+
+export default SS3DelaySensors;
@@ -1,10 +1,12 @@
-import SimpliSafe3Accessory from './ss3Accessory';
+import SimpliSafe3Accessory, { CONTROL_POLICIES } from './ss3Accessory';
 import { EVENT_TYPES } from '../simplisafe';
 
 class SS3DoorLock extends SimpliSafe3Accessory {
 
-    constructor(name, id, log, debug, simplisafe, api) {
-        super(name, id, log, debug, simplisafe, api);
+    constructor(name, id, subId, lockOptions, log, debug, simplisafe, api) {
+        super(name, id, subId, log, debug, simplisafe, api);
+        this.lockOptions = lockOptions || {};
+        this.controlPolicy = this.lockOptions.controlPolicy || CONTROL_POLICIES.FULL;
         this.services.push(this.api.hap.Service.LockMechanism);
 
         this.SS3_TO_HOMEKIT_CURRENT = {
@@ -26,10 +28,20 @@ class SS3DoorLock extends SimpliSafe3Accessory {
             [this.api.hap.Characteristic.LockTargetState.UNSECURED]: 'unlock'
         };
 
+        this.VALID_TARGET_STATE_VALUES = [
+            this.api.hap.Characteristic.LockTargetState.UNSECURED,
+            this.api.hap.Characteristic.LockTargetState.SECURED
+        ];
+
+        // target states allowed under the arm-only control policy
+        this.ARM_TARGET_STATE_VALUES = [
+            this.api.hap.Characteristic.LockTargetState.SECURED
+        ];
+
         // SimpliSafe events
         this.startListening();
 
-        this.simplisafe.subscribeToSensor(this.id, lock => {
+        this.simplisafe.subscribeToSensor(this.subId, this.id, lock => {
             if (this.service) {
                 this.refreshState(lock);
             }
@@ -48,6 +60,7 @@ class SS3DoorLock extends SimpliSafe3Accessory {
 
         this.service.getCharacteristic(this.api.hap.Characteristic.LockCurrentState)
             .on('get', async callback => this.getCurrentState(callback));
+        this.applyControlPolicy(this.service.getCharacteristic(this.api.hap.Characteristic.LockTargetState), this.VALID_TARGET_STATE_VALUES, this.ARM_TARGET_STATE_VALUES);
         this.service.getCharacteristic(this.api.hap.Characteristic.LockTargetState)
             .on('get', async callback => this.getTargetState(callback))
             .on('set', async (state, callback) => this.setTargetState(state, callback));
@@ -77,7 +90,7 @@ class SS3DoorLock extends SimpliSafe3Accessory {
 
     async getLockInformation() {
         try {
-            let locks = await this.simplisafe.getLocks();
+            let locks = await this.simplisafe.getLocks(this.subId);
             let lock = locks.find(l => l.serial === this.id);
 
             if (!lock) {
@@ -151,11 +164,18 @@ class SS3DoorLock extends SimpliSafe3Accessory {
             return;
         }
 
+        if (!this.isControlAllowed(homekitState, this.ARM_TARGET_STATE_VALUES)) {
+            this.log.warn(`Refused to ${state} '${this.name}', not allowed by its '${this.controlPolicy}' control policy`);
+            callback(new this.api.hap.HapStatusError(this.api.hap.HAPStatus.INSUFFICIENT_PRIVILEGES));
+            return;
+        }
+
         try {
-            await this.simplisafe.setLockState(this.id, state);
+            await this.simplisafe.setLockState(this.subId, this.id, state);
             if (this.debug) this.log(`Updated SS lock state for '${this.name}': ${state}`);
             // techincally this should be LockTargetState but this feels faster and has no apparent side-effects
             this.service.updateCharacteristic(this.api.hap.Characteristic.LockCurrentState, homekitState);
+            this.updateTargetState(homekitState);
             callback(null);
         } catch (err) {
             callback(new Error(`An error occurred while setting the '${this.name}' target door lock state: ${err}`));
@@ -165,13 +185,13 @@ class SS3DoorLock extends SimpliSafe3Accessory {
     startListening() {
         this.simplisafe.on(EVENT_TYPES.DOORLOCK_UNLOCKED, (data) => {
             if (!this._validateEvent(EVENT_TYPES.DOORLOCK_UNLOCKED, data)) return;
-            this.service.updateCharacteristic(this.api.hap.Characteristic.LockTargetState, this.api.hap.Characteristic.LockTargetState.UNSECURED);
+            this.updateTargetState(this.api.hap.Characteristic.LockTargetState.UNSECURED);
             this.service.updateCharacteristic(this.api.hap.Characteristic.LockCurrentState, this.api.hap.Characteristic.LockCurrentState.UNSECURED);
         });
 
         this.simplisafe.on(EVENT_TYPES.DOORLOCK_LOCKED, (data) => {
             if (!this._validateEvent(EVENT_TYPES.DOORLOCK_LOCKED, data)) return;
-            this.service.updateCharacteristic(this.api.hap.Characteristic.LockTargetState, this.api.hap.Characteristic.LockTargetState.SECURED);
+            this.updateTargetState(this.api.hap.Characteristic.LockTargetState.SECURED);
             this.service.updateCharacteristic(this.api.hap.Characteristic.LockCurrentState, this.api.hap.Characteristic.LockCurrentState.SECURED);
         });
 
@@ -191,6 +211,13 @@ class SS3DoorLock extends SimpliSafe3Accessory {
         });
     }
 
+    updateTargetState(homekitState) {
+        // the new state has to be valid before it can be set
+        let characteristic = this.service.getCharacteristic(this.api.hap.Characteristic.LockTargetState);
+        this.applyControlPolicy(characteristic, this.VALID_TARGET_STATE_VALUES, this.ARM_TARGET_STATE_VALUES, homekitState);
+        characteristic.updateValue(homekitState);
+    }
+
     _validateEvent(event, data) {
         let valid = this.service && data && data.sensorSerial && data.sensorSerial == this.id;
         if (this.debug && valid) this.log(`Lock '${this.name}' received event: ${event}`);
@@ -206,7 +233,7 @@ class SS3DoorLock extends SimpliSafe3Accessory {
             if (lock.status.lockJamState) homekitCurrentState = this.api.hap.Characteristic.LockCurrentState.JAMMED;
             let homekitTargetState = this.SS3_TO_HOMEKIT_TARGET[state];
             this.service.updateCharacteristic(this.api.hap.Characteristic.LockCurrentState, homekitCurrentState);
-            this.service.updateCharacteristic(this.api.hap.Characteristic.LockTargetState, homekitTargetState);
+            this.updateTargetState(homekitTargetState);
 
             let homekitBatteryState = lock.flags && lock.flags.lowBattery ? this.api.hap.Characteristic.StatusLowBattery.BATTERY_LEVEL_LOW : this.api.hap.Characteristic.StatusLowBattery.BATTERY_LEVEL_NORMAL;
             this.service.updateCharacteristic(this.api.hap.Characteristic.StatusLowBattery, homekitBatteryState);
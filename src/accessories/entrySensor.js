@@ -2,8 +2,8 @@ import SimpliSafe3Accessory from './ss3Accessory';
 
 class SS3EntrySensor extends SimpliSafe3Accessory {
 
-    constructor(name, id, log, debug, simplisafe, api) {
-        super(name, id, log, debug, simplisafe, api);
+    constructor(name, id, subId, log, debug, simplisafe, api) {
+        super(name, id, subId, log, debug, simplisafe, api);
         this.reachable = true;
         this.services.push(this.api.hap.Service.ContactSensor);
 
@@ -30,7 +30,7 @@ class SS3EntrySensor extends SimpliSafe3Accessory {
 
     async updateReachability() {
         try {
-            let sensors = await this.simplisafe.getSensors();
+            let sensors = await this.simplisafe.getSensors(this.subId);
             let sensor = sensors.find(sen => sen.serial === this.id);
             if (!sensor) {
                 this.reachable = false;
@@ -51,7 +51,7 @@ class SS3EntrySensor extends SimpliSafe3Accessory {
 
     async getSensorInformation() {
         try {
-            let sensors = await this.simplisafe.getSensors(true);
+            let sensors = await this.simplisafe.getSensors(this.subId, true);
             let sensor = sensors.find(sen => sen.serial === this.id);
 
             if (!sensor) {
@@ -97,7 +97,7 @@ class SS3EntrySensor extends SimpliSafe3Accessory {
     }
 
     startListening() {
-        this.simplisafe.subscribeToSensor(this.id, sensor => {
+        this.simplisafe.subscribeToSensor(this.subId, this.id, sensor => {
             if (this.service) {
                 if (sensor.status) {
                     if (sensor.status.triggered) {
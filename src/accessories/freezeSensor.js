@@ -4,8 +4,8 @@ const fahrenheitToCelsius = f => (f - 32.0) * 5.0 / 9.0;
 
 class SS3FreezeSensor extends SimpliSafe3Accessory {
 
-    constructor(name, id, log, debug, simplisafe, api) {
-        super(name, id, log, debug, simplisafe, api);
+    constructor(name, id, subId, log, debug, simplisafe, api) {
+        super(name, id, subId, log, debug, simplisafe, api);
         this.reachable = true;
         this.services.push(this.api.hap.Service.TemperatureSensor);
 
@@ -32,7 +32,7 @@ class SS3FreezeSensor extends SimpliSafe3Accessory {
 
     async updateReachability() {
         try {
-            let sensors = await this.simplisafe.getSensors();
+            let sensors = await this.simplisafe.getSensors(this.subId);
             let sensor = sensors.find(sen => sen.serial === this.id);
             if (!sensor) {
                 this.reachable = false;
@@ -53,7 +53,7 @@ class SS3FreezeSensor extends SimpliSafe3Accessory {
 
     async getSensorInformation() {
         try {
-            let sensors = await this.simplisafe.getSensors(true);
+            let sensors = await this.simplisafe.getSensors(this.subId, true);
             let sensor = sensors.find(sen => sen.serial === this.id);
 
             if (!sensor) {
@@ -98,7 +98,7 @@ class SS3FreezeSensor extends SimpliSafe3Accessory {
     }
 
     startListening() {
-        this.simplisafe.subscribeToSensor(this.id, sensor => {
+        this.simplisafe.subscribeToSensor(this.subId, this.id, sensor => {
             if (this.service) {
                 if (sensor.status) {
                     let temperature = fahrenheitToCelsius(sensor.status.temperature);
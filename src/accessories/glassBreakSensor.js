@@ -0,0 +1,158 @@
+import SimpliSafe3Accessory from './ss3Accessory';
+import { EVENT_TYPES } from '../simplisafe';
+
+class SS3GlassBreakSensor extends SimpliSafe3Accessory {
+
+    constructor(name, id, subId, log, debug, simplisafe, api) {
+        super(name, id, subId, log, debug, simplisafe, api);
+        this.reachable = true;
+        this.services.push(this.api.hap.Service.ContactSensor);
+
+        this.startListening();
+    }
+
+    setAccessory(accessory) {
+        super.setAccessory(accessory);
+
+        this.accessory.getService(this.api.hap.Service.AccessoryInformation)
+            .setCharacteristic(this.api.hap.Characteristic.Manufacturer, 'SimpliSafe')
+            .setCharacteristic(this.api.hap.Characteristic.Model, 'Glass Break Sensor')
+            .setCharacteristic(this.api.hap.Characteristic.SerialNumber, this.id);
+
+        this.service = this.accessory.getService(this.api.hap.Service.ContactSensor);
+        this.service.getCharacteristic(this.api.hap.Characteristic.ContactSensorState)
+            .on('get', callback => this.getState(callback, this.api.hap.Characteristic.ContactSensorState));
+
+        this.service.getCharacteristic(this.api.hap.Characteristic.StatusTampered)
+            .on('get', callback => this.getState(callback, this.api.hap.Characteristic.StatusTampered));
+
+        this.service.getCharacteristic(this.api.hap.Characteristic.StatusActive)
+            .on('get', callback => this.getState(callback, this.api.hap.Characteristic.StatusActive));
+
+        this.service.getCharacteristic(this.api.hap.Characteristic.StatusLowBattery)
+            .on('get', async callback => this.getBatteryStatus(callback));
+
+        this.refreshState();
+    }
+
+    async updateReachability() {
+        try {
+            let sensors = await this.simplisafe.getSensors(this.subId);
+            let sensor = sensors.find(sen => sen.serial === this.id);
+            if (!sensor) {
+                this.reachable = false;
+            } else {
+                if (sensor.flags) {
+                    this.reachable = !sensor.flags.offline;
+                } else {
+                    this.reachable = false;
+                }
+            }
+
+            return this.reachable;
+        } catch (err) {
+            this.log.error(`An error occurred while updating reachability for ${this.name}`);
+            this.log.error(err);
+        }
+    }
+
+    async getSensorInformation() {
+        try {
+            let sensors = await this.simplisafe.getSensors(this.subId, true);
+            let sensor = sensors.find(sen => sen.serial === this.id);
+
+            if (!sensor) {
+                throw new Error('Could not find sensor');
+            }
+
+            return sensor;
+        } catch (err) {
+            throw new Error('An error occurred while getting sensor:', err.toJSON ? err.toJSON() : err);
+        }
+    }
+
+    getState(callback, characteristicType) {
+        if (this.simplisafe.isBlocked && Date.now() < this.simplisafe.nextAttempt) {
+            return callback(new Error('Request blocked (rate limited)'));
+        }
+
+        // Glass break state is only pushed via alarm events, so no need to ping the API
+        let characteristic = this.service.getCharacteristic(characteristicType);
+        return callback(null, characteristic.value);
+    }
+
+    async getBatteryStatus(callback) {
+        // No need to ping API for this and HomeKit is not very patient when waiting for it
+        let characteristic = this.service.getCharacteristic(this.api.hap.Characteristic.StatusLowBattery);
+        return callback(null, characteristic.value);
+    }
+
+    startListening() {
+        this.simplisafe.on(EVENT_TYPES.ALARM_TRIGGER, (data) => {
+            if (!this._validateEvent(EVENT_TYPES.ALARM_TRIGGER, data)) return;
+            this.service.updateCharacteristic(this.api.hap.Characteristic.ContactSensorState, this.api.hap.Characteristic.ContactSensorState.CONTACT_NOT_DETECTED);
+        });
+
+        // the sensor has no "reset" event of its own, it stays triggered until the alarm is cleared
+        for (let event of [EVENT_TYPES.ALARM_OFF, EVENT_TYPES.ALARM_DISARM, EVENT_TYPES.ALARM_CANCEL]) {
+            this.simplisafe.on(event, (data) => {
+                if (!this.service || !data || data.sid != this.subId) return;
+                this.service.updateCharacteristic(this.api.hap.Characteristic.ContactSensorState, this.api.hap.Characteristic.ContactSensorState.CONTACT_DETECTED);
+            });
+        }
+
+        this.simplisafe.subscribeToSensor(this.subId, this.id, sensor => {
+            if (this.service) this.updateSensorState(sensor);
+        });
+    }
+
+    _validateEvent(event, data) {
+        let valid = this.service && data && data.sensorSerial && data.sensorSerial == this.id;
+        if (this.debug && valid) this.log(`Glass break sensor '${this.name}' received event: ${event}`);
+        return valid;
+    }
+
+    updateSensorState(sensor) {
+        if (sensor.status) {
+            if (sensor.status.triggered) {
+                this.service.updateCharacteristic(this.api.hap.Characteristic.ContactSensorState, this.api.hap.Characteristic.ContactSensorState.CONTACT_NOT_DETECTED);
+            }
+
+            if (sensor.status.tamper) {
+                this.service.updateCharacteristic(this.api.hap.Characteristic.StatusTampered, this.api.hap.Characteristic.StatusTampered.TAMPERED);
+            } else {
+                this.service.updateCharacteristic(this.api.hap.Characteristic.StatusTampered, this.api.hap.Characteristic.StatusTampered.NOT_TAMPERED);
+            }
+        }
+
+        if (sensor.flags) {
+            if (sensor.flags.lowBattery) {
+                this.service.updateCharacteristic(this.api.hap.Characteristic.StatusLowBattery, this.api.hap.Characteristic.StatusLowBattery.BATTERY_LEVEL_LOW);
+            } else {
+                this.service.updateCharacteristic(this.api.hap.Characteristic.StatusLowBattery, this.api.hap.Characteristic.StatusLowBattery.BATTERY_LEVEL_NORMAL);
+            }
+
+            this.service.updateCharacteristic(this.api.hap.Characteristic.StatusActive, !sensor.flags.offline);
+        }
+    }
+
+    async refreshState() {
+        if (this.debug) this.log('Refreshing sensor state');
+        try {
+            let sensor = await this.getSensorInformation();
+            if (!sensor.flags) {
+                throw new Error('Sensor response not understood');
+            }
+
+            this.updateSensorState(sensor);
+
+            if (this.debug) this.log(`Updated current tamper, battery, offline state for ${this.name}: ${sensor.status ? sensor.status.tamper : undefined}, ${sensor.flags.lowBattery}, ${sensor.flags.offline}`);
+        } catch (err) {
+            this.log.error('An error occurred while refreshing state');
+            this.log.error(err);
+        }
+    }
+
+}
+
+export default SS3GlassBreakSensor;
@@ -3,8 +3,8 @@ import { EVENT_TYPES } from '../simplisafe';
 
 class SS3MotionSensor extends SimpliSafe3Accessory {
 
-    constructor(name, id, log, debug, simplisafe, api) {
-        super(name, id, log, debug, simplisafe, api);
+    constructor(name, id, subId, log, debug, simplisafe, api) {
+        super(name, id, subId, log, debug, simplisafe, api);
         this.reachable = true;
         this.services.push(this.api.hap.Service.MotionSensor);
 
@@ -29,7 +29,7 @@ class SS3MotionSensor extends SimpliSafe3Accessory {
 
     async updateReachability() {
         try {
-            let sensors = await this.simplisafe.getSensors();
+            let sensors = await this.simplisafe.getSensors(this.subId);
             let sensor = sensors.find(sen => sen.serial === this.id);
             if (!sensor) {
                 this.reachable = false;
@@ -50,7 +50,7 @@ class SS3MotionSensor extends SimpliSafe3Accessory {
 
     async getSensorInformation() {
         try {
-            let sensors = await this.simplisafe.getSensors(true);
+            let sensors = await this.simplisafe.getSensors(this.subId, true);
             let sensor = sensors.find(sen => sen.serial === this.id);
 
             if (!sensor) {
@@ -87,7 +87,7 @@ class SS3MotionSensor extends SimpliSafe3Accessory {
             }, 10000);
         });
 
-        this.simplisafe.subscribeToSensor(this.id, sensor => {
+        this.simplisafe.subscribeToSensor(this.subId, this.id, sensor => {
             if (sensor.flags) {
                 if (sensor.flags.lowBattery) {
                     this.accessory.getService(this.api.hap.Service.MotionSensor).updateCharacteristic(this.api.hap.Characteristic.StatusLowBattery, this.api.hap.Characteristic.StatusLowBattery.BATTERY_LEVEL_LOW);
@@ -0,0 +1,178 @@
+import SimpliSafe3Accessory from './ss3Accessory';
+import {
+    EVENT_TYPES,
+    SENSOR_TYPES
+} from '../simplisafe';
+
+// Physical buttons in the order they are labelled in HomeKit
+const REMOTE_BUTTONS = {
+    [SENSOR_TYPES.KEYCHAIN]: ['away', 'home', 'off', 'panic'],
+    [SENSOR_TYPES.PANIC_BUTTON]: ['panic']
+};
+
+const BUTTON_EVENTS = {
+    [EVENT_TYPES.AWAY_EXIT_DELAY]: 'away',
+    [EVENT_TYPES.AWAY_ARM]: 'away',
+    [EVENT_TYPES.HOME_EXIT_DELAY]: 'home',
+    [EVENT_TYPES.HOME_ARM]: 'home',
+    [EVENT_TYPES.ALARM_DISARM]: 'off',
+    [EVENT_TYPES.ALARM_TRIGGER]: 'panic'
+};
+
+class SS3Remote extends SimpliSafe3Accessory {
+
+    constructor(name, id, subId, sensorType, log, debug, simplisafe, api) {
+        super(name, id, subId, log, debug, simplisafe, api);
+        this.reachable = true;
+        this.sensorType = sensorType;
+        this.buttons = REMOTE_BUTTONS[sensorType] || [];
+        this.pendingArmButton = null;
+
+        this.startListening();
+    }
+
+    setupServices(accessory) {
+        accessory.addService(this.api.hap.Service.ServiceLabel);
+        for (let button of this.buttons) {
+            accessory.addService(this.api.hap.Service.StatelessProgrammableSwitch, `${this.name} ${button}`, button);
+        }
+        accessory.addService(this.api.hap.Service.Battery);
+    }
+
+    setAccessory(accessory) {
+        super.setAccessory(accessory);
+
+        this.accessory.getService(this.api.hap.Service.AccessoryInformation)
+            .setCharacteristic(this.api.hap.Characteristic.Manufacturer, 'SimpliSafe')
+            .setCharacteristic(this.api.hap.Characteristic.Model, this.sensorType == SENSOR_TYPES.PANIC_BUTTON ? 'Panic Button' : 'Keychain Remote')
+            .setCharacteristic(this.api.hap.Characteristic.SerialNumber, this.id);
+
+        this.accessory.getService(this.api.hap.Service.ServiceLabel)
+            .setCharacteristic(this.api.hap.Characteristic.ServiceLabelNamespace, this.api.hap.Characteristic.ServiceLabelNamespace.ARABIC_NUMERALS);
+
+        this.buttonServices = {};
+        this.buttons.forEach((button, index) => {
+            let service = this.accessory.getServiceById(this.api.hap.Service.StatelessProgrammableSwitch, button);
+            service.setCharacteristic(this.api.hap.Characteristic.ServiceLabelIndex, index + 1);
+            service.getCharacteristic(this.api.hap.Characteristic.ProgrammableSwitchEvent)
+                .setProps({ validValues: [this.api.hap.Characteristic.ProgrammableSwitchEvent.SINGLE_PRESS] });
+            this.buttonServices[button] = service;
+        });
+
+        this.batteryService = this.accessory.getService(this.api.hap.Service.Battery);
+        this.batteryService.getCharacteristic(this.api.hap.Characteristic.StatusLowBattery)
+            .on('get', async callback => this.getBatteryStatus(callback));
+
+        this.refreshState();
+    }
+
+    async updateReachability() {
+        try {
+            let sensors = await this.simplisafe.getSensors(this.subId);
+            let sensor = sensors.find(sen => sen.serial === this.id);
+            if (!sensor) {
+                this.reachable = false;
+            } else {
+                if (sensor.flags) {
+                    this.reachable = !sensor.flags.offline;
+                } else {
+                    this.reachable = false;
+                }
+            }
+
+            return this.reachable;
+        } catch (err) {
+            this.log.error(`An error occurred while updating reachability for ${this.name}`);
+            this.log.error(err);
+        }
+    }
+
+    async getSensorInformation() {
+        try {
+            let sensors = await this.simplisafe.getSensors(this.subId, true);
+            let sensor = sensors.find(sen => sen.serial === this.id);
+
+            if (!sensor) {
+                throw new Error('Could not find sensor');
+            }
+
+            return sensor;
+        } catch (err) {
+            throw new Error('An error occurred while getting sensor:', err.toJSON ? err.toJSON() : err);
+        }
+    }
+
+    async getBatteryStatus(callback) {
+        // No need to ping API for this and HomeKit is not very patient when waiting for it
+        let characteristic = this.batteryService.getCharacteristic(this.api.hap.Characteristic.StatusLowBattery);
+        return callback(null, characteristic.value);
+    }
+
+    startListening() {
+        for (let event of Object.keys(BUTTON_EVENTS)) {
+            this.simplisafe.on(event, (data) => {
+                if (!this._validateEvent(event, data)) return;
+                this.handleButtonEvent(event);
+            });
+        }
+
+        this.simplisafe.subscribeToSensor(this.subId, this.id, sensor => {
+            if (this.batteryService) this.updateBatteryState(sensor);
+        });
+    }
+
+    handleButtonEvent(event) {
+        let button = BUTTON_EVENTS[event];
+
+        // Arming with an exit delay sends a second event once the delay expires, only the first one is a button press
+        if ((event == EVENT_TYPES.AWAY_ARM || event == EVENT_TYPES.HOME_ARM) && this.pendingArmButton == button) {
+            this.pendingArmButton = null;
+            return;
+        }
+        this.pendingArmButton = (event == EVENT_TYPES.AWAY_EXIT_DELAY || event == EVENT_TYPES.HOME_EXIT_DELAY) ? button : null;
+
+        let service = this.buttonServices[button];
+        if (!service) return;
+
+        if (this.debug) this.log(`${this.name} '${button}' button pressed`);
+        service.updateCharacteristic(this.api.hap.Characteristic.ProgrammableSwitchEvent, this.api.hap.Characteristic.ProgrammableSwitchEvent.SINGLE_PRESS);
+    }
+
+    _validateEvent(event, data) {
+        // a press missed while real time events were disconnected is too late to run automations
+        if (data && data.replayed) return false;
+        let valid = this.buttonServices && data && data.sensorSerial && data.sensorSerial == this.id;
+        if (this.debug && valid) this.log(`Remote '${this.name}' received event: ${event}`);
+        return valid;
+    }
+
+    updateBatteryState(sensor) {
+        if (sensor.flags) {
+            if (sensor.flags.lowBattery) {
+                this.batteryService.updateCharacteristic(this.api.hap.Characteristic.StatusLowBattery, this.api.hap.Characteristic.StatusLowBattery.BATTERY_LEVEL_LOW);
+            } else {
+                this.batteryService.updateCharacteristic(this.api.hap.Characteristic.StatusLowBattery, this.api.hap.Characteristic.StatusLowBattery.BATTERY_LEVEL_NORMAL);
+            }
+        }
+    }
+
+    async refreshState() {
+        if (this.debug) this.log('Refreshing remote battery state');
+        try {
+            let sensor = await this.getSensorInformation();
+            if (!sensor.flags) {
+                throw new Error('Sensor response not understood');
+            }
+
+            this.updateBatteryState(sensor);
+
+            if (this.debug) this.log(`Updated current battery state for ${this.name}: ${sensor.flags.lowBattery}`);
+        } catch (err) {
+            this.log.error('An error occurred while refreshing state');
+            this.log.error(err);
+        }
+    }
+
+}
+
+export default SS3Remote;
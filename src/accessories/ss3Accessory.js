@@ -1,8 +1,16 @@
+export const CONTROL_POLICIES = {
+    FULL: 'full',
+    ARM_ONLY: 'armOnly', // may arm / lock but not disarm / unlock
+    READ_ONLY: 'readOnly'
+};
+
 class SimpliSafe3Accessory {
     services = [];
+    controlPolicy = CONTROL_POLICIES.FULL;
 
-    constructor (name, id, log, debug, simplisafe, api) {
+    constructor (name, id, subId, log, debug, simplisafe, api) {
         this.id = id;
+        this.subId = subId;
         this.log = log;
         this.debug = debug;
         this.name = name;
@@ -28,6 +36,26 @@ class SimpliSafe3Accessory {
         this.accessory.on('identify', (paired, callback) => this.identify(callback));
     }
 
+    /**
+     * Limits the values HomeKit offers for a target state characteristic to those allowed by the control policy.
+     * Under arm-only the current value always stays valid, otherwise HomeKit could not show e.g. a disarmed system.
+     */
+    applyControlPolicy(characteristic, validValues, armValues, currentValue = characteristic.value) {
+        let props = { validValues: validValues };
+        if (this.controlPolicy == CONTROL_POLICIES.ARM_ONLY) {
+            props.validValues = validValues.filter(value => armValues.includes(value) || value == currentValue);
+        } else if (this.controlPolicy == CONTROL_POLICIES.READ_ONLY) {
+            props.perms = [this.api.hap.Perms.PAIRED_READ, this.api.hap.Perms.NOTIFY];
+        }
+        characteristic.setProps(props);
+    }
+
+    isControlAllowed(value, armValues) {
+        if (this.controlPolicy == CONTROL_POLICIES.READ_ONLY) return false;
+        if (this.controlPolicy == CONTROL_POLICIES.ARM_ONLY) return armValues.includes(value);
+        return true;
+    }
+
     setupServices(accessory) {
         for (let service of this.services) {
             accessory.addService(service);
@@ -0,0 +1,140 @@
+import SimpliSafe3Accessory from './ss3Accessory';
+
+const MAX_VOLUME = 3;
+const DEFAULT_CHIME_VOLUME = 2;
+// chime and volume rarely change outside HomeKit, so they are not worth a request on every alarm refresh
+const SETTINGS_REFRESH_INTERVAL = 10 * 60 * 1000; // ms
+
+class SS3SystemSettings extends SimpliSafe3Accessory {
+
+    constructor(name, id, subId, log, debug, simplisafe, api) {
+        super(name, id, subId, log, debug, simplisafe, api);
+        // the alarm accessory already uses the system serial for its uuid
+        this.uuid = this.api.hap.uuid.generate(`${id}:settings`);
+        this.reachable = true;
+        this.lastRefresh = 0;
+
+        this.simplisafe.subscribeToAlarmSystem(this.subId, this.id, () => {
+            // settings changed in the SimpliSafe app or on the keypad are not pushed as events
+            if (this.chimeService && Date.now() - this.lastRefresh >= SETTINGS_REFRESH_INTERVAL) this.refreshState(true);
+        });
+    }
+
+    setupServices(accessory) {
+        accessory.addService(this.api.hap.Service.Switch, `${this.name} Door Chime`, 'doorchime');
+        accessory.addService(this.api.hap.Service.Lightbulb, `${this.name} Voice Prompt Volume`, 'voiceprompts');
+    }
+
+    setAccessory(accessory) {
+        super.setAccessory(accessory);
+
+        this.accessory.getService(this.api.hap.Service.AccessoryInformation)
+            .setCharacteristic(this.api.hap.Characteristic.Manufacturer, 'SimpliSafe')
+            .setCharacteristic(this.api.hap.Characteristic.Model, 'System Settings')
+            .setCharacteristic(this.api.hap.Characteristic.SerialNumber, this.id);
+
+        this.chimeService = this.accessory.getServiceById(this.api.hap.Service.Switch, 'doorchime');
+        this.chimeService.getCharacteristic(this.api.hap.Characteristic.On)
+            .on('get', callback => this.getState(callback, this.chimeService, this.api.hap.Characteristic.On))
+            .on('set', async (on, callback) => this.setDoorChime(on, callback));
+
+        // HomeKit has no volume control the Home app shows, so use a dimmable light's brightness as the slider
+        this.voicePromptService = this.accessory.getServiceById(this.api.hap.Service.Lightbulb, 'voiceprompts');
+        this.voicePromptService.getCharacteristic(this.api.hap.Characteristic.On)
+            .on('get', callback => this.getState(callback, this.voicePromptService, this.api.hap.Characteristic.On))
+            .on('set', async (on, callback) => this.setVoicePromptsOn(on, callback));
+        this.voicePromptService.getCharacteristic(this.api.hap.Characteristic.Brightness)
+            .on('get', callback => this.getState(callback, this.voicePromptService, this.api.hap.Characteristic.Brightness))
+            .on('set', async (brightness, callback) => this.setVoicePromptVolume(this.brightnessToVolume(brightness), callback));
+
+        this.refreshState();
+    }
+
+    async updateReachability() {
+        try {
+            let system = await this.simplisafe.getAlarmSystem(this.subId);
+            this.reachable = system.connType == 'wifi' || system.connType == 'cell';
+            if (this.debug) this.log(`Reachability updated for ${this.name}: ${this.reachable}`);
+            return this.reachable;
+        } catch (err) {
+            this.log.error(`An error occurred while updating reachability for ${this.name}`);
+            this.log.error(err);
+        }
+    }
+
+    getState(callback, service, characteristicType) {
+        if (this.simplisafe.isBlocked && Date.now() < this.simplisafe.nextAttempt) {
+            return callback(new Error('Request blocked (rate limited)'));
+        }
+
+        let characteristic = service.getCharacteristic(characteristicType);
+        return callback(null, characteristic.value);
+    }
+
+    volumeToBrightness(volume) {
+        return Math.round(volume * 100 / MAX_VOLUME);
+    }
+
+    brightnessToVolume(brightness) {
+        return Math.round(brightness * MAX_VOLUME / 100);
+    }
+
+    async setDoorChime(on, callback) {
+        // turning the chime back on restores the volume it had before it was switched off
+        let volume = on ? (this.accessory.context.doorChimeVolume || DEFAULT_CHIME_VOLUME) : 0;
+        await this.updateSettings({ doorChime: volume }, callback);
+    }
+
+    async setVoicePromptsOn(on, callback) {
+        let current = this.brightnessToVolume(this.voicePromptService.getCharacteristic(this.api.hap.Characteristic.Brightness).value);
+        if (on && current > 0) return callback(null); // brightness is set separately when dragging the slider
+        await this.setVoicePromptVolume(on ? (this.accessory.context.voicePromptVolume || MAX_VOLUME) : 0, callback);
+    }
+
+    async setVoicePromptVolume(volume, callback) {
+        await this.updateSettings({ voicePrompts: volume }, callback);
+    }
+
+    async updateSettings(settings, callback) {
+        if (this.debug) this.log(`Updating settings for ${this.name}: ${JSON.stringify(settings)}`);
+        try {
+            let updated = await this.simplisafe.setSettings(this.subId, settings);
+            this.updateSettingsState({ ...settings, ...updated });
+            callback(null);
+        } catch (err) {
+            this.log.error(`An error occurred while updating settings for ${this.name}:`, err);
+            callback(new Error(`An error occurred while updating settings: ${err}`));
+        }
+    }
+
+    updateSettingsState(settings) {
+        if (settings.doorChime !== undefined) {
+            if (settings.doorChime > 0) this.accessory.context.doorChimeVolume = settings.doorChime;
+            this.chimeService.updateCharacteristic(this.api.hap.Characteristic.On, settings.doorChime > 0);
+        }
+
+        if (settings.voicePrompts !== undefined) {
+            if (settings.voicePrompts > 0) this.accessory.context.voicePromptVolume = settings.voicePrompts;
+            this.voicePromptService.updateCharacteristic(this.api.hap.Characteristic.On, settings.voicePrompts > 0);
+            if (settings.voicePrompts > 0) {
+                this.voicePromptService.updateCharacteristic(this.api.hap.Characteristic.Brightness, this.volumeToBrightness(settings.voicePrompts));
+            }
+        }
+    }
+
+    async refreshState(forceRefresh = false) {
+        if (this.debug) this.log('Refreshing system settings');
+        this.lastRefresh = Date.now();
+        try {
+            let settings = await this.simplisafe.getSettings(this.subId, forceRefresh);
+            this.updateSettingsState(settings);
+            if (this.debug) this.log(`Updated door chime, voice prompt volume for ${this.name}: ${settings.doorChime}, ${settings.voicePrompts}`);
+        } catch (err) {
+            this.log.error('An error occurred while refreshing state');
+            this.log.error(err);
+        }
+    }
+
+}
+
+export default SS3SystemSettings;
@@ -1,15 +1,25 @@
 import SimpliSafe3, { SENSOR_TYPES, RateLimitError } from './simplisafe';
 import SimpliSafe3AuthenticationManager from './lib/authManager';
 import Alarm from './accessories/alarm';
+import AlarmSource from './accessories/alarmSource';
+import AlarmCategorySensors from './accessories/alarmCategorySensors';
+import DelaySensors from './accessories/delaySensors';
+import SystemSettings from './accessories/systemSettings';
+import BaseStation from './accessories/baseStation';
 import EntrySensor from './accessories/entrySensor';
+import GlassBreakSensor from './accessories/glassBreakSensor';
 import MotionSensor from './accessories/motionSensor';
 import SmokeDetector from './accessories/smokeDetector';
 import CODetector from './accessories/coDetector';
 import WaterSensor from './accessories/waterSensor';
 import FreezeSensor from './accessories/freezeSensor';
+import Remote from './accessories/remote';
 import DoorLock from './accessories/doorLock';
 import Camera from './accessories/camera';
 import UnreachableAccessory from './accessories/unreachableAccessory';
+import RestreamServer from './lib/restreamServer';
+import FfmpegSupervisor from './lib/ffmpegSupervisor';
+import { CONTROL_POLICIES } from './accessories/ss3Accessory';
 
 const PLUGIN_NAME = 'homebridge-simplisafe3';
 const PLATFORM_NAME = 'SimpliSafe 3';
@@ -23,6 +33,8 @@ class SS3Platform {
         this.name = config.name;
         this.enableCameras = config.cameras || false;
         this.cameraOptions = config.cameraOptions || null;
+        this.alarmOptions = config.alarmOptions || null;
+        this.controlPolicies = config.controlPolicies || [];
         this.debug = config.debug || false;
         this.persistAccessories = config.persistAccessories !== undefined ? config.persistAccessories : true;
         this.excludedDevices = config.excludedDevices || [];
@@ -41,6 +53,30 @@ class SS3Platform {
         this.authManager = new SimpliSafe3AuthenticationManager(this.api.user.storagePath(), log, this.debug);
         this.simplisafe = new SimpliSafe3(refreshInterval, this.authManager, this.api.user.storagePath(), log, this.debug);
 
+        if (this.enableCameras) {
+            this.ffmpegSupervisor = new FfmpegSupervisor(log, this.debug, api);
+        }
+
+        if (this.enableCameras && this.cameraOptions && this.cameraOptions.restream && this.cameraOptions.restream.enabled) {
+            this.restreamServer = new RestreamServer(this.cameraOptions.restream, log, this.debug, api).start();
+        }
+
+        if (config.sensorRefreshPolicy) {
+            let policy = {};
+            for (let mode of ['off', 'home', 'away', 'disconnected']) {
+                if (config.sensorRefreshPolicy[mode]) policy[mode] = config.sensorRefreshPolicy[mode] * 1000;
+            }
+            this.simplisafe.setSensorRefreshPolicy(policy);
+        }
+
+        if (config.requestBudget) {
+            this.simplisafe.setRequestBudget({
+                budget: config.requestBudget.requests,
+                budgetInterval: config.requestBudget.interval ? config.requestBudget.interval * 1000 : undefined,
+                maxConcurrent: config.requestBudget.maxConcurrent
+            });
+        }
+
         if (config.subscriptionId) {
             if (this.debug) this.log(`Specifying account number: ${config.subscriptionId}`);
             this.simplisafe.setDefaultSubscription(config.subscriptionId);
@@ -151,211 +187,350 @@ class SS3Platform {
     async discoverSimpliSafeDevices() {
         if (this.debug) this.log('Discovering devices from SimpliSafe');
         try {
-            let subscription = await this.simplisafe.getSubscription();
-            if (subscription.location.system.serial == null) throw new Error('System serial not found.');
-            let uuid = UUIDGen.generate(subscription.location.system.serial);
-            let alarm = this.accessories.find(acc => acc.UUID === uuid);
-
-            if (!alarm) {
-                const alarmAccessory = new Alarm(
-                    'SimpliSafe 3',
+            let subscriptions = await this.simplisafe.getSubscriptions();
+            if (this.debug && subscriptions.length > 1) this.log(`Found ${subscriptions.length} SimpliSafe locations: ${subscriptions.map(s => s.location.account).join(', ')}`);
+            for (let subscriptionInfo of subscriptions) {
+                await this.discoverSubscriptionDevices(subscriptionInfo.sid, subscriptions.length > 1);
+            }
+        } catch (err) {
+            if (err instanceof RateLimitError) {
+                this.log.error('Accessory refresh failed due to rate limiting or connectivity:', err.toJSON ? err.toJSON() : err);
+                this.log.info('Note: this error can also occur if you are not signed up for a SimpliSafe monitoring plan.');
+            } else {
+                this.log.error('An error occurred while refreshing accessories:', err.toJSON ? err.toJSON() : err);
+            }
+            throw err;
+        }
+
+    }
+
+    async discoverSubscriptionDevices(subId, multipleLocations = false) {
+        let subscription = await this.simplisafe.getSubscription(subId);
+        if (subscription.location.system.serial == null) throw new Error('System serial not found.');
+        let uuid = UUIDGen.generate(subscription.location.system.serial);
+        let alarm = this.accessories.find(acc => acc.UUID === uuid);
+
+        if (!alarm) {
+            // distinguish alarms by location when there is more than one
+            let alarmName = multipleLocations ? `SimpliSafe 3 ${subscription.location.street1 || subscription.location.account}` : 'SimpliSafe 3';
+            const alarmAccessory = new Alarm(
+                alarmName,
+                subscription.location.system.serial,
+                subId,
+                { ...this.alarmOptions, controlPolicy: this.getControlPolicy(subscription.location.system.serial) },
+                this.log,
+                this.debug,
+                this.simplisafe,
+                this.api
+            );
+
+            this.devices.push(alarmAccessory);
+        }
+
+        let baseStation = this.accessories.find(acc => acc.UUID === UUIDGen.generate(`${subscription.location.system.serial}:basestation`));
+        if (!baseStation) {
+            const baseStationAccessory = new BaseStation(
+                multipleLocations ? `Base Station ${subscription.location.street1 || subscription.location.account}` : 'Base Station',
+                subscription.location.system.serial,
+                subId,
+                this.log,
+                this.debug,
+                this.simplisafe,
+                this.api
+            );
+
+            this.devices.push(baseStationAccessory);
+        }
+
+        if (this.alarmOptions && this.alarmOptions.alarmSource) {
+            let alarmSource = this.accessories.find(acc => acc.UUID === UUIDGen.generate(`${subscription.location.system.serial}:alarmsource`));
+            if (!alarmSource) {
+                const alarmSourceAccessory = new AlarmSource(
+                    multipleLocations ? `Alarm Source ${subscription.location.street1 || subscription.location.account}` : 'Alarm Source',
                     subscription.location.system.serial,
+                    subId,
                     this.log,
                     this.debug,
                     this.simplisafe,
                     this.api
                 );
 
-                this.devices.push(alarmAccessory);
+                this.devices.push(alarmSourceAccessory);
             }
+        }
 
-            let sensors = await this.simplisafe.getSensors();
-            for (let sensor of sensors) {
-                if (sensor.type == SENSOR_TYPES.KEYPAD ||
-                    sensor.type == SENSOR_TYPES.KEYCHAIN ||
-                    sensor.type == SENSOR_TYPES.PANIC_BUTTON ||
-                    sensor.type == SENSOR_TYPES.GLASSBREAK_SENSOR ||
-                    sensor.type == SENSOR_TYPES.SIREN ||
-                    sensor.type == SENSOR_TYPES.SIREN_2 ||
-                    sensor.type == SENSOR_TYPES.DOORLOCK ||
-                    sensor.type == SENSOR_TYPES.DOORLOCK_2) {
-                    // Ignore as no data is provided by SimpliSafe
-                    // Door locks are configured below
-                    continue;
+        if (this.alarmOptions && this.alarmOptions.alarmCategorySensors) {
+            let alarmCategorySensors = this.accessories.find(acc => acc.UUID === UUIDGen.generate(`${subscription.location.system.serial}:alarmcategories`));
+            if (!alarmCategorySensors) {
+                const alarmCategorySensorsAccessory = new AlarmCategorySensors(
+                    multipleLocations ? `Alarm ${subscription.location.street1 || subscription.location.account}` : 'Alarm',
+                    subscription.location.system.serial,
+                    subId,
+                    this.log,
+                    this.debug,
+                    this.simplisafe,
+                    this.api
+                );
+
+                this.devices.push(alarmCategorySensorsAccessory);
+            }
+        }
+
+        if (this.alarmOptions && this.alarmOptions.delaySensors) {
+            let delaySensors = this.accessories.find(acc => acc.UUID === UUIDGen.generate(`${subscription.location.system.serial}:delays`));
+            if (!delaySensors) {
+                const delaySensorsAccessory = new DelaySensors(
+                    multipleLocations ? `Alarm Delays ${subscription.location.street1 || subscription.location.account}` : 'Alarm Delays',
+                    subscription.location.system.serial,
+                    subId,
+                    this.log,
+                    this.debug,
+                    this.simplisafe,
+                    this.api
+                );
+
+                this.devices.push(delaySensorsAccessory);
+            }
+        }
+
+        if (this.alarmOptions && this.alarmOptions.systemSettings) {
+            let systemSettings = this.accessories.find(acc => acc.UUID === UUIDGen.generate(`${subscription.location.system.serial}:settings`));
+            if (!systemSettings) {
+                const systemSettingsAccessory = new SystemSettings(
+                    multipleLocations ? `System Settings ${subscription.location.street1 || subscription.location.account}` : 'System Settings',
+                    subscription.location.system.serial,
+                    subId,
+                    this.log,
+                    this.debug,
+                    this.simplisafe,
+                    this.api
+                );
+
+                this.devices.push(systemSettingsAccessory);
+            }
+        }
+
+        let sensors = await this.simplisafe.getSensors(subId);
+        for (let sensor of sensors) {
+            if (sensor.type == SENSOR_TYPES.KEYPAD ||
+                sensor.type == SENSOR_TYPES.SIREN ||
+                sensor.type == SENSOR_TYPES.SIREN_2 ||
+                sensor.type == SENSOR_TYPES.DOORLOCK ||
+                sensor.type == SENSOR_TYPES.DOORLOCK_2) {
+                // Ignore as no data is provided by SimpliSafe
+                // Door locks are configured below
+                continue;
+            }
+
+            let uuid = UUIDGen.generate(sensor.serial);
+            let accessory = this.accessories.find(acc => acc.UUID === uuid);
+            let sensorName = sensor.name;
+            if (this.debug) {
+                this.log(`Discovered sensor '${sensor.name}' from SimpliSafe:`, JSON.stringify(sensor));
+            }
+
+            if (sensor.serial && this.excludedDevices.includes(sensor.serial)) {
+                this.log.info(`Excluding sensor with serial '${sensor.serial}'`);
+                continue;
+            }
+
+            if (sensor.type == SENSOR_TYPES.ENTRY_SENSOR) {
+                if (!accessory) {
+                    sensorName = sensorName || `Entry Sensor ${sensor.serial}`;
+                    const sensorAccessory = new EntrySensor(
+                        sensorName,
+                        sensor.serial,
+                        subId,
+                        this.log,
+                        this.debug,
+                        this.simplisafe,
+                        this.api
+                    );
+
+                    this.devices.push(sensorAccessory);
                 }
+            } else if (sensor.type == SENSOR_TYPES.GLASSBREAK_SENSOR) {
+                if (!accessory) {
+                    sensorName = sensorName || `Glass Break Sensor ${sensor.serial}`;
+                    const sensorAccessory = new GlassBreakSensor(
+                        sensorName,
+                        sensor.serial,
+                        subId,
+                        this.log,
+                        this.debug,
+                        this.simplisafe,
+                        this.api
+                    );
 
-                let uuid = UUIDGen.generate(sensor.serial);
-                let accessory = this.accessories.find(acc => acc.UUID === uuid);
-                let sensorName = sensor.name;
-                if (this.debug) {
-                    this.log(`Discovered sensor '${sensor.name}' from SimpliSafe:`, JSON.stringify(sensor));
+                    this.devices.push(sensorAccessory);
                 }
+            } else if (sensor.type == SENSOR_TYPES.CO_SENSOR) {
+                if (!accessory) {
+                    sensorName = sensorName || `CO Detector ${sensor.serial}`;
+                    const sensorAccessory = new CODetector(
+                        sensorName,
+                        sensor.serial,
+                        subId,
+                        this.log,
+                        this.debug,
+                        this.simplisafe,
+                        this.api
+                    );
 
-                if (sensor.serial && this.excludedDevices.includes(sensor.serial)) {
-                    this.log.info(`Excluding sensor with serial '${sensor.serial}'`);
-                    continue;
+                    this.devices.push(sensorAccessory);
                 }
+            } else if (sensor.type == SENSOR_TYPES.SMOKE_SENSOR) {
+                if (!accessory) {
+                    sensorName = sensorName || `Smoke Detector ${sensor.serial}`;
+                    const sensorAccessory = new SmokeDetector(
+                        sensorName,
+                        sensor.serial,
+                        subId,
+                        this.log,
+                        this.debug,
+                        this.simplisafe,
+                        this.api
+                    );
 
-                if (sensor.type == SENSOR_TYPES.ENTRY_SENSOR) {
-                    if (!accessory) {
-                        sensorName = sensorName || `Entry Sensor ${sensor.serial}`;
-                        const sensorAccessory = new EntrySensor(
-                            sensorName,
-                            sensor.serial,
-                            this.log,
-                            this.debug,
-                            this.simplisafe,
-                            this.api
-                        );
-
-                        this.devices.push(sensorAccessory);
-                    }
-                } else if (sensor.type == SENSOR_TYPES.CO_SENSOR) {
-                    if (!accessory) {
-                        sensorName = sensorName || `CO Detector ${sensor.serial}`;
-                        const sensorAccessory = new CODetector(
-                            sensorName,
-                            sensor.serial,
-                            this.log,
-                            this.debug,
-                            this.simplisafe,
-                            this.api
-                        );
-
-                        this.devices.push(sensorAccessory);
-                    }
-                } else if (sensor.type == SENSOR_TYPES.SMOKE_SENSOR) {
-                    if (!accessory) {
-                        sensorName = sensorName || `Smoke Detector ${sensor.serial}`;
-                        const sensorAccessory = new SmokeDetector(
-                            sensorName,
-                            sensor.serial,
-                            this.log,
-                            this.debug,
-                            this.simplisafe,
-                            this.api
-                        );
-
-                        this.devices.push(sensorAccessory);
-                    }
-                } else if (sensor.type == SENSOR_TYPES.WATER_SENSOR) {
-                    if (!accessory) {
-                        sensorName = sensorName || `Water Sensor ${sensor.serial}`;
-                        const sensorAccessory = new WaterSensor(
-                            sensorName,
-                            sensor.serial,
-                            this.log,
-                            this.debug,
-                            this.simplisafe,
-                            this.api
-                        );
-
-                        this.devices.push(sensorAccessory);
-                    }
-                } else if (sensor.type == SENSOR_TYPES.FREEZE_SENSOR) {
-                    if (!accessory) {
-                        sensorName = sensorName || `Freeze Sensor ${sensor.serial}`;
-                        const sensorAccessory = new FreezeSensor(
-                            sensorName,
-                            sensor.serial,
-                            this.log,
-                            this.debug,
-                            this.simplisafe,
-                            this.api
-                        );
-
-                        this.devices.push(sensorAccessory);
-                    }
-                } else if (sensor.type == SENSOR_TYPES.MOTION_SENSOR) {
-                    sensorName = sensorName || `Motion Sensor ${sensor.serial}`;
-                    // Check if secret alerts are enabled
-                    if (sensor.setting.off == 0 || sensor.setting.home == 0 || sensor.setting.away == 0) {
-                        this.log.warn(`Motion Sensor '${sensorName}' requires secret alerts to be enabled in SimpliSafe before you can add it to Homebridge.`);
-                        continue;
-                    }
-                    if (!accessory) {
-                        const sensorAccessory = new MotionSensor(
-                            sensorName,
-                            sensor.serial,
-                            this.log,
-                            this.debug,
-                            this.simplisafe,
-                            this.api
-                        );
-
-                        this.devices.push(sensorAccessory);
-                    }
-                } else {
-                    this.log.warn(`Sensor not (yet) supported: ${sensor.name}`);
-                    this.log.warn(sensor);
+                    this.devices.push(sensorAccessory);
                 }
-            }
+            } else if (sensor.type == SENSOR_TYPES.WATER_SENSOR) {
+                if (!accessory) {
+                    sensorName = sensorName || `Water Sensor ${sensor.serial}`;
+                    const sensorAccessory = new WaterSensor(
+                        sensorName,
+                        sensor.serial,
+                        subId,
+                        this.log,
+                        this.debug,
+                        this.simplisafe,
+                        this.api
+                    );
 
-            let locks = await this.simplisafe.getLocks();
-            for (let lock of locks) {
-                let lockName = lock.name || `Smart Lock ${lock.serial}`;
-                let uuid = UUIDGen.generate(lock.serial);
+                    this.devices.push(sensorAccessory);
+                }
+            } else if (sensor.type == SENSOR_TYPES.FREEZE_SENSOR) {
+                if (!accessory) {
+                    sensorName = sensorName || `Freeze Sensor ${sensor.serial}`;
+                    const sensorAccessory = new FreezeSensor(
+                        sensorName,
+                        sensor.serial,
+                        subId,
+                        this.log,
+                        this.debug,
+                        this.simplisafe,
+                        this.api
+                    );
 
-                if (this.debug) {
-                    this.log(`Discovered door lock '${lockName}' from SimpliSafe:`, JSON.stringify(lock));
+                    this.devices.push(sensorAccessory);
                 }
+            } else if (sensor.type == SENSOR_TYPES.KEYCHAIN || sensor.type == SENSOR_TYPES.PANIC_BUTTON) {
+                if (!accessory) {
+                    sensorName = sensorName || `${sensor.type == SENSOR_TYPES.PANIC_BUTTON ? 'Panic Button' : 'Keychain Remote'} ${sensor.serial}`;
+                    const remoteAccessory = new Remote(
+                        sensorName,
+                        sensor.serial,
+                        subId,
+                        sensor.type,
+                        this.log,
+                        this.debug,
+                        this.simplisafe,
+                        this.api
+                    );
 
-                let accessory = this.accessories.find(acc => acc.UUID === uuid);
+                    this.devices.push(remoteAccessory);
+                }
+            } else if (sensor.type == SENSOR_TYPES.MOTION_SENSOR) {
+                sensorName = sensorName || `Motion Sensor ${sensor.serial}`;
+                // Check if secret alerts are enabled
+                if (sensor.setting.off == 0 || sensor.setting.home == 0 || sensor.setting.away == 0) {
+                    this.log.warn(`Motion Sensor '${sensorName}' requires secret alerts to be enabled in SimpliSafe before you can add it to Homebridge.`);
+                    continue;
+                }
                 if (!accessory) {
-                    const lockAccessory = new DoorLock(
-                        lockName,
-                        lock.serial,
+                    const sensorAccessory = new MotionSensor(
+                        sensorName,
+                        sensor.serial,
+                        subId,
                         this.log,
                         this.debug,
                         this.simplisafe,
                         this.api
                     );
 
-                    this.devices.push(lockAccessory);
+                    this.devices.push(sensorAccessory);
                 }
+            } else {
+                this.log.warn(`Sensor not (yet) supported: ${sensor.name}`);
+                this.log.warn(sensor);
+            }
+        }
+
+        let locks = await this.simplisafe.getLocks(subId);
+        for (let lock of locks) {
+            let lockName = lock.name || `Smart Lock ${lock.serial}`;
+            let uuid = UUIDGen.generate(lock.serial);
 
+            if (this.debug) {
+                this.log(`Discovered door lock '${lockName}' from SimpliSafe:`, JSON.stringify(lock));
             }
 
-            if (this.enableCameras) {
-                let cameras = await this.simplisafe.getCameras();
+            let accessory = this.accessories.find(acc => acc.UUID === uuid);
+            if (!accessory) {
+                const lockAccessory = new DoorLock(
+                    lockName,
+                    lock.serial,
+                    subId,
+                    { controlPolicy: this.getControlPolicy(lock.serial) },
+                    this.log,
+                    this.debug,
+                    this.simplisafe,
+                    this.api
+                );
 
-                for (let camera of cameras) {
-                    let cameraName = camera.cameraSettings.cameraName || `Camera ${camera.uuid}`;
-                    let uuid = UUIDGen.generate(camera.uuid);
+                this.devices.push(lockAccessory);
+            }
 
-                    if (this.debug) {
-                        this.log(`Discovered camera '${cameraName}' from SimpliSafe:`, JSON.stringify(camera));
-                    }
+        }
 
-                    let cameraAccessory = this.accessories.find(acc => acc.UUID === uuid);
-                    if (!cameraAccessory) {
-                        const cameraAccessory = new Camera(
-                            cameraName,
-                            camera.uuid,
-                            camera,
-                            this.cameraOptions,
-                            this.log,
-                            this.debug,
-                            this.simplisafe,
-                            this.authManager,
-                            this.api
-                        );
-                        if (cameraAccessory.isUnsupported()) this.log.warn(`Detected unsupported camera ${cameraName}, some features will be disabled.`);
-
-                        this.devices.push(cameraAccessory);
-                    }
+        if (this.enableCameras) {
+            let cameras = await this.simplisafe.getCameras(subId);
+
+            for (let camera of cameras) {
+                let cameraName = camera.cameraSettings.cameraName || `Camera ${camera.uuid}`;
+                let uuid = UUIDGen.generate(camera.uuid);
+
+                if (this.debug) {
+                    this.log(`Discovered camera '${cameraName}' from SimpliSafe:`, JSON.stringify(camera));
+                }
+
+                let cameraAccessory = this.accessories.find(acc => acc.UUID === uuid);
+                if (!cameraAccessory) {
+                    const cameraAccessory = new Camera(
+                        cameraName,
+                        camera.uuid,
+                        subId,
+                        camera,
+                        this.cameraOptions,
+                        this.log,
+                        this.debug,
+                        this.simplisafe,
+                        this.authManager,
+                        this.ffmpegSupervisor,
+                        this.api
+                    );
+                    if (cameraAccessory.isUnsupported()) this.log.warn(`Detected unsupported camera ${cameraName}, some features will be disabled.`);
+                    if (this.restreamServer) this.restreamServer.addCamera(cameraAccessory);
+
+                    this.devices.push(cameraAccessory);
                 }
             }
-        } catch (err) {
-            if (err instanceof RateLimitError) {
-                this.log.error('Accessory refresh failed due to rate limiting or connectivity:', err.toJSON ? err.toJSON() : err);
-                this.log.info('Note: this error can also occur if you are not signed up for a SimpliSafe monitoring plan.');
-            } else {
-                this.log.error('An error occurred while refreshing accessories:', err.toJSON ? err.toJSON() : err);
-            }
-            throw err;
         }
+    }
 
+    getControlPolicy(serialNumber) {
+        let controlPolicy = this.controlPolicies.find(p => p.serialNumber == serialNumber);
+        return controlPolicy ? controlPolicy.policy : CONTROL_POLICIES.FULL;
     }
 
     updateAccessoriesReachability() {
@@ -22,8 +22,10 @@ export const AUTH_STATES = {
 
 export const N_LOGIN_STEPS = 9;
 
+const SS_OAUTH_URL = 'https://auth.simplisafe.com/oauth';
+
 const ssOAuth = axios.create({
-    baseURL: 'https://auth.simplisafe.com/oauth'
+    baseURL: SS_OAUTH_URL
 });
 axiosRetry(ssOAuth, { retries: 3 });
 
@@ -38,6 +40,7 @@ const accountsFilename = 'simplisafe3auth.json';
 
 class SimpliSafe3AuthenticationManager extends events.EventEmitter {
     storagePath;
+    oauthUrl = SS_OAUTH_URL;
     accessToken;
     refreshToken;
     tokenType = 'Bearer';
@@ -147,6 +150,8 @@ class SimpliSafe3AuthenticationManager extends events.EventEmitter {
                 code_verifier: this.codeVerifier,
                 code: authorizationCode,
                 redirect_uri: SS_OAUTH_REDIRECT_URI,
+            }, {
+                baseURL: this.oauthUrl
             });
 
             await this._storeToken(tokenResponse.data);
@@ -167,6 +172,7 @@ class SimpliSafe3AuthenticationManager extends events.EventEmitter {
                 client_id: SS_OAUTH_CLIENT_ID,
                 refresh_token: this.refreshToken
             }, {
+                baseURL: this.oauthUrl,
                 headers: { // SS seems to need these...
                     'Host': 'auth.simplisafe.com',
                     'Content-Type': 'application/json',
@@ -0,0 +1,28 @@
+import dns from 'dns';
+import { promisify } from 'util';
+
+const dnsLookup = promisify(dns.lookup);
+
+const MEDIA_HOSTNAME = 'media.simplisafe.com';
+let mediaServerAddress = null;
+
+/**
+ * Gets a camera's source resolution from its picture quality, e.g. 1280x720 for 720p
+ */
+export function getSourceResolution(pictureQuality) {
+    let height = +(pictureQuality.split('p')[0]);
+    return [Math.round(height * 16 / 9), height];
+}
+
+/**
+ * Resolves the address camera feeds are pulled from, falling back to the last one found if DNS fails
+ */
+export async function resolveMediaServer() {
+    try {
+        let newIpAddress = await dnsLookup(MEDIA_HOSTNAME);
+        mediaServerAddress = newIpAddress.address;
+    } catch (err) {
+        if (!mediaServerAddress) throw new Error(`Could not resolve hostname for ${MEDIA_HOSTNAME}`);
+    }
+    return mediaServerAddress;
+}
@@ -0,0 +1,28 @@
+// Custom HomeKit characteristics, only visible in third party HomeKit apps e.g. Eve or Controller
+
+let customCharacteristics;
+
+export default function getCustomCharacteristics(hap) {
+    if (customCharacteristics) return customCharacteristics;
+
+    class RemainingDelay extends hap.Characteristic {
+        static UUID = '5B0E2F1A-7C3D-4E8B-9A61-3F2D1C0B5E01';
+
+        constructor() {
+            super('Remaining Delay', RemainingDelay.UUID, {
+                format: hap.Formats.UINT32,
+                unit: hap.Units.SECONDS,
+                minValue: 0,
+                maxValue: 3600,
+                minStep: 1,
+                perms: [hap.Perms.PAIRED_READ, hap.Perms.NOTIFY]
+            });
+            this.value = this.getDefaultValue();
+        }
+    }
+
+    customCharacteristics = {
+        RemainingDelay
+    };
+    return customCharacteristics;
+}
@@ -0,0 +1,175 @@
+import fs from 'fs';
+import path from 'path';
+
+import { getSourceResolution, resolveMediaServer } from './cameraFeed';
+
+export const DEFAULT_CLIPS_DIRECTORY = 'simplisafe3-clips';
+const DEFAULT_DURATION = 15;
+const INDEX_FILE = 'index.json';
+// time allowed on top of the clip length to connect to the camera
+const CONNECT_TIMEOUT = 30;
+
+/**
+ * Resolves the configured clips directory, which has to be inside the Homebridge storage path
+ */
+export function getClipsDirectory(storagePath, directory, log) {
+    let clipsDirectory = path.resolve(storagePath, directory || DEFAULT_CLIPS_DIRECTORY);
+    if (path.relative(storagePath, clipsDirectory).startsWith('..')) {
+        log.warn(`Clips directory ${clipsDirectory} is outside the Homebridge storage path, using ${DEFAULT_CLIPS_DIRECTORY} instead`);
+        clipsDirectory = path.resolve(storagePath, DEFAULT_CLIPS_DIRECTORY);
+    }
+    return clipsDirectory;
+}
+
+/**
+ * Saves a few seconds of a camera's feed to disk when motion is detected or the doorbell is pressed
+ */
+class ClipRecorder {
+    constructor(ss3Camera, clipOptions, clipsDirectory) {
+        this.ss3Camera = ss3Camera;
+        this.log = ss3Camera.log;
+        this.simplisafe = ss3Camera.simplisafe;
+
+        this.directory = path.join(clipsDirectory, ss3Camera.id);
+        this.duration = clipOptions.duration || DEFAULT_DURATION;
+        this.maxAge = clipOptions.maxAge ? clipOptions.maxAge * 24 * 60 * 60 * 1000 : null;
+        this.maxSize = clipOptions.maxSize ? clipOptions.maxSize * 1024 * 1024 : null;
+        this.capturing = false;
+
+        this.applyRetention().catch(err => {
+            this.log.error(`An error occurred while cleaning up clips for camera '${this.ss3Camera.name}':`, err);
+        });
+    }
+
+    async capture(event) {
+        // motion is reported repeatedly while it lasts, one clip covers it
+        if (this.capturing) return;
+        this.capturing = true;
+
+        try {
+            if (this.simplisafe.isBlocked && Date.now() < this.simplisafe.nextAttempt) {
+                throw new Error('Request blocked (rate limited)');
+            }
+            if (this.ss3Camera.supportsPrivacyShutter()) {
+                let alarmSystem = await this.simplisafe.getAlarmSystem(this.ss3Camera.subId);
+                if (this.ss3Camera.isPrivacyShutterClosed(alarmSystem.alarmState)) {
+                    if (this.ss3Camera.debug) this.log(`Clip capture ignored, '${this.ss3Camera.name}' privacy shutter closed`);
+                    return;
+                }
+            }
+
+            let timestamp = new Date();
+            let file = `${timestamp.toISOString().replace(/[:.]/g, '-')}-${event}.mp4`;
+            await fs.promises.mkdir(this.directory, { recursive: true });
+
+            if (this.ss3Camera.debug) this.log(`Saving ${this.duration}s ${event} clip for camera '${this.ss3Camera.name}'`);
+            await this.runFfmpeg(await this.resolveServerIpAddress(), path.join(this.directory, file));
+
+            let stats = await fs.promises.stat(path.join(this.directory, file));
+            let index = await this.readIndex();
+            index.push({
+                file: file,
+                event: event,
+                timestamp: timestamp.toISOString(),
+                duration: this.duration,
+                size: stats.size
+            });
+            await this.writeIndex(index);
+            await this.applyRetention();
+        } catch (err) {
+            this.log.error(`An error occurred while saving a clip for camera '${this.ss3Camera.name}':`, err.message || err);
+        } finally {
+            this.capturing = false;
+        }
+    }
+
+    runFfmpeg(serverIpAddress, file) {
+        return new Promise((resolve, reject) => {
+            // write to a temporary file so a failed capture never shows up as a clip
+            let partialFile = `${file}.part`;
+            let cmd = this.ss3Camera.ffmpegSupervisor.spawn(this.ss3Camera.ffmpegPath, this.buildArgs(serverIpAddress, partialFile), {
+                name: `${this.ss3Camera.name} clip`,
+                maxSessionLength: this.duration + CONNECT_TIMEOUT
+            });
+            cmd.stderr.on('data', data => {
+                if (this.ss3Camera.debug) this.log(data.toString());
+            });
+            cmd.on('error', reject);
+            cmd.on('close', code => {
+                if (code === 0) {
+                    fs.promises.rename(partialFile, file).then(resolve, reject);
+                } else {
+                    fs.promises.unlink(partialFile).catch(() => {});
+                    reject(new Error(`FFmpeg exited with code ${code}`));
+                }
+            });
+        });
+    }
+
+    buildArgs(serverIpAddress, file) {
+        let [width] = getSourceResolution(this.ss3Camera.cameraDetails.cameraSettings.pictureQuality);
+
+        return [
+            '-headers', `Authorization: Bearer ${this.ss3Camera.authManager.accessToken}`,
+            '-i', `https://${serverIpAddress}/v1/${this.ss3Camera.cameraDetails.uuid}/flv?x=${width}&audioEncoding=AAC`,
+            '-t', `${this.duration}`,
+            '-map', '0:v',
+            '-map', '0:a?',
+            '-c', 'copy',
+            '-movflags', '+faststart',
+            '-f', 'mp4',
+            '-y',
+            file
+        ];
+    }
+
+    resolveServerIpAddress() {
+        return resolveMediaServer();
+    }
+
+    async readIndex() {
+        try {
+            return JSON.parse(await fs.promises.readFile(path.join(this.directory, INDEX_FILE)));
+        } catch (err) {
+            if (err.code == 'ENOENT') return [];
+            throw err;
+        }
+    }
+
+    async writeIndex(index) {
+        let indexFile = path.join(this.directory, INDEX_FILE);
+        await fs.promises.writeFile(`${indexFile}.tmp`, JSON.stringify(index, null, 2));
+        await fs.promises.rename(`${indexFile}.tmp`, indexFile);
+    }
+
+    /**
+     * Deletes the oldest clips until they are within the age and total size limits
+     */
+    async applyRetention(now = Date.now()) {
+        let index = await this.readIndex();
+        let kept = index.filter(clip => !this.maxAge || now - Date.parse(clip.timestamp) <= this.maxAge);
+        kept.sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+
+        if (this.maxSize) {
+            let totalSize = kept.reduce((total, clip) => total + clip.size, 0);
+            while (kept.length > 0 && totalSize > this.maxSize) {
+                totalSize -= kept.shift().size;
+            }
+        }
+
+        let removed = index.filter(clip => !kept.includes(clip));
+        if (removed.length == 0) return;
+
+        for (let clip of removed) {
+            try {
+                await fs.promises.unlink(path.join(this.directory, clip.file));
+            } catch (err) {
+                if (err.code != 'ENOENT') throw err;
+            }
+        }
+        if (this.ss3Camera.debug) this.log(`Deleted ${removed.length} old clip(s) for camera '${this.ss3Camera.name}'`);
+        await this.writeIndex(kept);
+    }
+}
+
+export default ClipRecorder;
@@ -0,0 +1,94 @@
+import { getSourceResolution } from './cameraFeed';
+
+export const PASSTHROUGH = 'passthrough';
+export const DEFAULT_PROFILE = 'balanced';
+const RPI_PROFILE = 'rpiHardware';
+
+/**
+ * Named ways of encoding a live stream. Each sets the decoder for the camera feed and the H.264 encoder for HomeKit,
+ * except passthrough which sends the camera's own H.264 without re-encoding it.
+ */
+export const ENCODING_PROFILES = {
+    [PASSTHROUGH]: {
+        copy: true
+    },
+    balanced: {
+        encoder: [['-vcodec', 'libx264'], ['-tune', 'zerolatency'], ['-preset', 'superfast']]
+    },
+    lowCpu: {
+        encoder: [['-vcodec', 'libx264'], ['-tune', 'zerolatency'], ['-preset', 'ultrafast']]
+    },
+    quality: {
+        encoder: [['-vcodec', 'libx264'], ['-tune', 'zerolatency'], ['-preset', 'veryfast']]
+    },
+    [RPI_PROFILE]: {
+        decoder: [['-vcodec', 'h264_mmal']],
+        encoder: [['-vcodec', 'h264_omx']]
+    }
+};
+
+/**
+ * Gets the profile used when none is configured, or when passthrough can't be used for a session
+ */
+export function getDefaultProfile(cameraOptions) {
+    return cameraOptions && cameraOptions.enableHwaccelRpi ? RPI_PROFILE : DEFAULT_PROFILE;
+}
+
+/**
+ * Picks the profile configured for a camera, falling back to the default if it can't be used with the camera
+ */
+export function resolveProfile(ss3Camera, resolutions) {
+    let cameraOptions = ss3Camera.cameraOptions;
+    let encodingOptions = cameraOptions && cameraOptions.encoding && cameraOptions.encoding.find(e => e.uuid == ss3Camera.id);
+    let defaultProfile = getDefaultProfile(cameraOptions);
+    let profile = encodingOptions && encodingOptions.profile;
+
+    if (!profile) return defaultProfile;
+    if (!ENCODING_PROFILES[profile]) {
+        ss3Camera.log.warn(`Unknown encoding profile '${profile}' for camera '${ss3Camera.name}', using '${defaultProfile}'`);
+        return defaultProfile;
+    }
+    if (profile == PASSTHROUGH) {
+        let pictureQuality = ss3Camera.cameraDetails.cameraSettings.pictureQuality;
+        let [width, height] = getSourceResolution(pictureQuality);
+        if (!resolutions.some(r => r[0] == width && r[1] == height)) {
+            ss3Camera.log.warn(`Camera '${ss3Camera.name}' streams at ${pictureQuality}, which HomeKit never requests, so '${PASSTHROUGH}' can't be used. Using '${defaultProfile}'`);
+            return defaultProfile;
+        }
+    }
+    return profile;
+}
+
+/**
+ * Turns an options string such as "-tune false -preset ultrafast" into an object, keeping objects from old configs as is
+ */
+export function parseOptions(options) {
+    if (typeof options !== 'string') return options;
+    return Object.fromEntries(options.split('-').filter(x => x).map(arg => '-' + arg).map(a => a.split(' ').filter(x => x)));
+}
+
+/**
+ * Adds options to a list of ffmpeg arguments, replacing existing ones, so options win over a profile's arguments.
+ * An option set to false removes the argument, "false" included as that is what options strings parse to.
+ */
+export function applyOptions(args, options, prepend = false) {
+    for (let [key, value] of Object.entries(parseOptions(options))) {
+        let existingArg = args.find(arg => arg[0] === key);
+        if (existingArg) {
+            if (value === false || value === 'false') {
+                args = args.filter(arg => arg[0] !== key);
+            } else if (value !== undefined) {
+                existingArg[1] = value;
+            }
+        } else {
+            // flags such as "-re" have no value
+            let arg = value === undefined ? [key] : [key, value];
+            if (prepend) {
+                args.unshift(arg);
+            } else {
+                args.push(arg);
+            }
+        }
+    }
+    return args;
+}
@@ -0,0 +1,154 @@
+/*global process */
+import { spawn } from 'child_process';
+import dgram from 'dgram';
+
+const DEFAULT_STALL_TIMEOUT = 20;
+const RTCP_TIMEOUT = 10;
+const CHECK_INTERVAL = 1000;
+
+const PROGRESS_TIME_PATTERN = /time=\s*(-?)(\d+):(\d+):(\d+(?:\.\d+)?)/g;
+const STATS_PATTERN = /(frame|fps|size|bitrate|speed)=\s*(\S+)/g;
+
+/**
+ * Extracts the latest progress stats from ffmpeg's stderr output, e.g.
+ * "frame=  120 fps= 15 q=-1.0 size=    512kB time=00:00:08.00 bitrate= 524.3kbits/s speed=1.01x"
+ */
+export function parseProgress(output) {
+    let times = [...output.matchAll(PROGRESS_TIME_PATTERN)];
+    if (times.length == 0) return null;
+
+    let [, negative, hours, minutes, seconds] = times[times.length - 1];
+    let progress = {
+        time: negative ? 0 : +hours * 3600 + +minutes * 60 + +seconds
+    };
+    for (let [, key, value] of output.matchAll(STATS_PATTERN)) {
+        progress[key] = value;
+    }
+    return progress;
+}
+
+/**
+ * Owns every ffmpeg process started by the plugin so none outlive their purpose:
+ * stalled processes, sessions HomeKit abandoned and sessions running too long are killed,
+ * as is everything left when Homebridge shuts down
+ */
+class FfmpegSupervisor {
+    constructor(log, debug, api) {
+        this.log = log;
+        this.debug = debug;
+        this.sessions = new Set();
+
+        api.on('shutdown', () => this.stopAll('Homebridge is shutting down'));
+    }
+
+    /**
+     * Spawns ffmpeg, supervised according to options:
+     * - name: shown in logs
+     * - maxSessionLength: seconds after which the process is stopped
+     * - stallTimeout: seconds without progress after which the process is stopped, 0 to disable
+     * - rtcpPort: local port HomeKit sends RTCP reports to, the process is stopped if they stop arriving
+     * - onStop(reason): called when the supervisor stops the process
+     */
+    spawn(ffmpegPath, args, options = {}) {
+        let child = spawn(ffmpegPath, args, {
+            env: process.env
+        });
+
+        let now = Date.now();
+        let session = {
+            name: options.name || 'ffmpeg',
+            child: child,
+            options: options,
+            startTime: now,
+            lastProgress: now,
+            lastRtcp: now,
+            progress: null,
+            stopReason: null,
+            ended: false
+        };
+        this.sessions.add(session);
+        if (this.debug) this.log(`Started ffmpeg session '${session.name}' (pid ${child.pid})`);
+
+        child.stderr.on('data', data => this.handleOutput(session, data.toString()));
+        child.on('error', () => this.endSession(session, null));
+        child.on('close', code => this.endSession(session, code));
+
+        if (options.rtcpPort) this.watchRtcp(session, options.rtcpPort);
+        session.intervalID = setInterval(() => this.checkSession(session), CHECK_INTERVAL);
+
+        return child;
+    }
+
+    handleOutput(session, output) {
+        let progress = parseProgress(output);
+        if (!progress) return;
+
+        if (!session.progress || progress.time > session.progress.time) session.lastProgress = Date.now();
+        session.progress = progress;
+    }
+
+    watchRtcp(session, port) {
+        session.rtcpSocket = dgram.createSocket(session.options.rtcpIpv6 ? 'udp6' : 'udp4');
+        session.rtcpSocket.on('message', () => session.lastRtcp = Date.now());
+        session.rtcpSocket.on('error', err => {
+            this.log.error(`Unable to watch RTCP for ffmpeg session '${session.name}':`, err.message);
+            session.rtcpSocket.close();
+            session.rtcpSocket = null;
+        });
+        session.rtcpSocket.bind(port);
+    }
+
+    checkSession(session, now = Date.now()) {
+        let stallTimeout = session.options.stallTimeout !== undefined ? session.options.stallTimeout : DEFAULT_STALL_TIMEOUT;
+
+        if (session.options.maxSessionLength && now - session.startTime > session.options.maxSessionLength * 1000) {
+            this.stop(session, `maximum session length of ${session.options.maxSessionLength}s reached`);
+        } else if (stallTimeout && now - session.lastProgress > stallTimeout * 1000) {
+            this.stop(session, `stalled, no progress for ${stallTimeout}s`);
+        } else if (session.rtcpSocket && now - session.lastRtcp > RTCP_TIMEOUT * 1000) {
+            this.stop(session, `no RTCP reports from HomeKit for ${RTCP_TIMEOUT}s`);
+        }
+    }
+
+    stop(session, reason, expected = false) {
+        if (session.ended || session.stopReason) return;
+        session.stopReason = reason;
+        if (!expected) this.log.warn(`Stopping ffmpeg session '${session.name}': ${reason}`);
+
+        try {
+            session.child.kill('SIGKILL');
+        } catch (e) {
+            this.log.error(`Error occurred terminating ffmpeg session '${session.name}'!`);
+            if (this.debug) this.log.error(e);
+        }
+        if (session.options.onStop) session.options.onStop(reason);
+    }
+
+    stopAll(reason) {
+        for (let session of this.sessions) {
+            this.stop(session, reason, true);
+        }
+    }
+
+    endSession(session, code) {
+        if (session.ended) return;
+        session.ended = true;
+        clearInterval(session.intervalID);
+        if (session.rtcpSocket) session.rtcpSocket.close();
+        this.sessions.delete(session);
+
+        if (this.debug) {
+            let stats = [`ran for ${Math.round((Date.now() - session.startTime) / 1000)}s`];
+            if (session.progress) {
+                stats.push(`media time ${session.progress.time.toFixed(1)}s`);
+                for (let key of ['frame', 'fps', 'size', 'bitrate', 'speed']) {
+                    if (session.progress[key] !== undefined) stats.push(`${key} ${session.progress[key]}`);
+                }
+            }
+            stats.push(session.stopReason ? `stopped (${session.stopReason})` : `exited with code ${code}`);
+            this.log(`Ended ffmpeg session '${session.name}': ${stats.join(', ')}`);
+        }
+    }
+}
+
+export default FfmpegSupervisor;
@@ -0,0 +1,51 @@
+/*global Buffer */
+
+// Minimal reader for the fragmented MP4 output of ffmpeg (-movflags frag_keyframe+empty_moov)
+
+const HEADER_SIZE = 8;
+
+/**
+ * Splits a readable byte stream into top level MP4 boxes
+ */
+export async function* readMp4Boxes(readable) {
+    let buffer = Buffer.alloc(0);
+    for await (let chunk of readable) {
+        buffer = Buffer.concat([buffer, chunk]);
+
+        while (buffer.length >= HEADER_SIZE) {
+            let size = buffer.readUInt32BE(0);
+            if (size == 1) {
+                // 64 bit box size follows the type
+                if (buffer.length < HEADER_SIZE + 8) break;
+                size = Number(buffer.readBigUInt64BE(HEADER_SIZE));
+            } else if (size < HEADER_SIZE) {
+                throw new Error(`Unsupported MP4 box size: ${size}`);
+            }
+            if (buffer.length < size) break;
+
+            yield {
+                type: buffer.toString('ascii', 4, HEADER_SIZE),
+                data: buffer.subarray(0, size)
+            };
+            buffer = buffer.subarray(size);
+        }
+    }
+}
+
+/**
+ * Groups MP4 boxes into the segments HomeKit expects: the initialization segment
+ * (ftyp + moov) followed by media fragments (moof + mdat)
+ */
+export async function* readMp4Segments(readable) {
+    let pending = [];
+    for await (let box of readMp4Boxes(readable)) {
+        pending.push(box.data);
+        if (box.type == 'moov' || box.type == 'mdat') {
+            yield {
+                type: box.type == 'moov' ? 'init' : 'fragment',
+                data: Buffer.concat(pending)
+            };
+            pending = [];
+        }
+    }
+}
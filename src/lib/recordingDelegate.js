@@ -0,0 +1,355 @@
+import { EventEmitter } from 'events';
+
+import { resolveMediaServer } from './cameraFeed';
+import { readMp4Segments } from './mp4';
+
+// HomeKit won't accept a camera advertising less than 4 seconds of prebuffer
+export const MIN_PREBUFFER_LENGTH = 4000;
+export const MAX_PREBUFFER_LENGTH = 8000;
+const FRAGMENT_LENGTH = 4000;
+const PREBUFFER_RETRY_INTERVAL = 30000;
+
+/**
+ * A running ffmpeg process producing fragmented MP4, optionally keeping
+ * the last few seconds of fragments so a recording can start before the event
+ */
+export class Mp4Source extends EventEmitter {
+    constructor(bufferLength = 0) {
+        super();
+        this.bufferLength = bufferLength;
+        this.initSegment = null;
+        this.fragments = [];
+        this.ended = false;
+    }
+
+    start(ffmpegSupervisor, ffmpegPath, args, options, log, debug) {
+        this.process = ffmpegSupervisor.spawn(ffmpegPath, args, options);
+        this.process.on('error', err => {
+            log.error('An error occurred while recording:', err);
+            this.end();
+        });
+        this.process.stderr.on('data', data => {
+            if (debug) log(data.toString());
+        });
+
+        (async () => {
+            try {
+                for await (let segment of readMp4Segments(this.process.stdout)) {
+                    this.addSegment(segment);
+                }
+            } catch (err) {
+                log.error('An error occurred while reading the recording stream:', err);
+            }
+            this.end();
+        })();
+        return this;
+    }
+
+    addSegment(segment) {
+        if (segment.type == 'init') {
+            this.initSegment = segment.data;
+        } else {
+            let now = Date.now();
+            this.fragments.push({ time: now, data: segment.data });
+            // keep one fragment more than needed so the buffer never starts after the prebuffer length
+            while (this.fragments.length > 1 && now - this.fragments[1].time >= this.bufferLength) {
+                this.fragments.shift();
+            }
+        }
+        this.emit('segment', segment.data);
+    }
+
+    end() {
+        if (this.ended) return;
+        this.ended = true;
+        this.emit('end');
+    }
+
+    stop() {
+        if (this.process && this.process.exitCode === null) this.process.kill('SIGKILL');
+        this.end();
+    }
+
+    /**
+     * Yields the init segment and buffered fragments, then new fragments until the source ends or is detached
+     */
+    async* segments(detach) {
+        let queue = this.initSegment ? [this.initSegment, ...this.fragments.map(f => f.data)] : [];
+        let wake = null;
+        const onEvent = data => {
+            if (data) queue.push(data);
+            if (wake) wake();
+        };
+        this.on('segment', onEvent);
+        this.on('end', onEvent);
+        detach.on('close', onEvent);
+
+        try {
+            for (;;) {
+                if (queue.length > 0) {
+                    yield queue.shift();
+                } else if (this.ended || detach.closed) {
+                    return;
+                } else {
+                    await new Promise(resolve => wake = resolve);
+                    wake = null;
+                }
+            }
+        } finally {
+            this.off('segment', onEvent);
+            this.off('end', onEvent);
+            detach.off('close', onEvent);
+        }
+    }
+}
+
+class RecordingDelegate {
+    constructor(ss3Camera, recordingOptions) {
+        this.ss3Camera = ss3Camera;
+        this.simplisafe = ss3Camera.simplisafe;
+        this.log = ss3Camera.log;
+        this.api = ss3Camera.api;
+
+        // without a prebuffer the recording starts when SimpliSafe reports the event
+        let prebufferLength = (recordingOptions.prebufferLength || 0) * 1000;
+        this.prebufferEnabled = prebufferLength > 0;
+        this.prebufferLength = Math.min(Math.max(prebufferLength, MIN_PREBUFFER_LENGTH), MAX_PREBUFFER_LENGTH);
+
+        this.recordingActive = false;
+        this.configuration = null;
+        this.prebuffer = null;
+        this.recordingStreams = {};
+
+        this.api.on('shutdown', () => this.stopPrebuffer());
+    }
+
+    getRecordingOptions() {
+        let hap = this.api.hap;
+        let fps = this.ss3Camera.cameraDetails.cameraSettings.admin.fps;
+        let maxSupportedHeight = +(this.ss3Camera.cameraDetails.cameraSettings.pictureQuality.split('p')[0]);
+
+        return {
+            prebufferLength: this.prebufferLength,
+            mediaContainerConfiguration: [
+                {
+                    type: hap.MediaContainerType.FRAGMENTED_MP4,
+                    fragmentLength: FRAGMENT_LENGTH
+                }
+            ],
+            video: {
+                type: hap.VideoCodecType.H264,
+                parameters: {
+                    profiles: [hap.H264Profile.BASELINE, hap.H264Profile.MAIN, hap.H264Profile.HIGH],
+                    levels: [hap.H264Level.LEVEL3_1, hap.H264Level.LEVEL3_2, hap.H264Level.LEVEL4_0]
+                },
+                resolutions: [
+                    [320, 240, fps],
+                    [480, 360, fps],
+                    [640, 360, fps],
+                    [640, 480, fps],
+                    [1280, 720, fps],
+                    [1920, 1080, fps]
+                ].filter(r => r[1] <= maxSupportedHeight)
+            },
+            audio: {
+                codecs: [
+                    {
+                        type: hap.AudioRecordingCodecType.AAC_LC,
+                        samplerate: hap.AudioRecordingSamplerate.KHZ_32,
+                        bitrateMode: 0,
+                        audioChannels: 1
+                    }
+                ]
+            }
+        };
+    }
+
+    updateRecordingActive(active) {
+        if (this.ss3Camera.debug) this.log(`Recording ${active ? 'enabled' : 'disabled'} for camera '${this.ss3Camera.name}'`);
+        this.recordingActive = active;
+        if (active) this.startPrebuffer();
+        else this.stopPrebuffer();
+    }
+
+    updateRecordingConfiguration(configuration) {
+        if (this.ss3Camera.debug) this.log(`Recording configuration for camera '${this.ss3Camera.name}':`, JSON.stringify(configuration));
+        this.configuration = configuration;
+        // the prebuffer has to match the selected codec settings
+        this.stopPrebuffer();
+        if (this.recordingActive) this.startPrebuffer();
+    }
+
+    async* handleRecordingStreamRequest(streamId) {
+        if (this.ss3Camera.debug) this.log(`Recording stream ${streamId} requested for camera '${this.ss3Camera.name}'`);
+
+        if (!this.configuration) {
+            this.log.error(`Recording requested for camera '${this.ss3Camera.name}' before it was configured`);
+            return;
+        }
+
+        if (await this.isPrivacyShutterClosed()) {
+            if (this.ss3Camera.debug) this.log(`Recording ignored, '${this.ss3Camera.name}' privacy shutter closed`);
+            return;
+        }
+
+        let source = this.prebuffer;
+        if (!source) {
+            try {
+                source = await this.startSource(0);
+            } catch (err) {
+                this.log.error(`Unable to start recording for camera '${this.ss3Camera.name}':`, err);
+                return;
+            }
+        }
+
+        let stream = new EventEmitter();
+        stream.closed = false;
+        this.recordingStreams[streamId] = stream;
+
+        try {
+            // hold back the latest fragment so the final one can be flagged as last
+            let pending = null;
+            let isInit = true;
+            for await (let data of source.segments(stream)) {
+                if (isInit) {
+                    isInit = false;
+                    yield { data: data, isLast: false };
+                    continue;
+                }
+                if (pending) yield { data: pending, isLast: false };
+                pending = data;
+            }
+            if (pending) yield { data: pending, isLast: true };
+        } finally {
+            if (source !== this.prebuffer) source.stop();
+            delete this.recordingStreams[streamId];
+            if (this.ss3Camera.debug) this.log(`Recording stream ${streamId} ended for camera '${this.ss3Camera.name}'`);
+        }
+    }
+
+    closeRecordingStream(streamId, reason) {
+        if (this.ss3Camera.debug) this.log(`Recording stream ${streamId} closed for camera '${this.ss3Camera.name}'${reason !== undefined ? ` with reason ${reason}` : ''}`);
+        let stream = this.recordingStreams[streamId];
+        if (stream) {
+            stream.closed = true;
+            stream.emit('close');
+        }
+    }
+
+    async isPrivacyShutterClosed() {
+        if (!this.ss3Camera.supportsPrivacyShutter()) return false;
+        // recording from a camera with a closed shutter would open it
+        let alarmSystem = await this.simplisafe.getAlarmSystem(this.ss3Camera.subId);
+        return this.ss3Camera.isPrivacyShutterClosed(alarmSystem.alarmState);
+    }
+
+    async startPrebuffer() {
+        if (!this.prebufferEnabled || this.prebuffer || !this.recordingActive || !this.configuration) return;
+        clearTimeout(this.prebufferRetryTimeoutID);
+
+        try {
+            if (this.simplisafe.isBlocked && Date.now() < this.simplisafe.nextAttempt) throw new Error('Request blocked (rate limited)');
+            if (await this.isPrivacyShutterClosed()) throw new Error('Privacy shutter closed');
+
+            this.prebuffer = await this.startSource(this.prebufferLength);
+            if (this.ss3Camera.debug) this.log(`Started prebuffering camera '${this.ss3Camera.name}'`);
+            this.prebuffer.on('end', () => {
+                this.prebuffer = null;
+                this.schedulePrebufferRetry();
+            });
+        } catch (err) {
+            if (this.ss3Camera.debug) this.log(`Unable to prebuffer camera '${this.ss3Camera.name}': ${err.message}`);
+            this.schedulePrebufferRetry();
+        }
+    }
+
+    schedulePrebufferRetry() {
+        if (!this.recordingActive) return;
+        clearTimeout(this.prebufferRetryTimeoutID);
+        this.prebufferRetryTimeoutID = setTimeout(() => this.startPrebuffer(), PREBUFFER_RETRY_INTERVAL);
+    }
+
+    stopPrebuffer() {
+        clearTimeout(this.prebufferRetryTimeoutID);
+        if (!this.prebuffer) return;
+        let prebuffer = this.prebuffer;
+        this.prebuffer = null;
+        prebuffer.removeAllListeners('end');
+        prebuffer.stop();
+        if (this.ss3Camera.debug) this.log(`Stopped prebuffering camera '${this.ss3Camera.name}'`);
+    }
+
+    async startSource(bufferLength) {
+        this.serverIpAddress = await resolveMediaServer();
+
+        let args = this.buildRecordingArgs(this.configuration);
+        if (this.ss3Camera.debug) this.log(`Start recording video for camera '${this.ss3Camera.name}'`);
+        let options = {
+            name: `${this.ss3Camera.name} ${bufferLength ? 'prebuffer' : 'recording'}`
+        };
+        return new Mp4Source(bufferLength).start(this.ss3Camera.ffmpegSupervisor, this.ss3Camera.ffmpegPath, args, options, this.log, this.ss3Camera.debug);
+    }
+
+    buildRecordingArgs(configuration) {
+        let hap = this.api.hap;
+        let [width, , fps] = configuration.videoCodec.resolution;
+        let videoParameters = configuration.videoCodec.parameters;
+        let audioCodec = configuration.audioCodec;
+
+        let profiles = {
+            [hap.H264Profile.BASELINE]: 'baseline',
+            [hap.H264Profile.MAIN]: 'main',
+            [hap.H264Profile.HIGH]: 'high'
+        };
+        let levels = {
+            [hap.H264Level.LEVEL3_1]: '3.1',
+            [hap.H264Level.LEVEL3_2]: '3.2',
+            [hap.H264Level.LEVEL4_0]: '4.0'
+        };
+        let samplerates = {
+            [hap.AudioRecordingSamplerate.KHZ_8]: 8,
+            [hap.AudioRecordingSamplerate.KHZ_16]: 16,
+            [hap.AudioRecordingSamplerate.KHZ_24]: 24,
+            [hap.AudioRecordingSamplerate.KHZ_32]: 32,
+            [hap.AudioRecordingSamplerate.KHZ_44_1]: 44.1,
+            [hap.AudioRecordingSamplerate.KHZ_48]: 48
+        };
+
+        let videoArgs = [
+            '-map', '0:0',
+            '-vcodec', 'libx264',
+            '-preset', 'superfast',
+            '-pix_fmt', 'yuv420p',
+            '-profile:v', profiles[videoParameters.profile],
+            '-level:v', levels[videoParameters.level],
+            '-r', `${fps}`,
+            '-vf', `scale=${width}:-2`,
+            '-b:v', `${videoParameters.bitRate}k`,
+            '-bufsize', `${2*videoParameters.bitRate}k`,
+            '-maxrate', `${videoParameters.bitRate}k`,
+            '-force_key_frames', `expr:gte(t,n_forced*${videoParameters.iFrameInterval / 1000})`
+        ];
+
+        if (this.ss3Camera.cameraOptions && this.ss3Camera.cameraOptions.enableHwaccelRpi) {
+            videoArgs[videoArgs.indexOf('libx264')] = 'h264_omx';
+            videoArgs.splice(videoArgs.indexOf('-preset'), 2);
+        }
+
+        return [
+            '-headers', `Authorization: Bearer ${this.ss3Camera.authManager.accessToken}`,
+            '-i', `https://${this.serverIpAddress}/v1/${this.ss3Camera.cameraDetails.uuid}/flv?x=${width}&audioEncoding=AAC`,
+            ...videoArgs,
+            '-map', '0:1',
+            '-acodec', 'libfdk_aac',
+            '-profile:a', audioCodec.type == hap.AudioRecordingCodecType.AAC_ELD ? 'aac_eld' : 'aac_low',
+            '-ac', `${audioCodec.audioChannels}`,
+            '-ar', `${samplerates[audioCodec.samplerate]}k`,
+            '-b:a', `${audioCodec.bitrate}k`,
+            '-f', 'mp4',
+            '-movflags', 'frag_keyframe+empty_moov+default_base_moof',
+            'pipe:1'
+        ];
+    }
+}
+
+export default RecordingDelegate;
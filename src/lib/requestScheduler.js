@@ -0,0 +1,117 @@
+// Schedules all SimpliSafe API requests to avoid being rate limited
+
+export const REQUEST_PRIORITIES = {
+    HIGH: 0,
+    NORMAL: 1,
+    LOW: 2
+};
+
+// First match wins, anything else is NORMAL
+const DEFAULT_ENDPOINT_PRIORITIES = [
+    { method: 'POST', priority: REQUEST_PRIORITIES.HIGH }, // user commands e.g. setAlarmState, setLockState
+    { method: 'GET', url: /\/sensors/, priority: REQUEST_PRIORITIES.LOW }, // background polling
+    { method: 'GET', url: /^\/doorlock\//, priority: REQUEST_PRIORITIES.LOW }
+];
+
+const defaultBudget = 30; // requests per budget interval
+const defaultBudgetInterval = 60000; // ms
+const defaultMaxConcurrent = 2;
+
+class RequestScheduler {
+    queue = [];
+    pendingGets = {};
+    nActive = 0;
+    budgetTimeoutID;
+
+    constructor(options = {}, log, debug) {
+        this.budget = options.budget || defaultBudget;
+        this.budgetInterval = options.budgetInterval || defaultBudgetInterval;
+        this.maxConcurrent = options.maxConcurrent || defaultMaxConcurrent;
+        this.endpointPriorities = options.endpointPriorities || DEFAULT_ENDPOINT_PRIORITIES;
+        this.log = log || console.log;
+        this.debug = debug;
+
+        this.tokens = this.budget;
+        this.lastRefill = Date.now();
+    }
+
+    getPriority(params) {
+        let method = (params.method || 'GET').toUpperCase();
+        let rule = this.endpointPriorities.find(r => (!r.method || r.method == method) && (!r.url || r.url.test(params.url)));
+        return rule ? rule.priority : REQUEST_PRIORITIES.NORMAL;
+    }
+
+    /**
+     * Queues send() to be called once budget and concurrency allow. Identical GET requests
+     * already waiting or in flight share the same result instead of being sent again.
+     */
+    schedule(params, send) {
+        let method = (params.method || 'GET').toUpperCase();
+        let key = method == 'GET' ? params.url : null;
+
+        if (key && this.pendingGets[key]) {
+            if (this.debug) this.log(`Merging request GET ${key} with identical pending request`);
+            return this.pendingGets[key];
+        }
+
+        let priority = this.getPriority(params);
+        let promise = new Promise((resolve, reject) => {
+            let job = { priority, send, resolve, reject };
+            let index = this.queue.findIndex(j => j.priority > priority);
+            if (index == -1) this.queue.push(job);
+            else this.queue.splice(index, 0, job);
+        });
+
+        if (key) {
+            this.pendingGets[key] = promise;
+            const clear = () => {
+                delete this.pendingGets[key];
+            };
+            promise.then(clear, clear);
+        }
+
+        this.processQueue();
+        return promise;
+    }
+
+    refillBudget() {
+        let now = Date.now();
+        this.tokens = Math.min(this.budget, this.tokens + (now - this.lastRefill) * this.budget / this.budgetInterval);
+        this.lastRefill = now;
+    }
+
+    processQueue() {
+        while (this.queue.length > 0 && this.nActive < this.maxConcurrent) {
+            this.refillBudget();
+            let job = this.queue[0];
+
+            // user commands may overdraw the budget, everything else waits for it to refill
+            if (this.tokens < 1 && job.priority !== REQUEST_PRIORITIES.HIGH) {
+                if (!this.budgetTimeoutID) {
+                    let wait = Math.ceil((1 - this.tokens) * this.budgetInterval / this.budget);
+                    if (this.debug) this.log(`Request budget exhausted, ${this.queue.length} request(s) deferred by ${wait / 1000}s`);
+                    this.budgetTimeoutID = setTimeout(() => {
+                        this.budgetTimeoutID = undefined;
+                        this.processQueue();
+                    }, wait);
+                }
+                return;
+            }
+
+            this.queue.shift();
+            this.tokens--;
+            this.nActive++;
+
+            const done = () => {
+                this.nActive--;
+                this.processQueue();
+            };
+            Promise.resolve()
+                .then(() => job.send())
+                .then(job.resolve, job.reject)
+                .then(done);
+        }
+    }
+}
+
+export default RequestScheduler;
@@ -0,0 +1,248 @@
+import http from 'http';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { getSourceResolution, resolveMediaServer } from './cameraFeed';
+
+const DEFAULT_PORT = 8090;
+// only this machine can watch unless configured otherwise, there is no authentication
+const DEFAULT_HOST = '127.0.0.1';
+const DEFAULT_IDLE_TIMEOUT = 30;
+const PLAYLIST_TIMEOUT = 20000;
+const PLAYLIST = 'index.m3u8';
+const CONTENT_TYPES = {
+    '.m3u8': 'application/vnd.apple.mpegurl',
+    '.ts': 'video/mp2t'
+};
+
+/**
+ * Re-publishes camera feeds as HLS on a local port, e.g. for an NVR.
+ * A camera is only pulled from SimpliSafe while something is watching it.
+ */
+class RestreamServer {
+    constructor(options, log, debug, api) {
+        this.port = options.port !== undefined ? options.port : DEFAULT_PORT;
+        this.host = options.host || DEFAULT_HOST;
+        this.idleTimeout = (options.idleTimeout || DEFAULT_IDLE_TIMEOUT) * 1000;
+        this.log = log;
+        this.debug = debug;
+        this.outputDir = path.join(os.tmpdir(), 'homebridge-simplisafe3-restream');
+
+        this.cameras = {};
+        this.sessions = {};
+
+        api.on('shutdown', () => this.stop());
+    }
+
+    addCamera(ss3Camera) {
+        this.cameras[ss3Camera.id] = ss3Camera;
+    }
+
+    start() {
+        this.server = http.createServer((req, res) => {
+            this.handleRequest(req, res).catch(err => {
+                this.log.error('Unable to handle re-streaming request:', err.message || err);
+                if (!res.headersSent) res.writeHead(500);
+                res.end();
+            });
+        });
+        this.server.on('error', err => {
+            this.log.error(`Camera re-streaming server failed on port ${this.port}:`, err);
+        });
+        this.server.listen(this.port, this.host, () => {
+            this.port = this.server.address().port;
+            this.log(`Re-streaming cameras on ${this.host} port ${this.port}, e.g. http://${this.host}:${this.port}/<camera uuid>/${PLAYLIST}`);
+        });
+
+        this.idleIntervalID = setInterval(() => this.stopIdleSessions(), Math.min(this.idleTimeout, 5000));
+        return this;
+    }
+
+    stop() {
+        clearInterval(this.idleIntervalID);
+        for (let session of Object.values(this.sessions)) {
+            this.stopSession(session);
+        }
+        if (this.server) this.server.close();
+    }
+
+    async handleRequest(req, res) {
+        let requestPath;
+        try {
+            requestPath = decodeURIComponent(req.url.split('?')[0]);
+        } catch (err) {
+            res.writeHead(400);
+            res.end();
+            return;
+        }
+        let [uuid, file] = requestPath.split('/').filter(p => p);
+
+        if (!uuid) {
+            let cameras = Object.values(this.cameras).map(camera => ({
+                uuid: camera.id,
+                name: camera.name,
+                path: `/${camera.id}/${PLAYLIST}`
+            }));
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(cameras));
+            return;
+        }
+
+        let camera = this.cameras[uuid];
+        let contentType = file && CONTENT_TYPES[path.extname(file)];
+        if (!camera || !contentType || path.basename(file) !== file) {
+            res.writeHead(404);
+            res.end();
+            return;
+        }
+
+        let session = this.getSession(camera);
+        session.lastAccess = Date.now();
+
+        try {
+            await session.ready;
+            let data = await fs.promises.readFile(path.join(session.dir, file));
+            res.writeHead(200, {
+                'Content-Type': contentType,
+                'Cache-Control': 'no-cache'
+            });
+            res.end(data);
+        } catch (err) {
+            if (err.code == 'ENOENT') {
+                res.writeHead(404);
+            } else {
+                if (this.debug) this.log.error(`Unable to re-stream camera '${camera.name}':`, err.message);
+                res.writeHead(503);
+            }
+            res.end();
+        }
+    }
+
+    getSession(camera) {
+        let session = this.sessions[camera.id];
+        if (session && !session.ended) return session;
+
+        session = {
+            camera: camera,
+            dir: path.join(this.outputDir, camera.id),
+            lastAccess: Date.now(),
+            ended: false
+        };
+        session.ready = this.startSession(session);
+        session.ready.catch(() => this.stopSession(session));
+        this.sessions[camera.id] = session;
+        return session;
+    }
+
+    async startSession(session) {
+        let camera = session.camera;
+
+        if (camera.simplisafe.isBlocked && Date.now() < camera.simplisafe.nextAttempt) {
+            throw new Error('Request blocked (rate limited)');
+        }
+        if (camera.isUnsupported()) {
+            throw new Error(`Camera ${camera.name} is unsupported`);
+        }
+        if (camera.supportsPrivacyShutter()) {
+            // re-streaming would open a closed privacy shutter
+            let alarmSystem = await camera.simplisafe.getAlarmSystem(camera.subId);
+            if (camera.isPrivacyShutterClosed(alarmSystem.alarmState)) throw new Error(`Camera ${camera.name} privacy shutter closed`);
+        }
+
+        let serverIpAddress = await this.resolveServerIpAddress();
+        await this.clearDirectory(session.dir);
+
+        let args = this.buildArgs(camera, serverIpAddress, session.dir);
+        if (this.debug) {
+            this.log(`Start re-streaming camera '${camera.name}'`);
+            this.log([camera.ffmpegPath, ...args].join(' '));
+        }
+
+        session.process = camera.ffmpegSupervisor.spawn(camera.ffmpegPath, args, {
+            name: `${camera.name} re-stream`
+        });
+        session.process.stderr.on('data', data => {
+            if (this.debug) this.log(data.toString());
+        });
+        session.process.on('error', err => {
+            this.log.error(`An error occurred while re-streaming camera '${camera.name}':`, err);
+        });
+        session.process.on('close', code => {
+            if (this.debug) this.log(`Stopped re-streaming camera '${camera.name}'${code ? ` with code ${code}` : ''}`);
+            this.stopSession(session);
+        });
+
+        await this.waitForPlaylist(session);
+    }
+
+    async waitForPlaylist(session) {
+        let start = Date.now();
+        for (;;) {
+            if (session.ended) throw new Error(`Camera ${session.camera.name} stopped streaming`);
+            try {
+                await fs.promises.access(path.join(session.dir, PLAYLIST));
+                return;
+            } catch (err) {
+                if (Date.now() - start > PLAYLIST_TIMEOUT) throw new Error(`Timed out waiting for camera ${session.camera.name}`);
+                await new Promise(resolve => setTimeout(resolve, 200));
+            }
+        }
+    }
+
+    resolveServerIpAddress() {
+        return resolveMediaServer();
+    }
+
+    async clearDirectory(dir) {
+        await fs.promises.mkdir(dir, { recursive: true });
+        for (let file of await fs.promises.readdir(dir)) {
+            await fs.promises.unlink(path.join(dir, file));
+        }
+    }
+
+    buildArgs(camera, serverIpAddress, dir) {
+        let [width] = getSourceResolution(camera.cameraDetails.cameraSettings.pictureQuality);
+
+        // the feed is already H.264 / AAC so it only needs repackaging
+        return [
+            '-headers', `Authorization: Bearer ${camera.authManager.accessToken}`,
+            '-i', `https://${serverIpAddress}/v1/${camera.cameraDetails.uuid}/flv?x=${width}&audioEncoding=AAC`,
+            '-map', '0:v',
+            '-map', '0:a?',
+            '-c', 'copy',
+            '-f', 'hls',
+            '-hls_time', '2',
+            '-hls_list_size', '6',
+            '-hls_flags', 'delete_segments',
+            '-hls_segment_filename', path.join(dir, 'segment%d.ts'),
+            path.join(dir, PLAYLIST)
+        ];
+    }
+
+    stopIdleSessions() {
+        for (let session of Object.values(this.sessions)) {
+            if (Date.now() - session.lastAccess > this.idleTimeout) {
+                if (this.debug) this.log(`Camera '${session.camera.name}' re-stream idle, stopping`);
+                this.stopSession(session);
+            }
+        }
+    }
+
+    stopSession(session) {
+        if (this.sessions[session.camera.id] === session) delete this.sessions[session.camera.id];
+        if (session.ended) return;
+        session.ended = true;
+
+        if (session.process && session.process.exitCode === null) {
+            try {
+                session.process.kill('SIGKILL');
+            } catch (e) {
+                this.log.error('Error occurred terminating the re-streaming process!');
+                if (this.debug) this.log.error(e);
+            }
+        }
+    }
+}
+
+export default RestreamServer;
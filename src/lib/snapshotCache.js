@@ -0,0 +1,126 @@
+import jpegExtract from 'jpeg-extract';
+
+import { getSourceResolution, resolveMediaServer } from './cameraFeed';
+
+const DEFAULT_TTL = 30;
+
+/**
+ * Keeps a camera's latest snapshot so Home app tile refreshes don't each pull a new image from SimpliSafe.
+ * It is refreshed when the camera reports motion or a doorbell press, so notifications show that moment,
+ * and the last good image is served when SimpliSafe fails.
+ */
+class SnapshotCache {
+    constructor(ss3Camera, ttl) {
+        this.ss3Camera = ss3Camera;
+        this.log = ss3Camera.log;
+        this.simplisafe = ss3Camera.simplisafe;
+        this.ttl = (ttl !== undefined ? ttl : DEFAULT_TTL) * 1000;
+
+        this.snapshot = null;
+        this.pending = null;
+    }
+
+    get image() {
+        return this.snapshot ? this.snapshot.image : null;
+    }
+
+    /**
+     * Returns a snapshot at least the requested width, fetching a new one if the cached one is too old or too small
+     */
+    async get(width, now = Date.now()) {
+        if (this.pending && this.pending.width >= width) return this.pending.promise.catch(err => this.fallback(err));
+        if (this.snapshot && this.snapshot.width >= width && now - this.snapshot.time < this.ttl) {
+            if (this.ss3Camera.debug) this.log(`Serving cached '${this.ss3Camera.name}' snapshot taken ${Math.round((now - this.snapshot.time) / 1000)}s ago`);
+            return this.snapshot.image;
+        }
+
+        return this.refresh(width).catch(err => this.fallback(err));
+    }
+
+    /**
+     * Returns a snapshot for HomeKit like get, or null while the privacy shutter is closed so that neither
+     * a new snapshot opens it nor a cached one taken before it closed is shown
+     */
+    async serve(width) {
+        if (!this.ss3Camera.motionIsTriggered && await this.isPrivacyShutterClosed()) return null;
+        return this.get(width);
+    }
+
+    /**
+     * Fetches a new snapshot after motion or a doorbell press, unless the privacy shutter is closed
+     */
+    async prefetch() {
+        try {
+            if (await this.isPrivacyShutterClosed()) {
+                if (this.ss3Camera.debug) this.log(`Snapshot prefetch ignored, '${this.ss3Camera.name}' privacy shutter closed`);
+                return;
+            }
+            await this.refresh(this.getSourceWidth());
+        } catch (err) {
+            this.log.error(`An error occurred while prefetching a snapshot for camera '${this.ss3Camera.name}':`, err.message || err);
+        }
+    }
+
+    refresh(width) {
+        if (this.pending && this.pending.width >= width) return this.pending.promise;
+
+        let pending = {
+            width: width,
+            promise: this.fetchImage(width).then(image => {
+                this.snapshot = {
+                    image: image,
+                    width: width,
+                    time: Date.now()
+                };
+                if (this.ss3Camera.debug) this.log(`Cached '${this.ss3Camera.name}' snapshot with ${Math.round(image.length/1000)}kB image`);
+                return image;
+            }).finally(() => {
+                if (this.pending === pending) this.pending = null;
+            })
+        };
+        this.pending = pending;
+        return pending.promise;
+    }
+
+    async isPrivacyShutterClosed() {
+        if (!this.ss3Camera.supportsPrivacyShutter()) return false;
+        // the last known alarm state is all there is while rate limited
+        let alarmState = this.simplisafe.isBlocked && Date.now() < this.simplisafe.nextAttempt
+            ? this.simplisafe.alarmStates[this.ss3Camera.subId]
+            : (await this.simplisafe.getAlarmSystem(this.ss3Camera.subId)).alarmState;
+        return this.ss3Camera.isPrivacyShutterClosed(alarmState);
+    }
+
+    fallback(err) {
+        if (!this.snapshot) throw err;
+        this.log.warn(`Unable to fetch a new snapshot for camera '${this.ss3Camera.name}', serving the last one:`, err.message || err);
+        return this.snapshot.image;
+    }
+
+    async fetchImage(width) {
+        if (this.simplisafe.isBlocked && Date.now() < this.simplisafe.nextAttempt) {
+            throw new Error('Camera snapshot request blocked (rate limited)');
+        }
+
+        let serverIpAddress = await resolveMediaServer();
+
+        try {
+            return await jpegExtract({
+                url: `https://${serverIpAddress}/v1/${this.ss3Camera.cameraDetails.uuid}/mjpg?x=${width}&fr=1`,
+                headers: {
+                    'Authorization': `Bearer ${this.ss3Camera.authManager.accessToken}`
+                },
+                rejectUnauthorized: false // OK because we are using IP and just polled DNS
+            });
+        } catch (err) {
+            if (this.ss3Camera.debug) this.log.error(err);
+            throw err.statusCode ? new Error(`Snapshot request failed: ${err.statusCode} ${err.statusMessage || ''}`.trim()) : err;
+        }
+    }
+
+    getSourceWidth() {
+        return getSourceResolution(this.ss3Camera.cameraDetails.cameraSettings.pictureQuality)[0];
+    }
+}
+
+export default SnapshotCache;
@@ -0,0 +1,135 @@
+import { applyOptions } from './encodingProfiles';
+
+// a viewer whose encoder falls this far behind the camera is dropped rather than buffered without limit
+const MAX_VIEWER_BUFFER = 4 * 1024 * 1024;
+
+/**
+ * Pulls a camera feed from SimpliSafe once and fans it out to every live stream of that camera at the same width,
+ * so concurrent viewers share a single upstream connection.
+ * The feed is only remuxed to MPEG-TS, each viewer's ffmpeg reads it from stdin and encodes it for its own session.
+ */
+class StreamIngest {
+    /**
+     * onClose is called once the upstream pull has stopped, after which the ingest isn't reused
+     */
+    constructor(ss3Camera, width, onClose) {
+        this.ss3Camera = ss3Camera;
+        this.log = ss3Camera.log;
+        this.width = width;
+        this.onClose = onClose;
+        this.viewers = new Map();
+        this.process = null;
+        this.closed = false;
+    }
+
+    /**
+     * Starts sending the feed to a writable stream, starting the upstream pull if needed.
+     * onEnd is called if the viewer is detached because the upstream pull ended or the viewer fell behind.
+     */
+    addViewer(stream, serverIpAddress, onEnd) {
+        if (!this.process) this.start(serverIpAddress);
+
+        // the viewer's ffmpeg exited without being removed yet
+        stream.on('error', () => this.removeViewer(stream));
+        this.viewers.set(stream, onEnd);
+        if (this.ss3Camera.debug) this.log(`Camera '${this.ss3Camera.name}' has ${this.viewers.size} viewer(s) at ${this.width}px`);
+    }
+
+    removeViewer(stream) {
+        if (!this.viewers.delete(stream)) return;
+        if (this.ss3Camera.debug) this.log(`Camera '${this.ss3Camera.name}' has ${this.viewers.size} viewer(s) at ${this.width}px`);
+        if (this.viewers.size == 0) this.stop();
+    }
+
+    start(serverIpAddress) {
+        let args = this.buildArgs(serverIpAddress);
+        if (this.ss3Camera.debug) {
+            this.log(`Start pulling video for camera '${this.ss3Camera.name}'`);
+            this.log([this.ss3Camera.ffmpegPath, ...args].join(' '));
+        }
+
+        let cmd = this.ss3Camera.ffmpegSupervisor.spawn(this.ss3Camera.ffmpegPath, args, {
+            name: `${this.ss3Camera.name} ingest`
+        });
+        cmd.stdout.on('data', chunk => {
+            for (let [stream, onEnd] of this.viewers) {
+                if (stream.destroyed) continue;
+                if (stream.writableLength > MAX_VIEWER_BUFFER) {
+                    this.log.warn(`A live stream of camera '${this.ss3Camera.name}' can't keep up with the camera and was stopped, try a lighter encoding profile`);
+                    this.detachViewer(stream, onEnd);
+                    continue;
+                }
+                stream.write(chunk);
+            }
+            if (this.viewers.size == 0) this.stop();
+        });
+        cmd.stderr.on('data', data => {
+            if (this.ss3Camera.debug) this.log(data.toString());
+        });
+        cmd.on('error', err => {
+            this.log.error(`An error occurred while pulling video for camera '${this.ss3Camera.name}':`, err);
+        });
+        cmd.on('close', () => {
+            if (this.process !== cmd) return;
+            if (this.ss3Camera.debug) this.log(`Camera '${this.ss3Camera.name}' stopped sending video`);
+            this.process = null;
+
+            for (let [stream, onEnd] of [...this.viewers]) {
+                this.detachViewer(stream, onEnd);
+            }
+            this.close();
+        });
+        this.process = cmd;
+    }
+
+    detachViewer(stream, onEnd) {
+        this.viewers.delete(stream);
+        stream.end();
+        if (onEnd) onEnd();
+    }
+
+    stop() {
+        let cmd = this.process;
+        if (!cmd) return;
+        this.process = null;
+        if (this.ss3Camera.debug) this.log(`Stop pulling video for camera '${this.ss3Camera.name}', no viewers left`);
+
+        try {
+            cmd.kill('SIGKILL');
+        } catch (e) {
+            this.log.error('Error occurred terminating the ingest process!');
+            if (this.ss3Camera.debug) this.log.error(e);
+        }
+        this.close();
+    }
+
+    close() {
+        if (this.closed) return;
+        this.closed = true;
+        if (this.onClose) this.onClose();
+    }
+
+    buildArgs(serverIpAddress) {
+        let sourceArgs = [
+            ['-re'],
+            ['-headers', `Authorization: Bearer ${this.ss3Camera.authManager.accessToken}`],
+            // always AAC, viewers that want Opus transcode it like the video
+            ['-i', `https://${serverIpAddress}/v1/${this.ss3Camera.cameraDetails.uuid}/flv?x=${this.width}&audioEncoding=AAC`]
+        ];
+        let cameraOptions = this.ss3Camera.cameraOptions;
+        if (cameraOptions && cameraOptions.sourceOptions) {
+            sourceArgs = applyOptions(sourceArgs, cameraOptions.sourceOptions, true);
+        }
+
+        return [
+            ...[].concat(...sourceArgs.map(arg => arg.map(a => typeof a == 'string' ? a.trim() : a))),
+            '-map', '0:v',
+            '-map', '0:a?',
+            '-c', 'copy',
+            '-f', 'mpegts',
+            'pipe:1'
+        ];
+    }
+}
+
+export default StreamIngest;
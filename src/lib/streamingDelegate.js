@@ -1,20 +1,26 @@
-/*global Buffer, process */
-import { spawn } from 'child_process';
-import jpegExtract from 'jpeg-extract';
+/*global Buffer */
 import crypto from 'crypto';
 import ip from 'ip';
-import dns from 'dns';
-import { promisify } from 'util';
 import isDocker from 'is-docker';
 import path from 'path';
 import fs from 'fs';
 
-const dnsLookup = promisify(dns.lookup);
+import Talkback, { reserveUdpPort } from './talkback';
+import StreamIngest from './streamIngest';
+import { getSourceResolution, resolveMediaServer } from './cameraFeed';
+import { ENCODING_PROFILES, PASSTHROUGH, getDefaultProfile, resolveProfile, applyOptions } from './encodingProfiles';
+
+const DEFAULT_MAX_SESSION_LENGTH = 1800;
 
 const privacyShutterImage = path.resolve(__dirname, '..', 'images', 'privacyshutter_snapshot.png');
-const privacyShutterImageInBytes = fs.readFileSync(privacyShutterImage);
 const unsupportedCameraImage = path.resolve(__dirname, '..', 'images', 'unsupportedcamera_snapshot.png');
-const unsupportedCameraImageInBytes = fs.readFileSync(unsupportedCameraImage);
+const imagesInBytes = {};
+
+// read when first needed, the images are copied next to the built plugin only
+function readImage(image) {
+    if (!imagesInBytes[image]) imagesInBytes[image] = fs.readFileSync(image);
+    return imagesInBytes[image];
+}
 
 class StreamingDelegate {
     constructor(ss3Camera) {
@@ -23,10 +29,14 @@ class StreamingDelegate {
         this.log = ss3Camera.log;
         this.api = ss3Camera.api;
         this.cameraOptions = ss3Camera.cameraOptions;
-        this.cameraDetails = ss3Camera.cameraDetails;
+        this.snapshotCache = ss3Camera.snapshotCache;
 
         this.pendingSessions = {};
         this.ongoingSessions = {};
+        this.talkbackSessions = {};
+        this.ingests = {};
+
+        if (ss3Camera.supportsTalkback()) this.talkback = new Talkback(ss3Camera);
 
         let fps = this.cameraDetails.cameraSettings.admin.fps;
         let streamingOptions = {
@@ -55,29 +65,45 @@ class StreamingDelegate {
                         type: this.api.hap.AudioStreamingCodecType.AAC_ELD,
                         samplerate: this.api.hap.AudioStreamingSamplerate.KHZ_16
                     }
-                ]
+                ],
+                twoWayAudio: !!this.talkback
             }
         };
 
         let resolution = this.cameraDetails.cameraSettings.pictureQuality;
         let maxSupportedHeight = +(resolution.split('p')[0]);
         streamingOptions.video.resolutions = streamingOptions.video.resolutions.filter(r => r[1] <= maxSupportedHeight);
+        this.profile = resolveProfile(ss3Camera, streamingOptions.video.resolutions);
 
-        const cameraController = new this.api.hap.CameraController({
+        let controllerOptions = {
             cameraStreamCount: 2,
             delegate: this,
             streamingOptions: streamingOptions
-        });
+        };
+
+        let recordingDelegate = ss3Camera.recordingDelegate;
+        if (recordingDelegate) {
+            controllerOptions.recording = {
+                options: recordingDelegate.getRecordingOptions(),
+                delegate: recordingDelegate
+            };
+            // HKSV records when this motion sensor is triggered
+            controllerOptions.sensors = {
+                motion: true
+            };
+        }
+
+        const cameraController = new this.api.hap.CameraController(controllerOptions);
 
         this.controller = cameraController;
     }
 
-    async handleSnapshotRequest(request, callback) {
-        if (this.simplisafe.isBlocked && Date.now() < this.simplisafe.nextAttempt) {
-            callback(new Error('Camera snapshot request blocked (rate limited)'));
-            return;
-        }
+    get cameraDetails() {
+        // refreshed periodically by the camera accessory
+        return this.ss3Camera.cameraDetails;
+    }
 
+    async handleSnapshotRequest(request, callback) {
         let resolution = `${request.width}x${request.height}`;
         if (this.ss3Camera.debug) this.log(`Handling camera snapshot for '${this.cameraDetails.cameraSettings.cameraName}' at ${resolution}`);
 
@@ -86,75 +112,37 @@ class StreamingDelegate {
             return;
         }
 
-        if (!this.ss3Camera.motionIsTriggered && this.ss3Camera.supportsPrivacyShutter()) {
-            // Because if privacy shutter is closed we dont want snapshots triggering it to open
-            let alarmSystem = await this.simplisafe.getAlarmSystem();
-            switch (alarmSystem.alarmState) {
-            case 'OFF':
-                if (this.cameraDetails.cameraSettings.shutterOff !== 'open') {
-                    this.handlePrivacyShutterClosedSnapshotRequest(callback);
-                    return;
-                }
-                break;
-
-            case 'HOME':
-                if (this.cameraDetails.cameraSettings.shutterHome !== 'open') {
-                    this.handlePrivacyShutterClosedSnapshotRequest(callback);
-                    return;
-                }
-                break;
-
-            case 'AWAY':
-                if (this.cameraDetails.cameraSettings.shutterAway !== 'open') {
-                    this.handlePrivacyShutterClosedSnapshotRequest(callback);
-                    return;
-                }
-                break;
-            }
-        }
-
         try {
-            let newIpAddress = await dnsLookup('media.simplisafe.com');
-            this.serverIpAddress = newIpAddress.address;
-        } catch (err) {
-            if (!this.serverIpAddress) {
-                this.log.error('Could not resolve hostname for media.simplisafe.com');
+            // while rate limited the cache serves its last snapshot
+            let img = await this.snapshotCache.serve(request.width);
+            if (!img) {
+                this.handlePrivacyShutterClosedSnapshotRequest(callback);
+                return;
             }
-        }
-
-        const url = {
-            url: `https://${this.serverIpAddress}/v1/${this.ss3Camera.cameraDetails.uuid}/mjpg?x=${request.width}&fr=1`,
-            headers: {
-                'Authorization': `Bearer ${this.ss3Camera.authManager.accessToken}`
-            },
-            rejectUnauthorized: false // OK because we are using IP and just polled DNS
-        };
-
-        jpegExtract(url).then(img => {
             if (this.ss3Camera.debug) this.log(`Closed '${this.cameraDetails.cameraSettings.cameraName}' snapshot request with ${Math.round(img.length/1000)}kB image`);
             callback(undefined, img);
-        }).catch(err => {
-            this.log.error('An error occurred while making snapshot request:', err.statusCode ? err.statusCode : '', err.statusMessage ? err.statusMessage : '');
-            if (this.ss3Camera.debug) this.log.error(err);
+        } catch (err) {
+            this.log.error('An error occurred while making snapshot request:', err.message || err);
             callback(err);
-        });
+        }
     }
 
     handlePrivacyShutterClosedSnapshotRequest(callback) {
         if (this.ss3Camera.debug) this.log(`Camera snapshot request ignored, '${this.cameraDetails.cameraSettings.cameraName}' privacy shutter closed`);
-        callback(undefined, privacyShutterImageInBytes);
+        callback(undefined, readImage(privacyShutterImage));
     }
 
     handleUnsupportedCameraSnapshotRequest(callback) {
         if (this.ss3Camera.debug) this.log(`Camera snapshot request ignored, '${this.cameraDetails.cameraSettings.cameraName}' is not supported`);
-        callback(undefined, unsupportedCameraImageInBytes);
+        callback(undefined, readImage(unsupportedCameraImage));
     }
 
-    prepareStream(request, callback) {
+    async prepareStream(request, callback) {
         if (this.ss3Camera.debug) this.log('Prepare stream with request:', request);
         let response = {};
         let sessionInfo = {
-            address: request.targetAddress
+            address: request.targetAddress,
+            ipv6: request.addressVersion == 'ipv6'
         };
 
         let sessionID = request.sessionID;
@@ -171,6 +159,14 @@ class StreamingDelegate {
                 srtp_salt: request.video.srtp_salt
             };
 
+            // HomeKit sends RTCP reports to the port in our response, they show the viewer is still there
+            try {
+                sessionInfo.video_return_port = await reserveUdpPort(sessionInfo.ipv6);
+                response.video.port = sessionInfo.video_return_port;
+            } catch (err) {
+                this.log.error('Unable to reserve a port for video RTCP:', err);
+            }
+
             sessionInfo.video_port = request.video.port;
             sessionInfo.video_srtp = Buffer.concat([
                 request.video.srtp_key,
@@ -197,6 +193,16 @@ class StreamingDelegate {
                 request.audio.srtp_salt
             ]);
             sessionInfo.audio_ssrc = ssrc;
+
+            if (this.talkback) {
+                // the Home app sends microphone audio to the port in our response
+                try {
+                    sessionInfo.audio_return_port = await reserveUdpPort(sessionInfo.ipv6);
+                    response.audio.port = sessionInfo.audio_return_port;
+                } catch (err) {
+                    this.log.error('Unable to reserve a port for talkback audio:', err);
+                }
+            }
         }
 
         let myIPAddress = ip.address();
@@ -251,41 +257,48 @@ class StreamingDelegate {
                     }
 
                     try {
-                        let newIpAddress = await dnsLookup('media.simplisafe.com');
-                        this.serverIpAddress = newIpAddress.address;
+                        this.serverIpAddress = await resolveMediaServer();
                     } catch (err) {
-                        if (!this.serverIpAddress) {
-                            delete this.pendingSessions[sessionIdentifier];
-                            this.log.error('Camera stream request failed, could not resolve hostname for media.simplisafe.com', err);
-                            callback(err);
-                            return;
-                        }
+                        delete this.pendingSessions[sessionIdentifier];
+                        this.log.error('Camera stream request failed:', err.message);
+                        callback(err);
+                        return;
                     }
 
+                    let [sourceWidth, sourceHeight] = getSourceResolution(this.cameraDetails.cameraSettings.pictureQuality);
+
+                    // the camera feed comes from a shared ingest, which also takes the custom source options
                     let sourceArgs = [
-                        ['-re'],
-                        ['-headers', `Authorization: Bearer ${this.ss3Camera.authManager.accessToken}`],
-                        ['-i', `https://${this.serverIpAddress}/v1/${this.ss3Camera.cameraDetails.uuid}/flv?x=${width}&audioEncoding=AAC`]
+                        ['-f', 'mpegts'],
+                        ['-i', 'pipe:0']
                     ];
 
+                    let profileName = this.profile;
+                    if (profileName == PASSTHROUGH && (width != sourceWidth || request.video.height != sourceHeight)) {
+                        profileName = getDefaultProfile(this.cameraOptions);
+                        if (this.ss3Camera.debug) this.log(`HomeKit requested ${width}x${request.video.height} from '${this.ss3Camera.name}', which streams at ${sourceWidth}x${sourceHeight}, encoding with '${profileName}'`);
+                    }
+                    let profile = ENCODING_PROFILES[profileName];
+                    if (this.ss3Camera.debug) this.log(`Using '${profileName}' encoding profile for camera '${this.ss3Camera.name}'`);
+
                     let videoArgs = [
                         ['-map', '0:0'],
-                        ['-vcodec', 'libx264'],
-                        ['-tune', 'zerolatency'],
-                        ['-preset', 'superfast'],
-                        ['-pix_fmt', 'yuv420p'],
-                        ['-r', fps],
-                        ['-f', 'rawvideo'],
-                        ['-vf', `scale=${width}:-2`],
-                        ['-b:v', `${videoBitrate}k`],
-                        ['-bufsize', `${2*videoBitrate}k`],
-                        ['-maxrate', `${videoBitrate}k`],
+                        ...(profile.copy ? [['-vcodec', 'copy']] : [
+                            ...profile.encoder.map(arg => [...arg]),
+                            ['-pix_fmt', 'yuv420p'],
+                            ['-r', fps],
+                            ['-f', 'rawvideo'],
+                            ['-vf', `scale=${width}:-2`],
+                            ['-b:v', `${videoBitrate}k`],
+                            ['-bufsize', `${2*videoBitrate}k`],
+                            ['-maxrate', `${videoBitrate}k`]
+                        ]),
                         ['-payload_type', 99],
                         ['-ssrc', sessionInfo.video_ssrc],
                         ['-f', 'rtp'],
                         ['-srtp_out_suite', 'AES_CM_128_HMAC_SHA1_80'],
                         ['-srtp_out_params', sessionInfo.video_srtp.toString('base64')],
-                        [`srtp://${sessionInfo.address}:${sessionInfo.video_port}?rtcpport=${sessionInfo.video_port}&localrtcpport=${sessionInfo.video_port}&pkt_size=${mtu}`]
+                        [`srtp://${sessionInfo.address}:${sessionInfo.video_port}?rtcpport=${sessionInfo.video_port}&pkt_size=${mtu}`]
                     ];
 
                     let audioArgs = [
@@ -305,7 +318,7 @@ class StreamingDelegate {
                         [`srtp://${sessionInfo.address}:${sessionInfo.audio_port}?rtcpport=${sessionInfo.audio_port}&localrtcpport=${sessionInfo.audio_port}&pkt_size=188`]
                     ];
 
-                    if (isDocker() && (!this.ss3Camera.cameraOptions || !this.ss3Camera.cameraOptions.ffmpegPath)) { // if docker and no custom binary specified
+                    if (!profile.copy && isDocker() && (!this.ss3Camera.cameraOptions || !this.ss3Camera.cameraOptions.ffmpegPath)) { // if docker and no custom binary specified
                         if (this.ss3Camera.debug) this.log('Detected running in docker container with bundled binary, limiting to 720px wide');
                         width = Math.min(width, 720);
                         let vFilterArg = videoArgs.find(arg => arg[0] == '-vf');
@@ -314,76 +327,24 @@ class StreamingDelegate {
 
                     if (request.audio && request.audio.codec == 'OPUS') {
                         // Request is for OPUS codec, serve that
-                        let iArg = sourceArgs.find(arg => arg[0] == '-i');
-                        iArg[1] = iArg[1].replace('&audioEncoding=AAC', '');
                         let aCodecArg = audioArgs.find(arg => arg[0] == '-acodec');
                         aCodecArg[1] = 'libopus';
                         let profileArg = audioArgs.find(arg => arg[0] == '-profile:a');
                         audioArgs.splice(audioArgs.indexOf(profileArg), 1);
                     }
 
-                    if (this.ss3Camera.cameraOptions) {
-                        if (this.ss3Camera.cameraOptions.enableHwaccelRpi) {
-                            let iArg = sourceArgs.find(arg => arg[0] == '-i');
-                            sourceArgs.splice(sourceArgs.indexOf(iArg), 0, ['-vcodec', 'h264_mmal']);
-                            let vCodecArg = videoArgs.find(arg => arg[0] == '-vcodec');
-                            vCodecArg[1] = 'h264_omx';
-                            videoArgs = videoArgs.filter(arg => arg[0] !== '-tune');
-                            videoArgs = videoArgs.filter(arg => arg[0] !== '-preset');
-                        }
-
-                        if (this.ss3Camera.cameraOptions.sourceOptions) {
-                            let options = (typeof this.ss3Camera.cameraOptions.sourceOptions === 'string') ? Object.fromEntries(this.ss3Camera.cameraOptions.sourceOptions.split('-').filter(x => x).map(arg => '-' + arg).map(a => a.split(' ').filter(x => x)))
-                                : this.ss3Camera.cameraOptions.sourceOptions; // support old config schema
-                            for (let key in options) {
-                                let value = options[key];
-                                let existingArg = sourceArgs.find(arg => arg[0] === key);
-                                if (existingArg) {
-                                    if (value === false) {
-                                        sourceArgs = sourceArgs.filter(arg => arg[0] !== key);
-                                    } else {
-                                        existingArg[1] = options[key];
-                                    }
-                                } else {
-                                    sourceArgs.unshift([key, options[key]]);
-                                }
-                            }
-                        }
+                    if (profile.decoder) {
+                        let iArg = sourceArgs.find(arg => arg[0] == '-i');
+                        sourceArgs.splice(sourceArgs.indexOf(iArg), 0, ...profile.decoder.map(arg => [...arg]));
+                    }
 
-                        if (this.ss3Camera.cameraOptions.videoOptions) {
-                            let options = (typeof this.ss3Camera.cameraOptions.videoOptions === 'string') ? Object.fromEntries(this.ss3Camera.cameraOptions.videoOptions.split('-').filter(x => x).map(arg => '-' + arg).map(a => a.split(' ').filter(x => x)))
-                                : this.ss3Camera.cameraOptions.videoOptions; // support old config schema
-                            for (let key in options) {
-                                let value = options[key];
-                                let existingArg = videoArgs.find(arg => arg[0] === key);
-                                if (existingArg) {
-                                    if (value === false) {
-                                        videoArgs = videoArgs.filter(arg => arg[0] !== key);
-                                    } else {
-                                        existingArg[1] = options[key];
-                                    }
-                                } else {
-                                    videoArgs.push([key, options[key]]);
-                                }
-                            }
+                    if (this.ss3Camera.cameraOptions) {
+                        // custom video arguments win over the profile's, but would break the camera's own stream
+                        if (this.ss3Camera.cameraOptions.videoOptions && !profile.copy) {
+                            videoArgs = applyOptions(videoArgs, this.ss3Camera.cameraOptions.videoOptions);
                         }
-
                         if (this.ss3Camera.cameraOptions.audioOptions) {
-                            let options = (typeof this.ss3Camera.cameraOptions.audioOptions === 'string') ? Object.fromEntries(this.ss3Camera.cameraOptions.audioOptions.split('-').filter(x => x).map(arg => '-' + arg).map(a => a.split(' ').filter(x => x)))
-                                : this.ss3Camera.cameraOptions.audioOptions; // support old config schema
-                            for (let key in options) {
-                                let value = options[key];
-                                let existingArg = audioArgs.find(arg => arg[0] === key);
-                                if (existingArg) {
-                                    if (value === false) {
-                                        audioArgs = audioArgs.filter(arg => arg[0] !== key);
-                                    } else {
-                                        existingArg[1] = options[key];
-                                    }
-                                } else {
-                                    audioArgs.push([key, options[key]]);
-                                }
-                            }
+                            audioArgs = applyOptions(audioArgs, this.ss3Camera.cameraOptions.audioOptions);
                         }
                     }
 
@@ -391,13 +352,42 @@ class StreamingDelegate {
                     let video = [].concat(...videoArgs.map(arg => arg.map(a => typeof a == 'string' ? a.trim() : a)));
                     let audio = [].concat(...audioArgs.map(arg => arg.map(a => typeof a == 'string' ? a.trim() : a)));
 
+                    // viewers at the same width share one pull from SimpliSafe, passthrough needs the camera's own resolution
+                    let ingestWidth = profile.copy ? sourceWidth : width;
+                    let ingest = this.ingests[ingestWidth];
+                    if (!ingest) {
+                        ingest = this.ingests[ingestWidth] = new StreamIngest(this.ss3Camera, ingestWidth, () => {
+                            if (this.ingests[ingestWidth] === ingest) delete this.ingests[ingestWidth];
+                        });
+                    }
+
+                    // the stream can fail in several ways before it starts, HAP must only hear about the first
+                    let settled = false;
+                    let settle = err => {
+                        if (settled) return;
+                        settled = true;
+                        callback(err);
+                    };
+
                     try {
-                        let cmd = spawn(this.ss3Camera.ffmpegPath, [
+                        let started = false;
+                        let maxSessionLength = this.cameraOptions && this.cameraOptions.maxSessionLength !== undefined ? this.cameraOptions.maxSessionLength : DEFAULT_MAX_SESSION_LENGTH;
+                        let cmd = this.ss3Camera.ffmpegSupervisor.spawn(this.ss3Camera.ffmpegPath, [
                             ...source,
                             ...video,
                             ...audio
                         ], {
-                            env: process.env
+                            name: `${this.ss3Camera.name} live stream`,
+                            maxSessionLength: maxSessionLength,
+                            rtcpPort: sessionInfo.video_return_port,
+                            rtcpIpv6: sessionInfo.ipv6,
+                            onStop: reason => {
+                                if (!started) {
+                                    settle(new Error(`Camera stream stopped: ${reason}`));
+                                } else {
+                                    this.controller.forceStopStreamingSession(sessionId);
+                                }
+                            }
                         });
     
                         if (this.ss3Camera.debug) {
@@ -405,12 +395,11 @@ class StreamingDelegate {
                             this.log([this.ss3Camera.ffmpegPath, source.join(' '), video.join(' '), audio.join(' ')].join(' '));
                         }
     
-                        let started = false;
                         cmd.stderr.on('data', data => {
                             if (!started) {
                                 started = true;
                                 if (this.ss3Camera.debug) this.log('FFMPEG received first frame');
-                                callback(); // do not forget to execute callback once set up
+                                settle(); // do not forget to execute callback once set up
                             }
                             if (this.ss3Camera.debug) {
                                 this.log(data.toString());
@@ -419,10 +408,20 @@ class StreamingDelegate {
     
                         cmd.on('error', err => {
                             this.log.error('An error occurred while making stream request:', err);
-                            callback(err);
+                            settle(err);
                         });
     
+                        ingest.addViewer(cmd.stdin, this.serverIpAddress, () => {
+                            if (started) this.controller.forceStopStreamingSession(sessionId);
+                        });
+
                         cmd.on('close', code => {
+                            ingest.removeViewer(cmd.stdin);
+                            // HAP doesn't send a stop request for sessions it was told to force stop
+                            if (this.ongoingSessions[sessionIdentifier] === cmd) {
+                                delete this.ongoingSessions[sessionIdentifier];
+                                this.stopTalkback(sessionIdentifier);
+                            }
                             switch (code) {
                             case null:
                             case 0:
@@ -432,18 +431,23 @@ class StreamingDelegate {
                             default:
                                 if (this.ss3Camera.debug) this.log(`Error: FFmpeg exited with code ${code}`);
                                 if (!started) {
-                                    callback(new Error(`Error: FFmpeg exited with code ${code}`));
+                                    settle(new Error(`Error: FFmpeg exited with code ${code}`));
                                 } else {
                                     this.controller.forceStopStreamingSession(sessionId);
                                 }
                                 break;
                             }
+                            if (!started) settle(new Error('Camera stream ended before it started'));
                         });
     
                         this.ongoingSessions[sessionIdentifier] = cmd;
+
+                        if (this.talkback && sessionInfo.audio_return_port) {
+                            this.talkbackSessions[sessionIdentifier] = this.talkback.start(sessionInfo, this.serverIpAddress, maxSessionLength);
+                        }
                     } catch (e) {
                         this.log.error(`Unable to spawn ffmpeg process at ${this.ss3Camera.ffmpegPath} with error:`, e);
-                        callback(e);
+                        settle(e);
                     }
                 }
 
@@ -461,10 +465,24 @@ class StreamingDelegate {
                 }
 
                 delete this.ongoingSessions[sessionIdentifier];
+                this.stopTalkback(sessionIdentifier);
                 callback();
             }
         }
     }
+
+    stopTalkback(sessionIdentifier) {
+        let talkbackCmd = this.talkbackSessions[sessionIdentifier];
+        delete this.talkbackSessions[sessionIdentifier];
+        try {
+            if (talkbackCmd) {
+                talkbackCmd.kill('SIGKILL');
+            }
+        } catch (e) {
+            this.log.error('Error occurred terminating the talkback process!');
+            if (this.ss3Camera.debug) this.log.error(e);
+        }
+    }
 }
 
 export default StreamingDelegate;
@@ -0,0 +1,102 @@
+import dgram from 'dgram';
+
+// AAC-ELD 16kHz mono, the only return audio format the Home app sends
+const RETURN_AUDIO_PAYLOAD_TYPE = 110;
+const RETURN_AUDIO_CONFIG = 'F8F0212C00BC00';
+
+/**
+ * Finds a free local UDP port for HomeKit to send return audio to
+ */
+export function reserveUdpPort(ipv6 = false) {
+    return new Promise((resolve, reject) => {
+        let socket = dgram.createSocket(ipv6 ? 'udp6' : 'udp4');
+        socket.on('error', reject);
+        socket.bind(0, () => {
+            let port = socket.address().port;
+            socket.close(() => resolve(port));
+        });
+    });
+}
+
+/**
+ * Relays audio from the Home app microphone to the camera speaker
+ */
+class Talkback {
+    constructor(ss3Camera) {
+        this.ss3Camera = ss3Camera;
+        this.log = ss3Camera.log;
+    }
+
+    buildSdp(sessionInfo) {
+        let ipVersion = sessionInfo.ipv6 ? 'IP6' : 'IP4';
+        return [
+            'v=0',
+            `o=- 0 0 IN ${ipVersion} ${sessionInfo.address}`,
+            's=Talkback',
+            `c=IN ${ipVersion} ${sessionInfo.address}`,
+            't=0 0',
+            `m=audio ${sessionInfo.audio_return_port} RTP/AVP ${RETURN_AUDIO_PAYLOAD_TYPE}`,
+            'b=AS:24',
+            `a=rtpmap:${RETURN_AUDIO_PAYLOAD_TYPE} MPEG4-GENERIC/16000/1`,
+            'a=rtcp-mux',
+            `a=fmtp:${RETURN_AUDIO_PAYLOAD_TYPE} profile-level-id=1;mode=AAC-hbr;sizelength=13;indexlength=3;indexdeltalength=3; config=${RETURN_AUDIO_CONFIG}`,
+            `a=crypto:1 AES_CM_128_HMAC_SHA1_80 inline:${sessionInfo.audio_srtp.toString('base64')}`
+        ].join('\r\n') + '\r\n';
+    }
+
+    buildArgs(serverIpAddress) {
+        return [
+            '-hide_banner',
+            '-protocol_whitelist', 'pipe,udp,rtp,file,crypto',
+            '-f', 'sdp',
+            '-acodec', 'libfdk_aac',
+            '-i', 'pipe:0',
+            '-acodec', 'libfdk_aac',
+            '-profile:a', 'aac_low',
+            '-ac', '1',
+            '-ar', '16k',
+            '-b:a', '32k',
+            '-f', 'flv',
+            '-method', 'POST',
+            '-headers', `Authorization: Bearer ${this.ss3Camera.authManager.accessToken}`,
+            `https://${serverIpAddress}/v1/${this.ss3Camera.cameraDetails.uuid}/speaker?audioEncoding=AAC`
+        ];
+    }
+
+    start(sessionInfo, serverIpAddress, maxSessionLength) {
+        let args = this.buildArgs(serverIpAddress);
+        if (this.ss3Camera.debug) {
+            this.log(`Start talkback for camera '${this.ss3Camera.name}'`);
+            this.log([this.ss3Camera.ffmpegPath, ...args].join(' '));
+        }
+
+        // the Home app only sends audio while the microphone is on, so silence isn't a stall
+        let cmd = this.ss3Camera.ffmpegSupervisor.spawn(this.ss3Camera.ffmpegPath, args, {
+            name: `${this.ss3Camera.name} talkback`,
+            stallTimeout: 0,
+            maxSessionLength: maxSessionLength
+        });
+
+        cmd.stderr.on('data', data => {
+            if (this.ss3Camera.debug) this.log(data.toString());
+        });
+
+        cmd.on('error', err => {
+            this.log.error('An error occurred during talkback:', err);
+        });
+
+        cmd.on('close', code => {
+            if (this.ss3Camera.debug) this.log(`Talkback stopped for camera '${this.ss3Camera.name}'${code ? ` with code ${code}` : ''}`);
+        });
+
+        // ffmpeg reads the description of the incoming SRTP stream from stdin
+        cmd.stdin.on('error', err => {
+            if (this.ss3Camera.debug) this.log.error('Unable to send talkback stream description to ffmpeg:', err);
+        });
+        cmd.stdin.end(this.buildSdp(sessionInfo));
+
+        return cmd;
+    }
+}
+
+export default Talkback;
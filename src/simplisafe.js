@@ -3,6 +3,8 @@ import axiosRetry from 'axios-retry';
 import WebSocket from 'ws';
 import EventEmitter from 'events';
 
+import RequestScheduler from './lib/requestScheduler';
+
 export const VALID_ALARM_STATES = [
     'off',
     'home',
@@ -14,6 +16,18 @@ export const VALD_LOCK_STATES = [
     'unlock'
 ];
 
+// Writable SS3 "normal" settings and their allowed ranges, volumes are 0 (off) - 3 (high)
+export const SYSTEM_SETTINGS = {
+    alarmDuration: { min: 30, max: 480 }, // s
+    alarmVolume: { min: 0, max: 3 },
+    doorChime: { min: 0, max: 3 },
+    voicePrompts: { min: 0, max: 3 },
+    entryDelayAway: { min: 30, max: 255 }, // s
+    entryDelayHome: { min: 0, max: 255 }, // s
+    exitDelayAway: { min: 45, max: 255 }, // s
+    exitDelayHome: { min: 0, max: 255 } // s
+};
+
 export const SENSOR_TYPES = {
     'APP': 0,
     'KEYPAD': 1,
@@ -50,9 +64,31 @@ export const EVENT_TYPES = {
     DOORLOCK_ERROR: 'DOORLOCK_ERROR',
     POWER_OUTAGE: 'POWER_OUTAGE',
     POWER_RESTORED: 'POWER_RESTORED',
+    WIFI_LOST: 'WIFI_LOST',
+    WIFI_RESTORED: 'WIFI_RESTORED',
     USER_INITIATED_TEST: 'USER_INITIATED_TEST',
 };
 
+export const ALARM_CATEGORIES = {
+    FIRE: 'FIRE',
+    CO: 'CO',
+    WATER: 'WATER',
+    FREEZE: 'FREEZE',
+    INTRUSION: 'INTRUSION',
+    PANIC: 'PANIC'
+};
+
+// Alarm eventCids (Contact ID codes) by the kind of emergency they report
+export const ALARM_EVENT_CATEGORIES = {
+    1110: ALARM_CATEGORIES.FIRE,
+    1120: ALARM_CATEGORIES.PANIC,
+    1132: ALARM_CATEGORIES.INTRUSION, // interior e.g. motion sensor
+    1134: ALARM_CATEGORIES.INTRUSION, // entry / exit
+    1154: ALARM_CATEGORIES.WATER,
+    1159: ALARM_CATEGORIES.FREEZE,
+    1162: ALARM_CATEGORIES.CO
+};
+
 export class RateLimitError extends Error {
     constructor(...params) {
         super(...params);
@@ -71,31 +107,43 @@ const rateLimitMaxInterval = 2 * 60 * 60 * 1000; // ms
 const sensorRefreshLockoutDuration = 20000; // ms
 const errorSuppressionDuration = 5 * 60 * 1000; // ms
 const alarmRefreshInterval = 62000; // ms, avoid overlap with sensor refresh
+const settingsCacheTime = 3000; // ms
 
+const ssApiUrl = 'https://api.simplisafe.com/v1';
 const wsUrl = 'wss://socketlink.prd.aser.simplisafe.com';
 const socketRetryInterval = 1000; //ms
 const socketHeartbeatInterval = 60 * 1000; //ms
+const eventBackfillCount = 50;
+const eventBackfillMargin = 30; // s, allow for clock differences with SimpliSafe
+const seenEventIdsMaxLength = 500;
+const transientEventCids = [1170, 1409, 1458]; // motion & doorbell, stale by the time they are backfilled
 
 const ssApi = axios.create({
-    baseURL: 'https://api.simplisafe.com/v1'
+    baseURL: ssApiUrl
 });
 
 class SimpliSafe3 extends EventEmitter {
 
     authManager;
+    apiUrl = ssApiUrl;
+    socketUrl = wsUrl;
     userId;
-    subId;
+    subIds = [];
     accountNumber;
     socket;
     lastSubscriptionRequests = {};
-    lastSensorRequest;
-    lastLockRequest;
+    lastSensorRequests = {};
+    lastLockRequests = {};
+    lastSettingsRequests = {};
     alarmRefreshIntervalID;
     alarmSubscriptions = [];
-    sensorRefreshIntervalID;
+    sensorRefreshTimeoutIDs = {};
     sensorRefreshTime;
-    refreshLockoutTimeoutID;
-    refreshLockoutEnabled = false;
+    sensorRefreshPolicy;
+    alarmStates = {};
+    exitDelayEndTimes = {};
+    refreshLockoutTimeoutIDs = {};
+    refreshLockoutEnabled = {};
     sensorSubscriptions = [];
     errorSupperessionTimeoutID;
     nSuppressedErrors;
@@ -103,7 +151,10 @@ class SimpliSafe3 extends EventEmitter {
     nSocketConnectFailures = 0;
     socketHeartbeatIntervalID;
     socketIsAlive;
+    isSocketConnected = false;
     isAwaitingSocketReconnect;
+    socketDisconnectedAt;
+    seenEventIds = [];
     isBlocked;
     nextBlockInterval = rateLimitInitialInterval;
     nextAttempt = 0;
@@ -111,6 +162,7 @@ class SimpliSafe3 extends EventEmitter {
     constructor(sensorRefreshTime = 15000, authManager, storagePath, log, debug) {
         super();
         this.sensorRefreshTime = sensorRefreshTime;
+        this.setSensorRefreshPolicy();
         this.log = log || console.log;
         this.debug = debug;
         this.storagePath = storagePath;
@@ -118,9 +170,16 @@ class SimpliSafe3 extends EventEmitter {
         
         axiosRetry(ssApi, { retries: 2 });
 
+        this.setRequestBudget();
+
         this.resetRateLimitHandler();
     }
 
+    setRequestBudget(options = {}) {
+        // budget, budgetInterval (ms) and maxConcurrent, each defaulting to what is known to stay clear of SimpliSafe's rate limiting
+        this.scheduler = new RequestScheduler(options, this.log, this.debug);
+    }
+
     resetRateLimitHandler() {
         this.isBlocked = false;
         this.nextBlockInterval = rateLimitInitialInterval;
@@ -134,15 +193,26 @@ class SimpliSafe3 extends EventEmitter {
         }
     }
 
-    async request(params, tokenRefreshed = false) {
+    async request(params) {
         if (this.isBlocked && Date.now() < this.nextAttempt) {
             let err = new RateLimitError('Blocking request: rate limited');
             throw err;
         }
 
+        return this.scheduler.schedule(params, () => this.sendRequest(params));
+    }
+
+    async sendRequest(params, tokenRefreshed = false) {
+        if (this.isBlocked && Date.now() < this.nextAttempt) {
+            // became rate limited while the request was queued
+            let err = new RateLimitError('Blocking request: rate limited');
+            throw err;
+        }
+
         try {
             const response = await ssApi.request({
                 ...params,
+                baseURL: this.apiUrl,
                 headers: {
                     ...params.headers,
                     Authorization: `${this.authManager.tokenType} ${this.authManager.accessToken}`
@@ -163,7 +233,7 @@ class SimpliSafe3 extends EventEmitter {
                 try {
                     await this.authManager.refreshCredentials();
                     if (this.debug) this.log('Credentials refreshed successfully after failed request');
-                    return this.request(params, true);
+                    return this.sendRequest(params, true);
                 } catch (credentialsErr) {
                     if (credentialsErr.response && credentialsErr.response.status == 403) {
                         if (this.debug) this.log.error('Credentials refresh failed with error 403 (rate liimiting?):', credentialsErr.response.statusText);
@@ -222,26 +292,18 @@ class SimpliSafe3 extends EventEmitter {
         // Free trials can have same accountNumber but only one should be "activated"
         if (subscriptions.length > 1) subscriptions = subscriptions.filter(s => s.activated > 0);
 
-        if (subscriptions.length == 1) {
-            this.subId = subscriptions[0].sid;
+        if (subscriptions.length == 0) {
+            throw new Error('No matching monitoring plans found. Check your account and ensure you have an active plan.');
         }
 
+        this.subIds = subscriptions.map(s => s.sid);
+
         return subscriptions;
     }
 
-    async getSubscription(forceRefresh = false) {
-        let subscriptionId = this.subId;
-
+    async getSubscription(subscriptionId, forceRefresh = false) {
         if (!subscriptionId) {
-            let subs = await this.getSubscriptions();
-            if (subs.length == 1) {
-                subscriptionId = subs[0].sid;
-            } else if (subs.length == 0) {
-                throw new Error('No matching monitoring plans found. Check your account and ensure you have an active plan.');
-            } else {
-                let accountNumbers = subs.map(s => s.location.account);
-                throw new Error(`Multiple accounts found. You must specify an account number in the plugin settings. See README https://github.com/homebridge-simplisafe3/homebridge-simplisafe3#subscriptionid-account-number for more info. The account numbers found were: ${accountNumbers.join(', ')}.`);
-            }
+            throw new Error('Subscription ID not defined');
         }
 
         if (forceRefresh || !this.lastSubscriptionRequests[subscriptionId]) {
@@ -274,46 +336,94 @@ class SimpliSafe3 extends EventEmitter {
         this.accountNumber = accountNumber;
     }
 
-    async getAlarmSystem(forceRefresh = false) {
-        let subscription = await this.getSubscription(forceRefresh);
+    setSensorRefreshPolicy(policy = {}) {
+        // intervals in ms for each alarm mode, defaulting to the fixed sensorRefreshTime
+        this.sensorRefreshPolicy = {
+            off: policy.off || this.sensorRefreshTime,
+            home: policy.home || this.sensorRefreshTime,
+            away: policy.away || this.sensorRefreshTime,
+            disconnected: policy.disconnected || this.sensorRefreshTime
+        };
+    }
+
+    getSensorRefreshInterval(subId) {
+        if (!this.isSocketConnected) {
+            return Math.min(this.sensorRefreshPolicy.disconnected, this.getAlarmModeRefreshInterval(subId));
+        }
+
+        return this.getAlarmModeRefreshInterval(subId);
+    }
+
+    getAlarmModeRefreshInterval(subId) {
+        switch (this.alarmStates[subId]) {
+        case 'HOME':
+        case 'HOME_COUNT':
+            return this.sensorRefreshPolicy.home;
+        case 'AWAY':
+        case 'AWAY_COUNT':
+        case 'ALARM_COUNT':
+        case 'ALARM':
+            return this.sensorRefreshPolicy.away;
+        default:
+            return this.sensorRefreshPolicy.off;
+        }
+    }
+
+    updateAlarmState(subId, alarmState) {
+        if (this.alarmStates[subId] === alarmState) return;
+        let previousInterval = this.getSensorRefreshInterval(subId);
+        this.alarmStates[subId] = alarmState;
+        if (this.getSensorRefreshInterval(subId) !== previousInterval) this.rescheduleSensorRefresh(subId);
+    }
+
+    async getAlarmSystem(subId, forceRefresh = false) {
+        let subscription = await this.getSubscription(subId, forceRefresh);
 
         if (subscription.location && subscription.location.system) {
+            this.updateAlarmState(subId, subscription.location.system.isAlarming ? 'ALARM' : subscription.location.system.alarmState);
             return subscription.location.system;
         } else {
             throw new Error('Subscription format not understood:', subscription);
         }
     }
 
-    async setAlarmState(newState) {
+    async setAlarmState(subId, newState) {
         let state = newState.toLowerCase();
 
         if (VALID_ALARM_STATES.indexOf(state) == -1) {
             throw new Error('Invalid target state');
         }
 
-        if (!this.subId) {
-            await this.getSubscription();
-        }
-
         let data = await this.request({
             method: 'POST',
-            url: `/ss3/subscriptions/${this.subId}/state/${state}`
+            url: `/ss3/subscriptions/${subId}/state/${state}`
         });
 
-        this.handleSensorRefreshLockout();
-        
+        this.handleSensorRefreshLockout(subId);
+        this.lastSubscriptionRequests[subId] = null; // the alarm state is part of the subscription
+        if (data && data.exitDelay > 0) {
+            this.exitDelayEndTimes[subId] = Date.now() + data.exitDelay * 1000;
+        } else {
+            delete this.exitDelayEndTimes[subId];
+        }
+
         return data;
     }
 
-    async getSensors(forceUpdate = false, forceRefresh = false) {
-        if (!this.subId) {
-            await this.getSubscription();
-        }
+    /**
+     * Seconds left of the exit delay started by the last setAlarmState call, if any
+     */
+    getExitDelayRemaining(subId) {
+        let endTime = this.exitDelayEndTimes[subId];
+        if (!endTime || endTime <= Date.now()) return null;
+        return Math.ceil((endTime - Date.now()) / 1000);
+    }
 
-        if (forceRefresh || !this.lastSensorRequest) {
-            this.lastSensorRequest = await this.request({
+    async getSensors(subId, forceUpdate = false, forceRefresh = false) {
+        if (forceRefresh || !this.lastSensorRequests[subId]) {
+            this.lastSensorRequests[subId] = await this.request({
                 method: 'GET',
-                url: `/ss3/subscriptions/${this.subId}/sensors?forceUpdate=${forceUpdate ? 'true' : 'false'}`
+                url: `/ss3/subscriptions/${subId}/sensors?forceUpdate=${forceUpdate ? 'true' : 'false'}`
             })
                 .then(data => {
                     return data;
@@ -323,17 +433,17 @@ class SimpliSafe3 extends EventEmitter {
                 })
                 .finally(() => {
                     setTimeout(() => {
-                        this.lastSensorRequest = null;
+                        this.lastSensorRequests[subId] = null;
                     }, sensorCacheTime);
                 });
         }
 
-        let data = this.lastSensorRequest;
+        let data = this.lastSensorRequests[subId];
         return data.sensors;
     }
 
-    async getCameras(forceRefresh = false) {
-        let system = await this.getAlarmSystem(forceRefresh);
+    async getCameras(subId, forceRefresh = false) {
+        let system = await this.getAlarmSystem(subId, forceRefresh);
 
         if (system.cameras) {
             return system.cameras;
@@ -342,15 +452,11 @@ class SimpliSafe3 extends EventEmitter {
         }
     }
 
-    async getLocks(forceRefresh) {
-        if (!this.subId) {
-            await this.getSubscription();
-        }
-
-        if (forceRefresh || !this.lastLockRequest) {
-            this.lastLockRequest = await this.request({
+    async getLocks(subId, forceRefresh) {
+        if (forceRefresh || !this.lastLockRequests[subId]) {
+            this.lastLockRequests[subId] = await this.request({
                 method: 'GET',
-                url: `/doorlock/${this.subId}`
+                url: `/doorlock/${subId}`
             })
                 .then(data => {
                     return data;
@@ -360,36 +466,123 @@ class SimpliSafe3 extends EventEmitter {
                 })
                 .finally(() => {
                     setTimeout(() => {
-                        this.lastLockRequest = null;
+                        this.lastLockRequests[subId] = null;
                     }, sensorCacheTime);
                 });
         }
 
-        let data = this.lastLockRequest;
-        this.refreshLockoutEnabled = data.length > 0;
+        let data = this.lastLockRequests[subId];
+        this.refreshLockoutEnabled[subId] = data.length > 0;
         return data;
 
     }
 
-    async setLockState(lockId, newState) {
+    async getSettings(subId, forceRefresh = false) {
+        if (forceRefresh || !this.lastSettingsRequests[subId]) {
+            this.lastSettingsRequests[subId] = await this.request({
+                method: 'GET',
+                url: `/ss3/subscriptions/${subId}/settings/normal?forceUpdate=false`
+            })
+                .finally(() => {
+                    setTimeout(() => {
+                        this.lastSettingsRequests[subId] = null;
+                    }, settingsCacheTime);
+                });
+        }
+
+        let data = this.lastSettingsRequests[subId];
+        if (data.settings && data.settings.normal) {
+            return data.settings.normal;
+        } else {
+            throw new Error('Settings format not understood');
+        }
+    }
+
+    async setSettings(subId, settings) {
+        for (let [key, value] of Object.entries(settings)) {
+            let range = SYSTEM_SETTINGS[key];
+            if (!range) {
+                throw new Error(`Invalid setting: ${key}`);
+            }
+            if (!Number.isInteger(value) || value < range.min || value > range.max) {
+                throw new Error(`Invalid value for ${key}: ${value} (must be ${range.min}-${range.max})`);
+            }
+        }
+
+        let data = await this.request({
+            method: 'POST',
+            url: `/ss3/subscriptions/${subId}/settings/normal`,
+            data: {
+                normal: settings
+            }
+        });
+
+        this.lastSettingsRequests[subId] = null;
+        return data.settings ? data.settings.normal : data;
+    }
+
+    async setLockState(subId, lockId, newState) {
         let state = newState.toLowerCase();
 
         if (VALD_LOCK_STATES.indexOf(state) == -1) {
             throw new Error('Invalid target state');
         }
 
-        if (!this.subId) {
-            await this.getSubscription();
+        let data = await this.request({
+            method: 'POST',
+            url: `/doorlock/${subId}/${lockId}/state`,
+            data: {
+                state: state
+            }
+        });
+
+        return data;
+    }
+
+    async getEvents(subId, numEvents = eventBackfillCount) {
+        let data = await this.request({
+            method: 'GET',
+            url: `/subscriptions/${subId}/events?numEvents=${numEvents}`
+        });
+
+        return data.events;
+    }
+
+    async backfillEvents(since) {
+        let sinceTimestamp = Math.floor(since / 1000) - eventBackfillMargin; // SS timestamps are in seconds
+
+        for (let subId of this.subIds) {
+            try {
+                let events = await this.getEvents(subId);
+                let missedEvents = events
+                    .filter(event => event.eventTimestamp >= sinceTimestamp && !this.seenEventIds.includes(event.eventId))
+                    .filter(event => !transientEventCids.includes(event.eventCid))
+                    .sort((a, b) => a.eventTimestamp - b.eventTimestamp);
+
+                if (this.debug) this.log(`Replaying ${missedEvents.length} event(s) missed while real time events were disconnected for subscription ${subId}`);
+                for (let event of missedEvents) {
+                    this.handleEvent({ sid: subId, ...event, replayed: true });
+                }
+                // missed alarms aren't replayed as they may be over, the alarm state tells whether one still is
+                if (missedEvents.some(event => event.eventType == 'alarm')) await this.refreshAlarmSystem(subId);
+            } catch (err) {
+                if (!(err instanceof RateLimitError)) { // never log rate limit errors as they are handled elsewhere
+                    this.log.error('An error occurred while retrieving missed events from the SimpliSafe API:', err);
+                }
+            }
         }
+    }
 
+    async setCameraSettings(subId, cameraUuid, settings) {
         let data = await this.request({
             method: 'POST',
-            url: `/doorlock/${this.subId}/${lockId}/state`,
+            url: `/cameras/${cameraUuid}/settings`,
             data: {
-                state: state
+                cameraSettings: settings
             }
         });
 
+        this.lastSubscriptionRequests[subId] = null; // camera details are part of the subscription
         return data;
     }
 
@@ -397,7 +590,7 @@ class SimpliSafe3 extends EventEmitter {
         if (this.socket) return;
 
         let userId = await this.getUserId();
-        this.socket = new WebSocket(wsUrl, {
+        this.socket = new WebSocket(this.socketUrl, {
             handshakeTimeout: 5000
         });
 
@@ -460,6 +653,13 @@ class SimpliSafe3 extends EventEmitter {
                     this.log('SimpliSafe real time events connected.');
                     this.nSocketConnectFailures = 0;
                     this.socketIsAlive = true;
+                    this.setSocketConnected(true);
+
+                    if (this.socketDisconnectedAt) {
+                        let disconnectedAt = this.socketDisconnectedAt;
+                        this.socketDisconnectedAt = undefined;
+                        this.backfillEvents(disconnectedAt);
+                    }
                     
                     // heartbeat
                     this.socketHeartbeatIntervalID = setInterval(() => {
@@ -477,121 +677,142 @@ class SimpliSafe3 extends EventEmitter {
                     if (this.debug) this.log('Received unknown service message:', message)
                 }
             } else if (message.source == 'messagequeue') {
-                let data = message.data;
-                if (data.sid != this.subId) {
-                    // Ignore event as it doesn't relate to this account
-                    return;
-                }
-
-                switch (data.eventType) {
-                case 'alarm':
-                    if (data.eventCid == 1601) {
-                        this.emit(EVENT_TYPES.USER_INITIATED_TEST, data);
-                    } else {
-                        this.emit(EVENT_TYPES.ALARM_TRIGGER, data);
-                    }
-                    break;
-                case 'alarmCancel':
-                    this.emit(EVENT_TYPES.ALARM_OFF, data);
-                    break;
-                case 'cameraStatus':
-                    // nothing to do
-                    break;
-                case 'activity':
-                case 'activityQuiet':
-                default:
-                    // if it's not an alarm event, check by eventCid
-                    switch (data.eventCid) {
-                    case 1400:
-                    case 1407:
-                        // 1400 is disarmed with Master PIN, 1407 is disarmed with Remote
-                        this.emit(EVENT_TYPES.ALARM_DISARM, data);
-                        this.handleSensorRefreshLockout();
-                        break;
-                    case 1406:
-                        this.emit(EVENT_TYPES.ALARM_CANCEL, data);
-                        this.handleSensorRefreshLockout();
-                        break;
-                    case 1409:
-                        this.emit(EVENT_TYPES.MOTION, data);
-                        break;
-                    case 9441:
-                        this.emit(EVENT_TYPES.HOME_EXIT_DELAY, data);
-                        break;
-                    case 3441:
-                    case 3491:
-                        this.emit(EVENT_TYPES.HOME_ARM, data);
-                        this.handleSensorRefreshLockout();
-                        break;
-                    case 9401:
-                    case 9407:
-                        // 9401 is for Keypad, 9407 is for Remote
-                        this.emit(EVENT_TYPES.AWAY_EXIT_DELAY, data);
-                        break;
-                    case 3401:
-                    case 3407:
-                    case 3487:
-                    case 3481:
-                        // 3401 is for Keypad, 3407 is for Remote
-                        this.emit(EVENT_TYPES.AWAY_ARM, data);
-                        this.handleSensorRefreshLockout();
-                        break;
-                    case 1429:
-                        this.emit(EVENT_TYPES.ENTRY, data);
-                        break;
-                    case 1110:
-                    case 1154:
-                    case 1159:
-                    case 1162:
-                    case 1132:
-                    case 1134:
-                    case 1120:
-                        this.emit(EVENT_TYPES.ALARM_TRIGGER, data);
-                        break;
-                    case 1170:
-                        this.emit(EVENT_TYPES.CAMERA_MOTION, data);
-                        break;
-                    case 1301:
-                        this.emit(EVENT_TYPES.POWER_OUTAGE, data);
-                        break;
-                    case 3301:
-                        this.emit(EVENT_TYPES.POWER_RESTORED, data);
-                        break;
-                    case 1458:
-                        this.emit(EVENT_TYPES.DOORBELL, data);
-                        break;
-                    case 9700:
-                        this.emit(EVENT_TYPES.DOORLOCK_UNLOCKED, data);
-                        break;
-                    case 9701:
-                        this.emit(EVENT_TYPES.DOORLOCK_LOCKED, data);
-                        break;
-                    case 9703:
-                        this.emit(EVENT_TYPES.DOORLOCK_ERROR, data);
-                        break;
-                    case 1350:
-                        this.log.error('Base station WiFi lost, this plugin cannot communicate with the base station until it is restored.');
-                        break;
-                    case 3350:
-                        this.log.warn('Base station WiFi restored.');
-                        break;
-                    case 1601:
-                        // User-initiated test, handled above
-                        break;
-                    case 1602:
-                        // Automatic test
-                        break;
-                    default:
-                        // Unknown event
-                        if (this.debug) this.log('Unknown SSAPI event:', data);
-                        break;
-                    }
-                    break;
-                }
+                this.handleEvent(message.data);
             }
         });
     }
 
+    handleEvent(data) {
+        if (!this.subIds.includes(data.sid)) {
+            // Ignore event as it doesn't relate to a discovered subscription
+            return;
+        }
+
+        if (data.eventId) {
+            if (this.seenEventIds.includes(data.eventId)) return;
+            this.seenEventIds.push(data.eventId);
+            if (this.seenEventIds.length > seenEventIdsMaxLength) this.seenEventIds.shift();
+        }
+
+        switch (data.eventType) {
+        case 'alarm':
+            if (data.replayed) break;
+            if (data.eventCid == 1601) {
+                this.emit(EVENT_TYPES.USER_INITIATED_TEST, data);
+            } else {
+                this.updateAlarmState(data.sid, 'ALARM');
+                this.emit(EVENT_TYPES.ALARM_TRIGGER, data);
+            }
+            break;
+        case 'alarmCancel':
+            this.updateAlarmState(data.sid, 'OFF');
+            this.emit(EVENT_TYPES.ALARM_OFF, data);
+            break;
+        case 'cameraStatus':
+            // nothing to do
+            break;
+        case 'activity':
+        case 'activityQuiet':
+        default:
+            // if it's not an alarm event, check by eventCid
+            switch (data.eventCid) {
+            case 1400:
+            case 1407:
+                // 1400 is disarmed with Master PIN, 1407 is disarmed with Remote
+                this.updateAlarmState(data.sid, 'OFF');
+                this.emit(EVENT_TYPES.ALARM_DISARM, data);
+                this.handleSensorRefreshLockout(data.sid);
+                break;
+            case 1406:
+                this.updateAlarmState(data.sid, 'OFF');
+                this.emit(EVENT_TYPES.ALARM_CANCEL, data);
+                this.handleSensorRefreshLockout(data.sid);
+                break;
+            case 1409:
+                this.emit(EVENT_TYPES.MOTION, data);
+                break;
+            case 9441:
+                this.updateAlarmState(data.sid, 'HOME_COUNT');
+                this.emit(EVENT_TYPES.HOME_EXIT_DELAY, data);
+                break;
+            case 3441:
+            case 3491:
+                this.updateAlarmState(data.sid, 'HOME');
+                this.emit(EVENT_TYPES.HOME_ARM, data);
+                this.handleSensorRefreshLockout(data.sid);
+                break;
+            case 9401:
+            case 9407:
+                // 9401 is for Keypad, 9407 is for Remote
+                this.updateAlarmState(data.sid, 'AWAY_COUNT');
+                this.emit(EVENT_TYPES.AWAY_EXIT_DELAY, data);
+                break;
+            case 3401:
+            case 3407:
+            case 3487:
+            case 3481:
+                // 3401 is for Keypad, 3407 is for Remote
+                this.updateAlarmState(data.sid, 'AWAY');
+                this.emit(EVENT_TYPES.AWAY_ARM, data);
+                this.handleSensorRefreshLockout(data.sid);
+                break;
+            case 1429:
+                this.emit(EVENT_TYPES.ENTRY, data);
+                break;
+            case 1110:
+            case 1154:
+            case 1159:
+            case 1162:
+            case 1132:
+            case 1134:
+            case 1120:
+                this.emit(EVENT_TYPES.ALARM_TRIGGER, data);
+                break;
+            case 1170:
+                this.emit(EVENT_TYPES.CAMERA_MOTION, data);
+                break;
+            case 1301:
+                this.emit(EVENT_TYPES.POWER_OUTAGE, data);
+                break;
+            case 3301:
+                this.emit(EVENT_TYPES.POWER_RESTORED, data);
+                break;
+            case 1458:
+                this.emit(EVENT_TYPES.DOORBELL, data);
+                break;
+            case 9700:
+                this.emit(EVENT_TYPES.DOORLOCK_UNLOCKED, data);
+                break;
+            case 9701:
+                this.emit(EVENT_TYPES.DOORLOCK_LOCKED, data);
+                break;
+            case 9703:
+                this.emit(EVENT_TYPES.DOORLOCK_ERROR, data);
+                break;
+            case 1350:
+                this.log.error('Base station WiFi lost, this plugin cannot communicate with the base station until it is restored.');
+                this.emit(EVENT_TYPES.WIFI_LOST, data);
+                break;
+            case 3350:
+                this.log.warn('Base station WiFi restored.');
+                this.emit(EVENT_TYPES.WIFI_RESTORED, data);
+                break;
+            case 1601:
+                // User-initiated test, not an alarm
+                this.emit(EVENT_TYPES.USER_INITIATED_TEST, data);
+                break;
+            case 1602:
+                // Automatic test
+                break;
+            default:
+                // Unknown event
+                if (this.debug) this.log('Unknown SSAPI event:', data);
+                break;
+            }
+            break;
+        }
+    }
+
     handleSocketConnectionFailure() {
         if (this.isAwaitingSocketReconnect || this.socket.readyState === WebSocket.CONNECTING) return; // a reconnect attempt is pending / running
 
@@ -605,6 +826,8 @@ class SimpliSafe3 extends EventEmitter {
 
         clearTimeout(this.socketHeartbeatIntervalID);
         this.socketIsAlive = false;
+        this.setSocketConnected(false);
+        if (!this.socketDisconnectedAt) this.socketDisconnectedAt = Date.now();
 
         let retryInterval = (2 ** this.nSocketConnectFailures) * socketRetryInterval;
         if (this.debug) this.log(`SSAPI socket connection lost. Next attempt will be in ${retryInterval/1000}s.`);
@@ -616,93 +839,127 @@ class SimpliSafe3 extends EventEmitter {
         this.isAwaitingSocketReconnect = true;
     }
 
-    subscribeToSensor(id, callback) {
-        if (!this.sensorRefreshIntervalID) {
-            this.sensorRefreshIntervalID = setInterval(async () => {
-                if (this.sensorSubscriptions.length == 0) {
-                    return;
-                }
-        
-                if (this.refreshLockoutTimeoutID) {
-                    if (this.debug) this.log('Sensor refresh lockout in effect, refresh blocked.');
-                    return;
-                }
-        
-                try {
-                    let sensors = await this.getSensors(true);
-                    for (let sensor of sensors) {
-                        this.sensorSubscriptions
-                            .filter(sub => sub.id === sensor.serial)
-                            .map(sub => sub.callback(sensor));
-                    }
-                } catch (err) {
-                    if (!(err instanceof RateLimitError)) { // never log rate limit errors as they are handled elsewhere
-                        if (this.debug) {
-                            if (err.statusCode == 409) {
-                                this.log.debug('Sensor refresh received SettingsInProgress error from the SimpliSafe API. Note this does not necessarily indicate a problem, just that the base station was busy.');
-                            } else {
-                                this.log.error('Sensor refresh received an error from the SimpliSafe API:', err);
-                            }
-                        } else {
-                            this.handleErrorSuppression();
-                        }
-                    }
-                }
-        
-            }, this.sensorRefreshTime);
-        
+    setSocketConnected(isConnected) {
+        if (this.isSocketConnected === isConnected) return;
+        this.isSocketConnected = isConnected;
+        // poll at the new rate straight away rather than after the current interval
+        let subIds = [...new Set(this.sensorSubscriptions.map(sub => sub.subId))];
+        for (let subId of subIds) {
+            this.rescheduleSensorRefresh(subId);
         }
+    }
 
+    subscribeToSensor(subId, id, callback) {
         this.sensorSubscriptions.push({
+            subId: subId,
             id: id,
             callback: callback
         });
+
+        if (!this.sensorRefreshTimeoutIDs[subId]) {
+            this.scheduleSensorRefresh(subId);
+        }
+    }
+
+    scheduleSensorRefresh(subId) {
+        let interval = this.getSensorRefreshInterval(subId);
+        let timeoutID = setTimeout(async () => {
+            await this.refreshSensors(subId);
+            // unless unsubscribed or rescheduled in the meantime
+            if (this.sensorRefreshTimeoutIDs[subId] === timeoutID) this.scheduleSensorRefresh(subId);
+        }, interval);
+        this.sensorRefreshTimeoutIDs[subId] = timeoutID;
+    }
+
+    rescheduleSensorRefresh(subId) {
+        if (!this.sensorRefreshTimeoutIDs[subId]) return;
+        clearTimeout(this.sensorRefreshTimeoutIDs[subId]);
+        if (this.debug) this.log(`Sensor refresh interval for subscription ${subId} is now ${this.getSensorRefreshInterval(subId) / 1000}s`);
+        this.scheduleSensorRefresh(subId);
+    }
+
+    async refreshSensors(subId) {
+        if (this.refreshLockoutTimeoutIDs[subId]) {
+            if (this.debug) this.log(`Sensor refresh lockout in effect for subscription ${subId}, refresh blocked.`);
+            return;
+        }
+
+        try {
+            let sensors = await this.getSensors(subId, true);
+            for (let sensor of sensors) {
+                this.sensorSubscriptions
+                    .filter(sub => sub.subId === subId && sub.id === sensor.serial)
+                    .map(sub => sub.callback(sensor));
+            }
+        } catch (err) {
+            if (!(err instanceof RateLimitError)) { // never log rate limit errors as they are handled elsewhere
+                if (this.debug) {
+                    if (err.statusCode == 409) {
+                        this.log.debug('Sensor refresh received SettingsInProgress error from the SimpliSafe API. Note this does not necessarily indicate a problem, just that the base station was busy.');
+                    } else {
+                        this.log.error('Sensor refresh received an error from the SimpliSafe API:', err);
+                    }
+                } else {
+                    this.handleErrorSuppression();
+                }
+            }
+        }
     }
 
     unsubscribeFromSensor(id) {
         this.sensorSubscriptions = this.sensorSubscriptions.filter(sub => sub.id !== id);
-        if (this.sensorSubscriptions.length == 0) {
-            clearInterval(this.sensorRefreshIntervalID);
+        for (let subId of Object.keys(this.sensorRefreshTimeoutIDs)) {
+            if (!this.sensorSubscriptions.some(sub => sub.subId == subId)) {
+                clearTimeout(this.sensorRefreshTimeoutIDs[subId]);
+                delete this.sensorRefreshTimeoutIDs[subId];
+            }
         }
     }
 
-    subscribeToAlarmSystem(id, callback) {
+    subscribeToAlarmSystem(subId, id, callback) {
         if (!this.alarmRefreshIntervalID) {
             this.alarmRefreshIntervalID = setInterval(async () => {
-                if (this.refreshLockoutTimeoutID) {
-                    if (this.debug) this.log('Refresh lockout in effect, alarm system refresh blocked.');
-                    return;
-                }
-
-                try {
-                    let system = await this.getAlarmSystem(true);
-                    this.alarmSubscriptions
-                        .filter(sub => sub.id === system.serial)
-                        .map(sub => sub.callback(system));
-                } catch (err) {
-                    if (!(err instanceof RateLimitError)) { // never log rate limit errors as they are handled elsewhere
-                        if (this.debug) {
-                            if (err.statusCode == 409) {
-                                this.log.warn('Alarm system refresh received a SettingsInProgress error from the SimpliSafe API.');
-                            } else {
-                                this.log.error('Alarm system refresh received an error from the SimpliSafe API:', err);
-                            }
-                        } else {
-                            this.handleErrorSuppression();
-                        }
-                    }
+                let subIds = [...new Set(this.alarmSubscriptions.map(sub => sub.subId))];
+                for (let subId of subIds) {
+                    await this.refreshAlarmSystem(subId);
                 }
-
             }, alarmRefreshInterval);
 
         }
 
         this.alarmSubscriptions.push({
+            subId: subId,
             id: id,
             callback: callback
         });
     }
 
+    async refreshAlarmSystem(subId) {
+        if (this.refreshLockoutTimeoutIDs[subId]) {
+            if (this.debug) this.log(`Refresh lockout in effect for subscription ${subId}, alarm system refresh blocked.`);
+            return;
+        }
+
+        try {
+            let system = await this.getAlarmSystem(subId, true);
+            this.alarmSubscriptions
+                .filter(sub => sub.subId === subId)
+                .map(sub => sub.callback(system));
+        } catch (err) {
+            if (!(err instanceof RateLimitError)) { // never log rate limit errors as they are handled elsewhere
+                if (this.debug) {
+                    if (err.statusCode == 409) {
+                        this.log.warn('Alarm system refresh received a SettingsInProgress error from the SimpliSafe API.');
+                    } else {
+                        this.log.error('Alarm system refresh received an error from the SimpliSafe API:', err);
+                    }
+                } else {
+                    this.handleErrorSuppression();
+                }
+            }
+        }
+    }
+
     handleErrorSuppression() {
         if (!this.errorSupperessionTimeoutID) {
             this.nSuppressedErrors = 1;
@@ -716,12 +973,12 @@ class SimpliSafe3 extends EventEmitter {
         }
     }
 
-    handleSensorRefreshLockout() {
-        if (!this.refreshLockoutEnabled) return;
+    handleSensorRefreshLockout(subId) {
+        if (!this.refreshLockoutEnabled[subId]) return;
         // avoid "smart lock not responding" error with refresh lockout, see issue #134
-        clearTimeout(this.refreshLockoutTimeoutID);
-        this.refreshLockoutTimeoutID = setTimeout(() => {
-            this.refreshLockoutTimeoutID = undefined;
+        clearTimeout(this.refreshLockoutTimeoutIDs[subId]);
+        this.refreshLockoutTimeoutIDs[subId] = setTimeout(() => {
+            this.refreshLockoutTimeoutIDs[subId] = undefined;
         }, sensorRefreshLockoutDuration);
     }
 
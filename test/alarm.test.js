@@ -0,0 +1,276 @@
+import assert from 'assert';
+
+import Alarm from '../src/accessories/alarm';
+import FakeSimpliSafeServer, { buildSubscription } from './support/fakeSimpliSafeServer';
+import { createApi, createClient, waitFor } from './support/helpers';
+
+describe('SS3Alarm', () => {
+    let server;
+    let simplisafe;
+    let api;
+    let alarm;
+
+    beforeEach(async () => {
+        server = await new FakeSimpliSafeServer().start();
+        server.addSubscription(buildSubscription(100));
+        server.addSubscription(buildSubscription(200));
+        ({ simplisafe } = createClient(server));
+        await simplisafe.getSubscriptions();
+
+        api = createApi();
+        alarm = new Alarm('SimpliSafe 3', 'BASE100', 100, null, simplisafe.log, false, simplisafe, api);
+        alarm.createAccessory();
+        await waitFor(() => server.requests.some(r => r.path == '/v1/subscriptions/100/'));
+    });
+
+    afterEach(async () => {
+        await server.stop();
+    });
+
+    const setTargetState = (state) => new Promise((resolve, reject) => {
+        alarm.setTargetState(state, err => err ? reject(err) : resolve());
+    });
+
+    it('arms the system for its own subscription', async () => {
+        await setTargetState(api.hap.Characteristic.SecuritySystemTargetState.AWAY_ARM);
+        assert.ok(server.requests.some(r => r.method == 'POST' && r.path == '/v1/ss3/subscriptions/100/state/away'));
+        assert.strictEqual(server.subscriptions[100].location.system.alarmState, 'AWAY');
+    });
+
+    it('retries setting the target state after SettingsInProgress', async function () {
+        this.timeout(5000);
+        server.respondWith('POST', /\/state\/home$/, 409, { statusCode: 409, type: 'SettingsInProgress' }, 2);
+        await setTargetState(api.hap.Characteristic.SecuritySystemTargetState.STAY_ARM);
+        assert.strictEqual(server.requests.filter(r => r.path.endsWith('/state/home')).length, 3);
+        assert.strictEqual(alarm.nRetries, 0);
+    });
+
+    it('reports a fault when setting the target state fails', async () => {
+        server.respondWith('POST', /\/state\/away$/, 500, { statusCode: 500, type: 'InternalServerError' });
+        await assert.rejects(setTargetState(api.hap.Characteristic.SecuritySystemTargetState.AWAY_ARM));
+        assert.strictEqual(alarm.service.getCharacteristic(api.hap.Characteristic.StatusFault).value, api.hap.Characteristic.StatusFault.GENERAL_FAULT);
+    });
+
+    it('only handles alarm events for its own location', () => {
+        let currentState = () => alarm.service.getCharacteristic(api.hap.Characteristic.SecuritySystemCurrentState).value;
+        let initialState = currentState();
+
+        simplisafe.handleEvent({ sid: 200, eventId: 1, eventCid: 1130, eventType: 'alarm' });
+        assert.strictEqual(currentState(), initialState);
+
+        simplisafe.handleEvent({ sid: 100, eventId: 2, eventCid: 1130, eventType: 'alarm' });
+        assert.strictEqual(currentState(), api.hap.Characteristic.SecuritySystemCurrentState.ALARM_TRIGGERED);
+    });
+
+    it('sets the alarm type on trigger and clears it when disarmed', () => {
+        let alarmType = () => alarm.service.getCharacteristic(api.hap.Characteristic.SecuritySystemAlarmType).value;
+
+        simplisafe.handleEvent({ sid: 100, eventId: 1, eventCid: 1110, eventType: 'alarm', sensorSerial: 'smoke1', sensorName: 'Kitchen' });
+        assert.strictEqual(alarmType(), 1);
+        assert.deepStrictEqual(
+            [alarm.accessory.context.lastAlarm.category, alarm.accessory.context.lastAlarm.sensorName, alarm.accessory.context.lastAlarm.test],
+            ['FIRE', 'Kitchen', false]
+        );
+
+        simplisafe.handleEvent({ sid: 100, eventId: 2, eventCid: 1400, eventType: 'activity', sensorType: 1 });
+        assert.strictEqual(alarmType(), 0);
+    });
+
+    it('does not report a user-initiated test as a triggered alarm', async () => {
+        simplisafe.handleEvent({ sid: 100, eventId: 1, eventCid: 1601, eventType: 'alarm', sensorType: 1 });
+        server.subscriptions[100].location.system.isAlarming = true;
+
+        await alarm.refreshState();
+        assert.notStrictEqual(alarm.service.getCharacteristic(api.hap.Characteristic.SecuritySystemCurrentState).value, api.hap.Characteristic.SecuritySystemCurrentState.ALARM_TRIGGERED);
+        assert.strictEqual(alarm.service.getCharacteristic(api.hap.Characteristic.SecuritySystemAlarmType).value, 0);
+        assert.strictEqual(alarm.accessory.context.lastAlarm.test, true);
+    });
+});
+
+describe('SS3Alarm night mode', () => {
+    let server;
+    let simplisafe;
+    let api;
+    let alarm;
+
+    beforeEach(async () => {
+        server = await new FakeSimpliSafeServer().start();
+        let subscription = buildSubscription(100);
+        subscription.location.system.cameras = [
+            { uuid: 'cam1', cameraSettings: { cameraName: 'Living Room', shutterHome: 'closedAlarmOnly', shutterAway: 'open' } },
+            { uuid: 'cam2', cameraSettings: { cameraName: 'Hallway', shutterHome: 'closed', shutterAway: 'open' } }
+        ];
+        server.addSubscription(subscription);
+        ({ simplisafe } = createClient(server));
+        await simplisafe.getSubscriptions();
+
+        api = createApi();
+        alarm = new Alarm('SimpliSafe 3', 'BASE100', 100, { nightMode: 'home', nightModeOpenShutters: ['cam1'] }, simplisafe.log, false, simplisafe, api);
+        alarm.createAccessory();
+        await waitFor(() => server.requests.some(r => r.path == '/v1/subscriptions/100/'));
+    });
+
+    afterEach(async () => {
+        await server.stop();
+    });
+
+    const setTargetState = (state) => new Promise((resolve, reject) => {
+        alarm.setTargetState(state, err => err ? reject(err) : resolve());
+    });
+    const characteristicValue = (characteristic) => alarm.service.getCharacteristic(characteristic).value;
+
+    it('arms the mapped mode and reports night', async () => {
+        await setTargetState(api.hap.Characteristic.SecuritySystemTargetState.NIGHT_ARM);
+        assert.strictEqual(server.subscriptions[100].location.system.alarmState, 'HOME');
+
+        await alarm.refreshState();
+        assert.strictEqual(characteristicValue(api.hap.Characteristic.SecuritySystemCurrentState), api.hap.Characteristic.SecuritySystemCurrentState.NIGHT_ARM);
+        assert.strictEqual(characteristicValue(api.hap.Characteristic.SecuritySystemTargetState), api.hap.Characteristic.SecuritySystemTargetState.NIGHT_ARM);
+    });
+
+    it('opens the selected privacy shutters and restores them afterwards', async () => {
+        let cameraSettings = (uuid) => server.subscriptions[100].location.system.cameras.find(cam => cam.uuid == uuid).cameraSettings;
+
+        await setTargetState(api.hap.Characteristic.SecuritySystemTargetState.NIGHT_ARM);
+        await alarm.nightModeUpdate;
+        assert.strictEqual(cameraSettings('cam1').shutterHome, 'open');
+        assert.strictEqual(cameraSettings('cam2').shutterHome, 'closed');
+
+        await setTargetState(api.hap.Characteristic.SecuritySystemTargetState.DISARM);
+        await alarm.nightModeUpdate;
+        assert.strictEqual(cameraSettings('cam1').shutterHome, 'closedAlarmOnly');
+    });
+
+    it('arms without waiting for the privacy shutters and logs when they fail', async () => {
+        server.respondWith('POST', /\/cameras\/cam1\/settings$/, 500, 'Internal Server Error');
+
+        await setTargetState(api.hap.Characteristic.SecuritySystemTargetState.NIGHT_ARM);
+        assert.ok(!server.requests.some(r => r.method == 'POST' && r.path.endsWith('/settings')));
+
+        await alarm.nightModeUpdate;
+        assert.ok(simplisafe.log.messages.some(m => m[0] == 'error' && /night mode camera settings/.test(m[1])));
+    });
+
+    it('leaves night mode when armed home from the keypad', async () => {
+        await setTargetState(api.hap.Characteristic.SecuritySystemTargetState.NIGHT_ARM);
+        simplisafe.handleEvent({ sid: 100, eventId: 1, eventCid: 1400, eventType: 'activity', sensorType: 1 });
+        simplisafe.handleEvent({ sid: 100, eventId: 2, eventCid: 3441, eventType: 'activity', sensorType: 1 });
+        assert.strictEqual(characteristicValue(api.hap.Characteristic.SecuritySystemCurrentState), api.hap.Characteristic.SecuritySystemCurrentState.STAY_ARM);
+        assert.strictEqual(alarm.accessory.context.nightModeActive, false);
+    });
+});
+
+describe('SS3Alarm control policies', () => {
+    let server;
+    let simplisafe;
+    let api;
+
+    beforeEach(async () => {
+        server = await new FakeSimpliSafeServer().start();
+        server.addSubscription(buildSubscription(100));
+        ({ simplisafe } = createClient(server));
+        await simplisafe.getSubscriptions();
+        api = createApi();
+    });
+
+    afterEach(async () => {
+        await server.stop();
+    });
+
+    const createAlarm = async (controlPolicy) => {
+        let alarm = new Alarm('SimpliSafe 3', 'BASE100', 100, { controlPolicy: controlPolicy }, simplisafe.log, false, simplisafe, api);
+        alarm.createAccessory();
+        await waitFor(() => alarm.service.getCharacteristic(api.hap.Characteristic.SecuritySystemTargetState).value === api.hap.Characteristic.SecuritySystemTargetState.DISARM);
+        return alarm;
+    };
+    const setTargetState = (alarm, state) => new Promise((resolve, reject) => {
+        alarm.setTargetState(state, err => err ? reject(err) : resolve());
+    });
+
+    it('allows arming but not disarming when arm-only', async () => {
+        let alarm = await createAlarm('armOnly');
+        let target = alarm.service.getCharacteristic(api.hap.Characteristic.SecuritySystemTargetState);
+
+        await setTargetState(alarm, api.hap.Characteristic.SecuritySystemTargetState.AWAY_ARM);
+        assert.strictEqual(server.subscriptions[100].location.system.alarmState, 'AWAY');
+        assert.ok(!target.props.validValues.includes(api.hap.Characteristic.SecuritySystemTargetState.DISARM));
+
+        await assert.rejects(setTargetState(alarm, api.hap.Characteristic.SecuritySystemTargetState.DISARM), err => err.hapStatus == api.hap.HAPStatus.INSUFFICIENT_PRIVILEGES);
+        assert.strictEqual(server.subscriptions[100].location.system.alarmState, 'AWAY');
+
+        // disarming from the keypad must still be shown
+        simplisafe.handleEvent({ sid: 100, eventId: 1, eventCid: 1400, eventType: 'activity', sensorType: 1 });
+        assert.strictEqual(target.value, api.hap.Characteristic.SecuritySystemTargetState.DISARM);
+    });
+
+    it('refuses all changes when read-only', async () => {
+        let alarm = await createAlarm('readOnly');
+        let target = alarm.service.getCharacteristic(api.hap.Characteristic.SecuritySystemTargetState);
+        assert.ok(!target.props.perms.includes(api.hap.Perms.PAIRED_WRITE));
+
+        await assert.rejects(setTargetState(alarm, api.hap.Characteristic.SecuritySystemTargetState.AWAY_ARM));
+        assert.ok(!server.requests.some(r => r.method == 'POST'));
+    });
+});
+
+describe('SS3Alarm open sensor check', () => {
+    let server;
+    let simplisafe;
+    let api;
+
+    beforeEach(async () => {
+        server = await new FakeSimpliSafeServer().start();
+        server.addSubscription(buildSubscription(100), [
+            { serial: 'door1', name: 'Front Door', type: 5, status: { triggered: true }, flags: {} },
+            { serial: 'door2', name: 'Back Door', type: 5, status: { triggered: false }, flags: {} }
+        ]);
+        ({ simplisafe } = createClient(server));
+        await simplisafe.getSubscriptions();
+        api = createApi();
+    });
+
+    afterEach(async () => {
+        await server.stop();
+    });
+
+    const createAlarm = async (openSensorCheck) => {
+        let alarm = new Alarm('SimpliSafe 3', 'BASE100', 100, { openSensorCheck: openSensorCheck }, simplisafe.log, false, simplisafe, api);
+        alarm.createAccessory();
+        await waitFor(() => Object.keys(alarm.openEntrySensors).length > 0);
+        return alarm;
+    };
+    const setTargetState = (alarm, state) => new Promise((resolve, reject) => {
+        alarm.setTargetState(state, err => err ? reject(err) : resolve());
+    });
+
+    it('shows the alarm as not ready while an entry sensor is open', async () => {
+        let alarm = await createAlarm('arm');
+        assert.strictEqual(alarm.notReadyService.getCharacteristic(api.hap.Characteristic.ContactSensorState).value, api.hap.Characteristic.ContactSensorState.CONTACT_NOT_DETECTED);
+    });
+
+    it('refuses to arm with open entry sensors', async () => {
+        let alarm = await createAlarm('refuse');
+        await assert.rejects(setTargetState(alarm, api.hap.Characteristic.SecuritySystemTargetState.AWAY_ARM), err => err.hapStatus == api.hap.HAPStatus.NOT_ALLOWED_IN_CURRENT_STATE);
+        assert.strictEqual(server.subscriptions[100].location.system.alarmState, 'OFF');
+    });
+
+    it('arms and reports the bypassed sensors', async () => {
+        let alarm = await createAlarm('armAndReport');
+        await setTargetState(alarm, api.hap.Characteristic.SecuritySystemTargetState.AWAY_ARM);
+        assert.strictEqual(server.subscriptions[100].location.system.alarmState, 'AWAY');
+        assert.deepStrictEqual(alarm.accessory.context.bypassedSensors, ['Front Door']);
+        assert.ok(simplisafe.log.messages.some(m => m[0] == 'warn' && /Front Door/.test(m[1])));
+        assert.strictEqual(alarm.notReadyService.getCharacteristic(api.hap.Characteristic.StatusFault).value, api.hap.Characteristic.StatusFault.GENERAL_FAULT);
+
+        simplisafe.handleEvent({ sid: 100, eventId: 1, eventCid: 1400, eventType: 'activity', sensorType: 1 });
+        assert.deepStrictEqual(alarm.accessory.context.bypassedSensors, []);
+        assert.strictEqual(alarm.notReadyService.getCharacteristic(api.hap.Characteristic.StatusFault).value, api.hap.Characteristic.StatusFault.NO_FAULT);
+    });
+
+    it('arms without reporting a fault when asked to arm anyway', async () => {
+        let alarm = await createAlarm('arm');
+        await setTargetState(alarm, api.hap.Characteristic.SecuritySystemTargetState.AWAY_ARM);
+        assert.strictEqual(server.subscriptions[100].location.system.alarmState, 'AWAY');
+        assert.strictEqual(alarm.notReadyService.getCharacteristic(api.hap.Characteristic.StatusFault).value, api.hap.Characteristic.StatusFault.NO_FAULT);
+    });
+});
@@ -0,0 +1,53 @@
+import assert from 'assert';
+
+import AlarmCategorySensors from '../src/accessories/alarmCategorySensors';
+import { ALARM_CATEGORIES } from '../src/simplisafe';
+import FakeSimpliSafeServer, { buildSubscription } from './support/fakeSimpliSafeServer';
+import { createApi, createClient, waitFor } from './support/helpers';
+
+describe('SS3AlarmCategorySensors', () => {
+    let server;
+    let simplisafe;
+    let api;
+    let sensors;
+
+    beforeEach(async () => {
+        server = await new FakeSimpliSafeServer().start();
+        server.addSubscription(buildSubscription(100));
+        ({ simplisafe } = createClient(server));
+        await simplisafe.getSubscriptions();
+
+        api = createApi();
+        sensors = new AlarmCategorySensors('Alarm', 'BASE100', 100, simplisafe.log, false, simplisafe, api);
+        sensors.createAccessory();
+        await waitFor(() => server.requests.some(r => r.path == '/v1/subscriptions/100/'));
+    });
+
+    afterEach(async () => {
+        await server.stop();
+    });
+
+    const isTriggered = (category) => {
+        let sensor = sensors.CATEGORY_SENSORS[category];
+        return sensors.categoryServices[category].getCharacteristic(sensor.characteristic).value === sensor.triggered;
+    };
+
+    it('only triggers the sensor matching the alarm', () => {
+        simplisafe.handleEvent({ sid: 100, eventId: 1, eventCid: 1110, eventType: 'alarm', sensorType: 8 });
+        assert.ok(isTriggered(ALARM_CATEGORIES.FIRE));
+        assert.ok(!isTriggered(ALARM_CATEGORIES.INTRUSION));
+        assert.ok(!isTriggered(ALARM_CATEGORIES.CO));
+    });
+
+    it('latches every triggered category until disarmed', () => {
+        simplisafe.handleEvent({ sid: 100, eventId: 1, eventCid: 1134, eventType: 'alarm', sensorType: 5 });
+        simplisafe.handleEvent({ sid: 100, eventId: 2, eventCid: 1162, eventType: 'alarm', sensorType: 7 });
+        assert.ok(isTriggered(ALARM_CATEGORIES.INTRUSION));
+        assert.ok(isTriggered(ALARM_CATEGORIES.CO));
+
+        simplisafe.handleEvent({ sid: 100, eventId: 3, eventCid: 1400, eventType: 'activity', sensorType: 1 });
+        for (let category of Object.values(ALARM_CATEGORIES)) {
+            assert.ok(!isTriggered(category), category);
+        }
+    });
+});
@@ -0,0 +1,49 @@
+import assert from 'assert';
+
+import AlarmSource from '../src/accessories/alarmSource';
+import FakeSimpliSafeServer, { buildSubscription } from './support/fakeSimpliSafeServer';
+import { createApi, createClient, waitFor } from './support/helpers';
+
+describe('SS3AlarmSource', () => {
+    let server;
+    let simplisafe;
+    let api;
+    let alarmSource;
+
+    beforeEach(async () => {
+        server = await new FakeSimpliSafeServer().start();
+        server.addSubscription(buildSubscription(100));
+        server.addSubscription(buildSubscription(200));
+        ({ simplisafe } = createClient(server));
+        await simplisafe.getSubscriptions();
+
+        api = createApi();
+        alarmSource = new AlarmSource('Alarm Source', 'BASE100', 100, simplisafe.log, false, simplisafe, api);
+        alarmSource.createAccessory();
+        await waitFor(() => server.requests.some(r => r.path == '/v1/subscriptions/100/'));
+    });
+
+    afterEach(async () => {
+        await server.stop();
+    });
+
+    const contactState = () => alarmSource.service.getCharacteristic(api.hap.Characteristic.ContactSensorState).value;
+    const sourceName = () => alarmSource.service.getCharacteristic(api.hap.Characteristic.ConfiguredName).value;
+
+    it('records the sensor that triggered the alarm until it is cleared', () => {
+        simplisafe.handleEvent({ sid: 100, eventId: 1, eventCid: 1134, eventType: 'alarm', sensorSerial: 'abc123', sensorName: 'Front Door', sensorType: 5 });
+        assert.strictEqual(contactState(), api.hap.Characteristic.ContactSensorState.CONTACT_NOT_DETECTED);
+        assert.strictEqual(sourceName(), 'Alarm Source: Front Door');
+        assert.strictEqual(alarmSource.accessory.context.lastSource.sensorSerial, 'abc123');
+
+        simplisafe.handleEvent({ sid: 100, eventId: 2, eventCid: 1400, eventType: 'activity', sensorType: 1 });
+        assert.strictEqual(contactState(), api.hap.Characteristic.ContactSensorState.CONTACT_DETECTED);
+        assert.strictEqual(sourceName(), 'Alarm Source: Front Door');
+    });
+
+    it('ignores alarms at other locations', () => {
+        simplisafe.handleEvent({ sid: 200, eventId: 1, eventCid: 1134, eventType: 'alarm', sensorSerial: 'def456', sensorName: 'Back Door', sensorType: 5 });
+        assert.strictEqual(contactState(), api.hap.Characteristic.ContactSensorState.CONTACT_DETECTED);
+        assert.strictEqual(alarmSource.accessory.context.lastSource, undefined);
+    });
+});
@@ -0,0 +1,55 @@
+import assert from 'assert';
+import fs from 'fs';
+import path from 'path';
+
+import { AUTH_EVENTS } from '../src/lib/authManager';
+import FakeSimpliSafeServer from './support/fakeSimpliSafeServer';
+import { createClient } from './support/helpers';
+
+describe('SimpliSafe3AuthenticationManager', () => {
+    let server;
+    let authManager;
+    let storagePath;
+
+    beforeEach(async () => {
+        server = await new FakeSimpliSafeServer().start();
+        ({ authManager, storagePath } = createClient(server));
+    });
+
+    afterEach(async () => {
+        clearInterval(authManager.refreshInterval);
+        await server.stop();
+    });
+
+    it('loads stored credentials from the accounts file', () => {
+        assert.ok(authManager.accountsFileExists());
+        assert.strictEqual(authManager.accessToken, server.validToken);
+        assert.strictEqual(authManager.refreshToken, 'refresh-token');
+    });
+
+    it('refreshes and stores credentials', async () => {
+        let succeeded = false;
+        authManager.on(AUTH_EVENTS.REFRESH_CREDENTIALS_SUCCESS, () => succeeded = true);
+
+        await authManager.refreshCredentials();
+
+        let tokenRequest = server.requests.find(r => r.path == '/oauth/token');
+        assert.strictEqual(tokenRequest.body.grant_type, 'refresh_token');
+        assert.strictEqual(tokenRequest.body.refresh_token, 'refresh-token');
+        assert.ok(succeeded);
+        assert.ok(authManager.isAuthenticated());
+
+        let stored = JSON.parse(fs.readFileSync(path.join(storagePath, 'simplisafe3auth.json')));
+        assert.strictEqual(stored.accessToken, server.validToken);
+    });
+
+    it('flags an authentication failure when the refresh token is rejected', async () => {
+        let failed = false;
+        authManager.on(AUTH_EVENTS.REFRESH_CREDENTIALS_FAILURE, () => failed = true);
+        server.respondWith('POST', /\/oauth\/token$/, 401, 'Unauthorized');
+
+        await assert.rejects(authManager.refreshCredentials());
+        assert.ok(failed);
+        assert.strictEqual(authManager.refreshToken, null);
+    });
+});
@@ -0,0 +1,73 @@
+import assert from 'assert';
+
+import BaseStation from '../src/accessories/baseStation';
+import FakeSimpliSafeServer, { buildSubscription } from './support/fakeSimpliSafeServer';
+import { createApi, createClient, waitFor } from './support/helpers';
+
+describe('SS3BaseStation', () => {
+    let server;
+    let simplisafe;
+    let api;
+    let baseStation;
+
+    beforeEach(async () => {
+        server = await new FakeSimpliSafeServer().start();
+        let subscription = buildSubscription(100);
+        subscription.location.system.firmwareVersion = '1.4.2';
+        server.addSubscription(subscription);
+        ({ simplisafe } = createClient(server));
+        await simplisafe.getSubscriptions();
+
+        api = createApi();
+        baseStation = new BaseStation('Base Station', 'BASE100', 100, simplisafe.log, false, simplisafe, api);
+        baseStation.createAccessory();
+        await waitFor(() => server.requests.some(r => r.path == '/v1/subscriptions/100/'));
+    });
+
+    afterEach(async () => {
+        clearInterval(simplisafe.alarmRefreshIntervalID);
+        await server.stop();
+    });
+
+    const wifiValue = (characteristic) => baseStation.wifiService.getCharacteristic(characteristic).value;
+    const powerValue = (characteristic) => baseStation.powerService.getCharacteristic(characteristic).value;
+    const sendEvent = (eventId, eventCid) => {
+        simplisafe.handleEvent({ sid: 100, eventId: eventId, eventCid: eventCid, eventType: 'activity', sensorType: 0 });
+    };
+
+    it('shows the base station firmware without sharing the alarm accessory uuid', async () => {
+        assert.notStrictEqual(baseStation.uuid, api.hap.uuid.generate('BASE100'));
+        let firmware = baseStation.accessory.getService(api.hap.Service.AccessoryInformation).getCharacteristic(api.hap.Characteristic.FirmwareRevision);
+        await waitFor(() => firmware.value == '1.4.2');
+    });
+
+    it('reports a power outage until power is restored', () => {
+        sendEvent(1, 1301);
+        assert.strictEqual(powerValue(api.hap.Characteristic.ChargingState), api.hap.Characteristic.ChargingState.NOT_CHARGING);
+        assert.strictEqual(powerValue(api.hap.Characteristic.StatusLowBattery), api.hap.Characteristic.StatusLowBattery.BATTERY_LEVEL_LOW);
+
+        sendEvent(2, 3301);
+        assert.strictEqual(powerValue(api.hap.Characteristic.ChargingState), api.hap.Characteristic.ChargingState.CHARGING);
+        assert.strictEqual(powerValue(api.hap.Characteristic.StatusLowBattery), api.hap.Characteristic.StatusLowBattery.BATTERY_LEVEL_NORMAL);
+    });
+
+    it('opens the Wi-Fi sensor with a fault when Wi-Fi is lost', () => {
+        sendEvent(1, 1350);
+        assert.strictEqual(wifiValue(api.hap.Characteristic.ContactSensorState), api.hap.Characteristic.ContactSensorState.CONTACT_NOT_DETECTED);
+        assert.strictEqual(wifiValue(api.hap.Characteristic.StatusFault), api.hap.Characteristic.StatusFault.GENERAL_FAULT);
+
+        sendEvent(2, 3350);
+        assert.strictEqual(wifiValue(api.hap.Characteristic.ContactSensorState), api.hap.Characteristic.ContactSensorState.CONTACT_DETECTED);
+        assert.strictEqual(wifiValue(api.hap.Characteristic.StatusFault), api.hap.Characteristic.StatusFault.NO_FAULT);
+    });
+
+    it('follows the connection type polled from the alarm system', async () => {
+        server.subscriptions[100].location.system.connType = 'cell';
+        server.subscriptions[100].location.system.powerOutage = true;
+        await simplisafe.refreshAlarmSystem(100);
+
+        assert.strictEqual(wifiValue(api.hap.Characteristic.ContactSensorState), api.hap.Characteristic.ContactSensorState.CONTACT_NOT_DETECTED);
+        assert.strictEqual(wifiValue(api.hap.Characteristic.StatusFault), api.hap.Characteristic.StatusFault.NO_FAULT);
+        assert.strictEqual(powerValue(api.hap.Characteristic.ChargingState), api.hap.Characteristic.ChargingState.NOT_CHARGING);
+    });
+});
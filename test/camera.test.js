@@ -0,0 +1,92 @@
+import assert from 'assert';
+
+import Camera from '../src/accessories/camera';
+import FakeSimpliSafeServer, { buildSubscription } from './support/fakeSimpliSafeServer';
+import { createApi, createClient, waitFor } from './support/helpers';
+
+function buildCamera(uuid, supportedFeatures) {
+    return {
+        uuid: uuid,
+        model: 'SS003',
+        status: 'online',
+        supportedFeatures: supportedFeatures,
+        cameraSettings: {
+            cameraName: 'Living Room',
+            pictureQuality: '720p',
+            shutterOff: 'open',
+            shutterHome: 'closed',
+            shutterAway: 'open',
+            admin: { fps: 20, firmwareVersion: '2.6.1' }
+        }
+    };
+}
+
+describe('SS3Camera privacy shutter', () => {
+    let server;
+    let simplisafe;
+    let api;
+
+    beforeEach(async () => {
+        server = await new FakeSimpliSafeServer().start();
+        let subscription = buildSubscription(100);
+        subscription.location.system.cameras = [
+            buildCamera('cam1', { privacyShutter: true }),
+            buildCamera('cam2', { privacyShutter: false })
+        ];
+        server.addSubscription(subscription);
+        ({ simplisafe } = createClient(server));
+        await simplisafe.getSubscriptions();
+        api = createApi();
+    });
+
+    afterEach(async () => {
+        clearInterval(simplisafe.alarmRefreshIntervalID);
+        await server.stop();
+    });
+
+    const createCamera = async (uuid) => {
+        let cameraDetails = server.subscriptions[100].location.system.cameras.find(cam => cam.uuid == uuid);
+        let camera = new Camera('Living Room', uuid, 100, JSON.parse(JSON.stringify(cameraDetails)), null, simplisafe.log, false, simplisafe, simplisafe.authManager, {}, api);
+        camera.createAccessory();
+        await waitFor(() => server.requests.some(r => r.path == '/v1/subscriptions/100/'));
+        return camera;
+    };
+    const cameraSettings = (uuid) => server.subscriptions[100].location.system.cameras.find(cam => cam.uuid == uuid).cameraSettings;
+    const setPrivacyShutter = (camera, open) => new Promise((resolve, reject) => {
+        camera.setPrivacyShutter(open, err => err ? reject(err) : resolve());
+    });
+
+    it('adds a shutter switch only to cameras with a privacy shutter', async () => {
+        let camera = await createCamera('cam1');
+        let other = await createCamera('cam2');
+        assert.ok(camera.shutterService);
+        assert.ok(!other.shutterService);
+    });
+
+    it('shows whether the shutter is open in the current alarm state', async () => {
+        let camera = await createCamera('cam1');
+        let on = camera.shutterService.getCharacteristic(api.hap.Characteristic.On);
+        await waitFor(() => on.value === true);
+
+        simplisafe.handleEvent({ sid: 100, eventId: 1, eventCid: 3441, eventType: 'activity', sensorType: 1 });
+        assert.strictEqual(on.value, false);
+    });
+
+    it('changes the shutter setting of the current alarm state', async () => {
+        server.subscriptions[100].location.system.alarmState = 'HOME';
+        let camera = await createCamera('cam1');
+
+        await setPrivacyShutter(camera, true);
+        assert.strictEqual(cameraSettings('cam1').shutterHome, 'open');
+        assert.strictEqual(cameraSettings('cam1').shutterOff, 'open');
+        assert.strictEqual(camera.isPrivacyShutterClosed('HOME'), false);
+    });
+
+    it('refuses to change the shutter while the alarm is counting down', async () => {
+        server.subscriptions[100].location.system.alarmState = 'AWAY_COUNT';
+        let camera = await createCamera('cam1');
+
+        await assert.rejects(setPrivacyShutter(camera, false), /can't be changed while the alarm is AWAY_COUNT/);
+        assert.strictEqual(cameraSettings('cam1').shutterAway, 'open');
+    });
+});
@@ -0,0 +1,11 @@
+import assert from 'assert';
+
+import { getSourceResolution } from '../src/lib/cameraFeed';
+
+describe('Camera feed', () => {
+    it('gets the source resolution from the picture quality', () => {
+        assert.deepStrictEqual(getSourceResolution('1080p'), [1920, 1080]);
+        assert.deepStrictEqual(getSourceResolution('720p'), [1280, 720]);
+        assert.deepStrictEqual(getSourceResolution('480p'), [853, 480]);
+    });
+});
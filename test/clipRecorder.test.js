@@ -0,0 +1,114 @@
+import assert from 'assert';
+import { EventEmitter } from 'events';
+import fs from 'fs';
+import path from 'path';
+
+import FfmpegSupervisor from '../src/lib/ffmpegSupervisor';
+import ClipRecorder, { getClipsDirectory, DEFAULT_CLIPS_DIRECTORY } from '../src/lib/clipRecorder';
+import { createLog, createTempDir } from './support/helpers';
+
+// stands in for ffmpeg: writes a small file to the output given as last argument
+const FAKE_FFMPEG = `#!/bin/sh
+for last; do :; done
+printf 'clip' > "$last"
+`;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('ClipRecorder', () => {
+    let storagePath;
+    let camera;
+
+    beforeEach(() => {
+        storagePath = createTempDir();
+        let ffmpegPath = path.join(storagePath, 'ffmpeg');
+        fs.writeFileSync(ffmpegPath, FAKE_FFMPEG, { mode: 0o755 });
+
+        camera = {
+            id: 'abc123',
+            name: 'Front Door',
+            subId: 100,
+            log: createLog(),
+            debug: false,
+            ffmpegPath: ffmpegPath,
+            ffmpegSupervisor: new FfmpegSupervisor(createLog(), false, new EventEmitter()),
+            shutterClosed: false,
+            authManager: { accessToken: 'token' },
+            cameraDetails: {
+                uuid: 'abc123',
+                cameraSettings: { pictureQuality: '1080p' }
+            },
+            simplisafe: {
+                getAlarmSystem: async () => ({ alarmState: 'AWAY' })
+            },
+            supportsPrivacyShutter: () => true,
+            isPrivacyShutterClosed: () => camera.shutterClosed
+        };
+    });
+
+    function createRecorder(options = {}) {
+        let recorder = new ClipRecorder(camera, options, path.join(storagePath, 'clips'));
+        recorder.resolveServerIpAddress = async () => '10.0.0.1';
+        return recorder;
+    }
+
+    it('keeps the clips directory inside the storage path', () => {
+        let log = createLog();
+        assert.strictEqual(getClipsDirectory(storagePath, 'my-clips', log), path.join(storagePath, 'my-clips'));
+        assert.strictEqual(getClipsDirectory(storagePath, '../elsewhere', log), path.join(storagePath, DEFAULT_CLIPS_DIRECTORY));
+        assert.strictEqual(log.messages[0][0], 'warn');
+    });
+
+    it('saves a clip and adds it to the index', async () => {
+        let recorder = createRecorder({ duration: 10 });
+        await recorder.capture('motion');
+
+        let index = await recorder.readIndex();
+        assert.strictEqual(index.length, 1);
+        assert.strictEqual(index[0].event, 'motion');
+        assert.strictEqual(index[0].duration, 10);
+        assert.strictEqual(index[0].size, 4);
+        assert.ok(index[0].file.endsWith('-motion.mp4'));
+        assert.deepStrictEqual(fs.readdirSync(recorder.directory).sort(), [index[0].file, 'index.json'].sort());
+    });
+
+    it('does not save clips while the privacy shutter is closed', async () => {
+        camera.shutterClosed = true;
+        let recorder = createRecorder();
+        await recorder.capture('motion');
+
+        assert.deepStrictEqual(await recorder.readIndex(), []);
+    });
+
+    it('deletes clips older than the maximum age', async () => {
+        let recorder = createRecorder({ maxAge: 7 });
+        let now = Date.now();
+        await fs.promises.mkdir(recorder.directory, { recursive: true });
+        for (let file of ['old.mp4', 'new.mp4']) {
+            fs.writeFileSync(path.join(recorder.directory, file), 'clip');
+        }
+        await recorder.writeIndex([
+            { file: 'old.mp4', event: 'motion', timestamp: new Date(now - 8 * DAY).toISOString(), duration: 15, size: 4 },
+            { file: 'new.mp4', event: 'doorbell', timestamp: new Date(now - DAY).toISOString(), duration: 15, size: 4 }
+        ]);
+
+        await recorder.applyRetention(now);
+        assert.deepStrictEqual((await recorder.readIndex()).map(c => c.file), ['new.mp4']);
+        assert.strictEqual(fs.existsSync(path.join(recorder.directory, 'old.mp4')), false);
+    });
+
+    it('deletes the oldest clips above the maximum size', async () => {
+        let recorder = createRecorder({ maxSize: 1 });
+        let now = Date.now();
+        let megabyte = 1024 * 1024;
+        await fs.promises.mkdir(recorder.directory, { recursive: true });
+        await recorder.writeIndex([
+            { file: 'b.mp4', event: 'motion', timestamp: new Date(now - 2000).toISOString(), duration: 15, size: megabyte / 2 },
+            { file: 'a.mp4', event: 'motion', timestamp: new Date(now - 3000).toISOString(), duration: 15, size: megabyte / 2 },
+            { file: 'c.mp4', event: 'motion', timestamp: new Date(now - 1000).toISOString(), duration: 15, size: megabyte / 2 }
+        ]);
+
+        await recorder.applyRetention(now);
+        assert.deepStrictEqual((await recorder.readIndex()).map(c => c.file), ['b.mp4', 'c.mp4']);
+    });
+});
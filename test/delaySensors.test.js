@@ -0,0 +1,68 @@
+import assert from 'assert';
+
+import DelaySensors from '../src/accessories/delaySensors';
+import FakeSimpliSafeServer, { buildSubscription } from './support/fakeSimpliSafeServer';
+import { createApi, createClient, waitFor } from './support/helpers';
+
+describe('SS3DelaySensors', () => {
+    let server;
+    let simplisafe;
+    let api;
+    let delays;
+
+    beforeEach(async () => {
+        server = await new FakeSimpliSafeServer().start();
+        server.addSubscription(buildSubscription(100));
+        ({ simplisafe } = createClient(server));
+        await simplisafe.getSubscriptions();
+
+        api = createApi();
+        delays = new DelaySensors('Alarm Delays', 'BASE100', 100, simplisafe.log, false, simplisafe, api);
+        delays.createAccessory();
+        await waitFor(() => server.requests.some(r => r.path == '/v1/subscriptions/100/'));
+    });
+
+    afterEach(async () => {
+        delays.stopDelay('exit');
+        delays.stopDelay('entry');
+        await server.stop();
+    });
+
+    const remaining = (delay) => delays.delayServices[delay].getCharacteristic(delays.RemainingDelay).value;
+
+    it('counts down the exit delay started from HomeKit until armed', async () => {
+        server.respondWith('POST', /\/state\/away$/, 200, { state: 'AWAY_COUNT', exitDelay: 30 });
+        await simplisafe.setAlarmState(100, 'AWAY');
+        simplisafe.handleEvent({ sid: 100, eventId: 1, eventCid: 9401, eventType: 'activity', sensorType: 0 });
+
+        assert.ok(delays.isDelayActive('exit'));
+        assert.ok(remaining('exit') > 0 && remaining('exit') <= 30);
+        assert.ok(!delays.isDelayActive('entry'));
+
+        simplisafe.handleEvent({ sid: 100, eventId: 2, eventCid: 3401, eventType: 'activity', sensorType: 0 });
+        assert.ok(!delays.isDelayActive('exit'));
+        assert.strictEqual(remaining('exit'), 0);
+    });
+
+    it('counts down an exit delay started on the keypad from the configured length', async () => {
+        server.settings[100].exitDelayHome = 45;
+        simplisafe.handleEvent({ sid: 100, eventId: 3, eventCid: 9441, eventType: 'activity', sensorType: 0, eventTimestamp: Math.floor(Date.now() / 1000) - 5 });
+
+        assert.ok(delays.isDelayActive('exit'));
+        await waitFor(() => remaining('exit') > 0);
+        assert.ok(remaining('exit') >= 39 && remaining('exit') <= 40);
+    });
+
+    it('reports the entry delay from the alarm state until disarmed', async () => {
+        server.subscriptions[100].location.system.alarmState = 'HOME';
+        await delays.refreshState(true);
+        server.subscriptions[100].location.system.alarmState = 'ALARM_COUNT';
+        server.settings[100].entryDelayHome = 20;
+        await delays.refreshState(true);
+        assert.ok(delays.isDelayActive('entry'));
+        await waitFor(() => remaining('entry') == 20);
+
+        simplisafe.handleEvent({ sid: 100, eventId: 1, eventCid: 1400, eventType: 'activity', sensorType: 1 });
+        assert.ok(!delays.isDelayActive('entry'));
+    });
+});
@@ -0,0 +1,68 @@
+import assert from 'assert';
+
+import { resolveProfile, applyOptions, DEFAULT_PROFILE, ENCODING_PROFILES, PASSTHROUGH } from '../src/lib/encodingProfiles';
+import { createLog } from './support/helpers';
+
+const RESOLUTIONS = [
+    [320, 240, 15],
+    [640, 360, 15],
+    [1280, 720, 15],
+    [1920, 1080, 15]
+];
+
+function createCamera(pictureQuality, cameraOptions) {
+    return {
+        id: 'abc123',
+        name: 'Front Door',
+        log: createLog(),
+        cameraOptions: cameraOptions,
+        cameraDetails: {
+            cameraSettings: { pictureQuality: pictureQuality }
+        }
+    };
+}
+
+describe('Encoding profiles', () => {
+    it('uses the configured profile for the camera', () => {
+        let camera = createCamera('1080p', { encoding: [{ uuid: 'other', profile: 'quality' }, { uuid: 'abc123', profile: PASSTHROUGH }] });
+        assert.strictEqual(resolveProfile(camera, RESOLUTIONS), PASSTHROUGH);
+        assert.strictEqual(resolveProfile(createCamera('1080p', null), RESOLUTIONS), DEFAULT_PROFILE);
+        assert.strictEqual(resolveProfile(createCamera('1080p', { enableHwaccelRpi: true }), RESOLUTIONS), 'rpiHardware');
+    });
+
+    it('rejects passthrough when HomeKit never asks for the camera resolution', () => {
+        let camera = createCamera('480p', { encoding: [{ uuid: 'abc123', profile: PASSTHROUGH }] });
+        assert.strictEqual(resolveProfile(camera, RESOLUTIONS), DEFAULT_PROFILE);
+        assert.strictEqual(camera.log.messages[0][0], 'warn');
+    });
+
+    it('rejects unknown profiles', () => {
+        let camera = createCamera('1080p', { encoding: [{ uuid: 'abc123', profile: 'fastest' }] });
+        assert.strictEqual(resolveProfile(camera, RESOLUTIONS), DEFAULT_PROFILE);
+        assert.strictEqual(camera.log.messages[0][0], 'warn');
+    });
+
+    it('adds, replaces and removes arguments from options', () => {
+        let args = [['-vcodec', 'libx264'], ['-tune', 'zerolatency'], ['-preset', 'superfast']];
+
+        args = applyOptions(args, '-vcodec h264_omx -tune false -re');
+        assert.deepStrictEqual(args, [['-vcodec', 'h264_omx'], ['-preset', 'superfast'], ['-re']]);
+
+        args = applyOptions(args, { '-threads': 2 }, true);
+        assert.deepStrictEqual(args[0], ['-threads', 2]);
+    });
+
+    it('removes arguments set to false in options strings and old object configs', () => {
+        let args = () => [['-vcodec', 'libx264'], ['-tune', 'zerolatency'], ['-preset', 'superfast']];
+
+        assert.deepStrictEqual(applyOptions(args(), '-tune false'), [['-vcodec', 'libx264'], ['-preset', 'superfast']]);
+        assert.deepStrictEqual(applyOptions(args(), { '-tune': 'false' }), [['-vcodec', 'libx264'], ['-preset', 'superfast']]);
+        assert.deepStrictEqual(applyOptions(args(), { '-tune': false }), [['-vcodec', 'libx264'], ['-preset', 'superfast']]);
+    });
+
+    it('lets options win over the arguments of a profile', () => {
+        let args = ENCODING_PROFILES.lowCpu.encoder.map(arg => [...arg]);
+        assert.deepStrictEqual(applyOptions(args, '-preset veryfast -crf 23'), [['-vcodec', 'libx264'], ['-tune', 'zerolatency'], ['-preset', 'veryfast'], ['-crf', '23']]);
+        assert.deepStrictEqual(ENCODING_PROFILES.lowCpu.encoder[2], ['-preset', 'ultrafast']);
+    });
+});
@@ -0,0 +1,89 @@
+import assert from 'assert';
+import { EventEmitter } from 'events';
+import fs from 'fs';
+import path from 'path';
+
+import FfmpegSupervisor, { parseProgress } from '../src/lib/ffmpegSupervisor';
+import { createLog, createTempDir, waitFor } from './support/helpers';
+
+// stands in for ffmpeg: reports some progress, then hangs
+const FAKE_FFMPEG = `#!/bin/sh
+echo 'frame=   40 fps= 20 q=-1.0 size=     256kB time=00:00:02.00 bitrate=1048.6kbits/s speed=   1x' >&2
+exec sleep 30
+`;
+
+function exited(child) {
+    return child.exitCode !== null || child.signalCode !== null;
+}
+
+describe('FfmpegSupervisor', () => {
+    let api;
+    let log;
+    let supervisor;
+    let ffmpegPath;
+
+    beforeEach(() => {
+        let dir = createTempDir();
+        ffmpegPath = path.join(dir, 'ffmpeg');
+        fs.writeFileSync(ffmpegPath, FAKE_FFMPEG, { mode: 0o755 });
+
+        api = new EventEmitter();
+        log = createLog();
+        supervisor = new FfmpegSupervisor(log, false, api);
+    });
+
+    afterEach(() => {
+        api.emit('shutdown');
+    });
+
+    function getSession() {
+        return [...supervisor.sessions][0];
+    }
+
+    it('parses the latest progress line', () => {
+        let progress = parseProgress('frame=   10 fps=0.0 size=N/A time=00:00:00.50 bitrate=N/A speed=N/A\rframe=  120 fps= 15 size=     512kB time=00:01:08.25 bitrate= 524.3kbits/s speed=1.01x');
+
+        assert.strictEqual(progress.time, 68.25);
+        assert.strictEqual(progress.frame, '120');
+        assert.strictEqual(progress.bitrate, '524.3kbits/s');
+        assert.strictEqual(parseProgress('Input #0, flv, from \'https://10.0.0.1/v1/abc123/flv\':'), null);
+    });
+
+    it('stops a stalled process', async () => {
+        let stopReason = null;
+        let child = supervisor.spawn(ffmpegPath, [], { name: 'test', onStop: reason => stopReason = reason });
+        await waitFor(() => getSession().progress);
+
+        let session = getSession();
+        supervisor.checkSession(session, session.lastProgress + 10 * 1000);
+        assert.strictEqual(stopReason, null);
+
+        supervisor.checkSession(session, session.lastProgress + 21 * 1000);
+        assert.ok(stopReason.startsWith('stalled'));
+        await waitFor(() => exited(child));
+        await waitFor(() => supervisor.sessions.size == 0);
+        assert.strictEqual(log.messages[0][0], 'warn');
+    });
+
+    it('stops a process after the maximum session length', async () => {
+        let stopReason = null;
+        let child = supervisor.spawn(ffmpegPath, [], { maxSessionLength: 60, stallTimeout: 0, onStop: reason => stopReason = reason });
+
+        let session = getSession();
+        supervisor.checkSession(session, session.startTime + 59 * 1000);
+        assert.strictEqual(stopReason, null);
+
+        supervisor.checkSession(session, session.startTime + 61 * 1000);
+        assert.ok(stopReason.startsWith('maximum session length'));
+        await waitFor(() => exited(child));
+    });
+
+    it('stops everything when Homebridge shuts down', async () => {
+        let children = [supervisor.spawn(ffmpegPath, []), supervisor.spawn(ffmpegPath, [])];
+
+        api.emit('shutdown');
+        await waitFor(() => children.every(exited));
+        await waitFor(() => supervisor.sessions.size == 0);
+        assert.deepStrictEqual(log.messages, []);
+    });
+});
@@ -0,0 +1,56 @@
+import assert from 'assert';
+
+import GlassBreakSensor from '../src/accessories/glassBreakSensor';
+import { SENSOR_TYPES } from '../src/simplisafe';
+import FakeSimpliSafeServer, { buildSubscription } from './support/fakeSimpliSafeServer';
+import { createApi, createClient, waitFor } from './support/helpers';
+
+describe('SS3GlassBreakSensor', () => {
+    let server;
+    let simplisafe;
+    let api;
+    let sensor;
+
+    beforeEach(async () => {
+        server = await new FakeSimpliSafeServer().start();
+        server.addSubscription(buildSubscription(100), [
+            { serial: 'glass1', name: 'Living Room Window', type: SENSOR_TYPES.GLASSBREAK_SENSOR, status: { triggered: false, tamper: true }, flags: { lowBattery: true, offline: false } }
+        ]);
+        ({ simplisafe } = createClient(server));
+        await simplisafe.getSubscriptions();
+
+        api = createApi();
+        sensor = new GlassBreakSensor('Living Room Window', 'glass1', 100, simplisafe.log, false, simplisafe, api);
+        sensor.createAccessory();
+        await waitFor(() => server.requests.some(r => r.path.endsWith('/sensors')));
+    });
+
+    afterEach(async () => {
+        simplisafe.unsubscribeFromSensor('glass1');
+        await server.stop();
+    });
+
+    const characteristicValue = (characteristic) => sensor.service.getCharacteristic(characteristic).value;
+    const sendEvent = (eventId, eventCid, eventType, sensorSerial) => {
+        simplisafe.handleEvent({ sid: 100, eventId: eventId, eventCid: eventCid, eventType: eventType, sensorType: SENSOR_TYPES.GLASSBREAK_SENSOR, sensorSerial: sensorSerial });
+    };
+
+    it('reports tamper and battery from the sensor data', async () => {
+        await waitFor(() => characteristicValue(api.hap.Characteristic.StatusTampered) == api.hap.Characteristic.StatusTampered.TAMPERED);
+        assert.strictEqual(characteristicValue(api.hap.Characteristic.StatusLowBattery), api.hap.Characteristic.StatusLowBattery.BATTERY_LEVEL_LOW);
+        assert.strictEqual(characteristicValue(api.hap.Characteristic.StatusActive), true);
+    });
+
+    it('stays open after breaking glass until the alarm is cleared', () => {
+        sendEvent(1, 1140, 'alarm', 'glass1');
+        assert.strictEqual(characteristicValue(api.hap.Characteristic.ContactSensorState), api.hap.Characteristic.ContactSensorState.CONTACT_NOT_DETECTED);
+
+        sendEvent(2, 1400, 'activity', undefined);
+        assert.strictEqual(characteristicValue(api.hap.Characteristic.ContactSensorState), api.hap.Characteristic.ContactSensorState.CONTACT_DETECTED);
+    });
+
+    it('ignores alarms set off by other sensors', () => {
+        sendEvent(1, 1134, 'alarm', 'entry1');
+        assert.strictEqual(characteristicValue(api.hap.Characteristic.ContactSensorState), api.hap.Characteristic.ContactSensorState.CONTACT_DETECTED);
+    });
+});
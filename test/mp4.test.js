@@ -0,0 +1,52 @@
+import assert from 'assert';
+import { PassThrough } from 'stream';
+
+import { readMp4Boxes, readMp4Segments } from '../src/lib/mp4';
+
+function box(type, payloadSize = 4) {
+    let data = Buffer.alloc(8 + payloadSize);
+    data.writeUInt32BE(data.length, 0);
+    data.write(type, 4, 'ascii');
+    return data;
+}
+
+async function collect(generator) {
+    let items = [];
+    for await (let item of generator) items.push(item);
+    return items;
+}
+
+describe('mp4', () => {
+    it('reads boxes split across chunks', async () => {
+        let stream = new PassThrough();
+        let data = Buffer.concat([box('ftyp'), box('moov', 20)]);
+        stream.write(data.subarray(0, 5));
+        stream.write(data.subarray(5, 17));
+        stream.end(data.subarray(17));
+
+        let boxes = await collect(readMp4Boxes(stream));
+        assert.deepStrictEqual(boxes.map(b => b.type), ['ftyp', 'moov']);
+        assert.strictEqual(boxes[1].data.length, 28);
+    });
+
+    it('reads boxes with a 64 bit size', async () => {
+        let large = Buffer.alloc(20);
+        large.writeUInt32BE(1, 0);
+        large.write('mdat', 4, 'ascii');
+        large.writeBigUInt64BE(20n, 8);
+
+        let stream = new PassThrough();
+        stream.end(Buffer.concat([large, box('moof')]));
+
+        let boxes = await collect(readMp4Boxes(stream));
+        assert.deepStrictEqual(boxes.map(b => [b.type, b.data.length]), [['mdat', 20], ['moof', 12]]);
+    });
+
+    it('groups boxes into init and media segments', async () => {
+        let stream = new PassThrough();
+        stream.end(Buffer.concat([box('ftyp'), box('moov'), box('moof'), box('mdat'), box('moof'), box('mdat')]));
+
+        let segments = await collect(readMp4Segments(stream));
+        assert.deepStrictEqual(segments.map(s => [s.type, s.data.length]), [['init', 24], ['fragment', 24], ['fragment', 24]]);
+    });
+});
@@ -0,0 +1,175 @@
+import assert from 'assert';
+import { EventEmitter } from 'events';
+
+import RecordingDelegate, { Mp4Source, MIN_PREBUFFER_LENGTH, MAX_PREBUFFER_LENGTH } from '../src/lib/recordingDelegate';
+import { createApi, createLog } from './support/helpers';
+
+// Recording types were added in HAP-NodeJS 0.10, newer than the version used for tests
+const RECORDING_HAP_TYPES = {
+    MediaContainerType: { FRAGMENTED_MP4: 0 },
+    VideoCodecType: { H264: 0 },
+    AudioRecordingCodecType: { AAC_LC: 0, AAC_ELD: 1 },
+    AudioRecordingSamplerate: { KHZ_8: 0, KHZ_16: 1, KHZ_24: 2, KHZ_32: 3, KHZ_44_1: 4, KHZ_48: 5 }
+};
+
+function createCamera(shutterClosed = false) {
+    let api = Object.assign(new EventEmitter(), createApi());
+    api.hap = { ...api.hap, ...RECORDING_HAP_TYPES };
+
+    return {
+        name: 'Front Door',
+        subId: 100,
+        log: createLog(),
+        debug: false,
+        api: api,
+        ffmpegPath: 'ffmpeg',
+        authManager: { accessToken: 'token' },
+        cameraDetails: {
+            uuid: 'abc123',
+            cameraSettings: {
+                pictureQuality: '720p',
+                admin: { fps: 20 }
+            }
+        },
+        simplisafe: {
+            getAlarmSystem: async () => ({ alarmState: 'AWAY' })
+        },
+        supportsPrivacyShutter: () => true,
+        isPrivacyShutterClosed: () => shutterClosed
+    };
+}
+
+const configuration = {
+    prebufferLength: 4000,
+    mediaContainerConfiguration: { type: 0, fragmentLength: 4000 },
+    videoCodec: {
+        type: 0,
+        parameters: { profile: 2, level: 2, bitRate: 800, iFrameInterval: 4000 },
+        resolution: [1280, 720, 20]
+    },
+    audioCodec: { type: 0, audioChannels: 1, samplerate: 3, bitrateMode: 0, bitrate: 32 }
+};
+
+async function collect(generator) {
+    let items = [];
+    for await (let item of generator) items.push(item);
+    return items;
+}
+
+describe('RecordingDelegate', () => {
+    it('advertises resolutions up to the camera picture quality', () => {
+        let delegate = new RecordingDelegate(createCamera(), {});
+        let options = delegate.getRecordingOptions();
+
+        assert.deepStrictEqual(options.video.resolutions.map(r => r[1]), [240, 360, 360, 480, 720]);
+        assert.ok(options.video.resolutions.every(r => r[2] == 20));
+        assert.strictEqual(options.prebufferLength, MIN_PREBUFFER_LENGTH);
+    });
+
+    it('limits the prebuffer length to what HomeKit accepts', () => {
+        assert.strictEqual(new RecordingDelegate(createCamera(), {}).prebufferEnabled, false);
+
+        let short = new RecordingDelegate(createCamera(), { prebufferLength: 2 });
+        assert.strictEqual(short.prebufferEnabled, true);
+        assert.strictEqual(short.prebufferLength, MIN_PREBUFFER_LENGTH);
+
+        let long = new RecordingDelegate(createCamera(), { prebufferLength: 30 });
+        assert.strictEqual(long.prebufferLength, MAX_PREBUFFER_LENGTH);
+    });
+
+    it('builds ffmpeg arguments from the selected configuration', () => {
+        let delegate = new RecordingDelegate(createCamera(), {});
+        delegate.serverIpAddress = '10.0.0.1';
+        let args = delegate.buildRecordingArgs(configuration);
+        let arg = name => args[args.indexOf(name) + 1];
+
+        assert.strictEqual(arg('-i'), 'https://10.0.0.1/v1/abc123/flv?x=1280&audioEncoding=AAC');
+        assert.strictEqual(arg('-headers'), 'Authorization: Bearer token');
+        assert.strictEqual(arg('-profile:v'), 'high');
+        assert.strictEqual(arg('-level:v'), '4.0');
+        assert.strictEqual(arg('-b:v'), '800k');
+        assert.strictEqual(arg('-force_key_frames'), 'expr:gte(t,n_forced*4)');
+        assert.strictEqual(arg('-profile:a'), 'aac_low');
+        assert.strictEqual(arg('-ar'), '32k');
+        assert.strictEqual(args[args.length - 1], 'pipe:1');
+    });
+
+    it('does not record while the privacy shutter is closed', async () => {
+        let delegate = new RecordingDelegate(createCamera(true), {});
+        delegate.updateRecordingConfiguration(configuration);
+        let started = false;
+        delegate.startSource = async () => started = true;
+
+        let packets = await collect(delegate.handleRecordingStreamRequest(1));
+        assert.deepStrictEqual(packets, []);
+        assert.strictEqual(started, false);
+    });
+
+    it('sends the prebuffer first and flags the last fragment', async () => {
+        let delegate = new RecordingDelegate(createCamera(), { prebufferLength: 4 });
+        delegate.configuration = configuration;
+
+        let source = new Mp4Source(delegate.prebufferLength);
+        source.addSegment({ type: 'init', data: Buffer.from('init') });
+        source.addSegment({ type: 'fragment', data: Buffer.from('before') });
+        delegate.prebuffer = source;
+
+        let packets = [];
+        let stream = delegate.handleRecordingStreamRequest(1);
+        packets.push((await stream.next()).value);
+        // fragments are sent once the next one arrives so the last one can be flagged
+        let next = stream.next();
+        await new Promise(resolve => setImmediate(resolve));
+        source.addSegment({ type: 'fragment', data: Buffer.from('after') });
+        packets.push((await next).value);
+        next = stream.next();
+        source.end();
+        packets.push((await next).value);
+        assert.strictEqual((await stream.next()).done, true);
+
+        assert.deepStrictEqual(packets.map(p => [p.data.toString(), p.isLast]), [['init', false], ['before', false], ['after', true]]);
+        // the prebuffer keeps running for the next event
+        assert.strictEqual(delegate.prebuffer, source);
+    });
+
+    it('ends the recording stream when HomeKit closes it', async () => {
+        let delegate = new RecordingDelegate(createCamera(), {});
+        delegate.configuration = configuration;
+
+        let source = new Mp4Source();
+        let stopped = false;
+        source.stop = () => stopped = true;
+        delegate.startSource = async () => source;
+
+        let stream = delegate.handleRecordingStreamRequest(1);
+        let first = stream.next();
+        await new Promise(resolve => setImmediate(resolve));
+        source.addSegment({ type: 'init', data: Buffer.from('init') });
+        assert.strictEqual((await first).value.data.toString(), 'init');
+
+        let next = stream.next();
+        delegate.closeRecordingStream(1);
+        assert.strictEqual((await next).done, true);
+        assert.strictEqual(stopped, true);
+    });
+});
+
+describe('Mp4Source', () => {
+    it('keeps fragments covering the buffer length', () => {
+        let source = new Mp4Source(4000);
+        let now = 0;
+        let realNow = Date.now;
+        Date.now = () => now;
+        try {
+            for (let i = 0; i < 5; i++) {
+                source.addSegment({ type: 'fragment', data: Buffer.from(`${i}`) });
+                now += 2000;
+            }
+        } finally {
+            Date.now = realNow;
+        }
+
+        // fragments 3 and 4 cover the last 4 seconds, the one before makes sure the start is covered
+        assert.deepStrictEqual(source.fragments.map(f => f.data.toString()), ['2', '3', '4']);
+    });
+});
@@ -0,0 +1,85 @@
+import assert from 'assert';
+
+import Remote from '../src/accessories/remote';
+import { SENSOR_TYPES } from '../src/simplisafe';
+import FakeSimpliSafeServer, { buildSubscription } from './support/fakeSimpliSafeServer';
+import { createApi, createClient, waitFor } from './support/helpers';
+
+describe('SS3Remote', () => {
+    let server;
+    let simplisafe;
+    let api;
+    let presses;
+
+    beforeEach(async () => {
+        server = await new FakeSimpliSafeServer().start();
+        server.addSubscription(buildSubscription(100), [
+            { serial: 'key1', name: 'Keychain', type: SENSOR_TYPES.KEYCHAIN, flags: { lowBattery: false } },
+            { serial: 'panic1', name: 'Panic Button', type: SENSOR_TYPES.PANIC_BUTTON, flags: { lowBattery: true } }
+        ]);
+        ({ simplisafe } = createClient(server));
+        await simplisafe.getSubscriptions();
+
+        api = createApi();
+        presses = [];
+    });
+
+    afterEach(async () => {
+        simplisafe.unsubscribeFromSensor('key1');
+        simplisafe.unsubscribeFromSensor('panic1');
+        await server.stop();
+    });
+
+    const createRemote = (serial, sensorType) => {
+        let remote = new Remote(serial, serial, 100, sensorType, simplisafe.log, false, simplisafe, api);
+        remote.createAccessory();
+        for (let [button, service] of Object.entries(remote.buttonServices)) {
+            service.getCharacteristic(api.hap.Characteristic.ProgrammableSwitchEvent).on('change', () => presses.push(button));
+        }
+        return remote;
+    };
+    const sendEvent = (eventId, eventCid, sensorSerial, eventType = 'activity') => {
+        simplisafe.handleEvent({ sid: 100, eventId: eventId, eventCid: eventCid, eventType: eventType, sensorType: SENSOR_TYPES.KEYCHAIN, sensorSerial: sensorSerial });
+    };
+
+    it('labels a button per keychain action', () => {
+        let remote = createRemote('key1', SENSOR_TYPES.KEYCHAIN);
+        assert.deepStrictEqual(Object.keys(remote.buttonServices), ['away', 'home', 'off', 'panic']);
+        assert.strictEqual(remote.buttonServices.off.getCharacteristic(api.hap.Characteristic.ServiceLabelIndex).value, 3);
+    });
+
+    it('presses the button once when arming with an exit delay', () => {
+        createRemote('key1', SENSOR_TYPES.KEYCHAIN);
+        sendEvent(1, 9401, 'key1');
+        sendEvent(2, 3401, 'key1');
+        assert.deepStrictEqual(presses, ['away']);
+
+        sendEvent(3, 1400, 'key1');
+        assert.deepStrictEqual(presses, ['away', 'off']);
+    });
+
+    it('presses the button for every arm without an exit delay', () => {
+        createRemote('key1', SENSOR_TYPES.KEYCHAIN);
+        sendEvent(1, 3441, 'key1');
+        sendEvent(2, 1400, 'key1');
+        sendEvent(3, 3441, 'key1');
+        assert.deepStrictEqual(presses, ['home', 'off', 'home']);
+    });
+
+    it('ignores events from other remotes and the keypad', () => {
+        createRemote('key1', SENSOR_TYPES.KEYCHAIN);
+        sendEvent(1, 1400, 'key2');
+        sendEvent(2, 1400, undefined);
+        assert.deepStrictEqual(presses, []);
+    });
+
+    it('presses the panic button when it sets off the alarm', async () => {
+        let remote = createRemote('panic1', SENSOR_TYPES.PANIC_BUTTON);
+        assert.deepStrictEqual(Object.keys(remote.buttonServices), ['panic']);
+
+        sendEvent(1, 1120, 'panic1', 'alarm');
+        assert.deepStrictEqual(presses, ['panic']);
+
+        await waitFor(() => remote.batteryService.getCharacteristic(api.hap.Characteristic.StatusLowBattery).value == api.hap.Characteristic.StatusLowBattery.BATTERY_LEVEL_LOW);
+    });
+});
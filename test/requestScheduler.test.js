@@ -0,0 +1,95 @@
+import assert from 'assert';
+
+import RequestScheduler, { REQUEST_PRIORITIES } from '../src/lib/requestScheduler';
+import { createLog } from './support/helpers';
+
+function deferred() {
+    let resolve;
+    let promise = new Promise(r => resolve = r);
+    return { promise, resolve };
+}
+
+describe('RequestScheduler', () => {
+    it('assigns priorities per endpoint', () => {
+        let scheduler = new RequestScheduler({}, createLog());
+        assert.strictEqual(scheduler.getPriority({ method: 'POST', url: '/ss3/subscriptions/1/state/away' }), REQUEST_PRIORITIES.HIGH);
+        assert.strictEqual(scheduler.getPriority({ method: 'GET', url: '/ss3/subscriptions/1/sensors?forceUpdate=true' }), REQUEST_PRIORITIES.LOW);
+        assert.strictEqual(scheduler.getPriority({ method: 'GET', url: '/subscriptions/1/' }), REQUEST_PRIORITIES.NORMAL);
+    });
+
+    it('limits the number of concurrent requests', async () => {
+        let scheduler = new RequestScheduler({ maxConcurrent: 1 }, createLog());
+        let first = deferred();
+        let started = [];
+
+        let p1 = scheduler.schedule({ method: 'GET', url: '/a' }, () => {
+            started.push('a');
+            return first.promise;
+        });
+        let p2 = scheduler.schedule({ method: 'GET', url: '/b' }, async () => started.push('b'));
+
+        await new Promise(resolve => setImmediate(resolve));
+        assert.deepStrictEqual(started, ['a']);
+
+        first.resolve('done');
+        await Promise.all([p1, p2]);
+        assert.deepStrictEqual(started, ['a', 'b']);
+    });
+
+    it('sends user commands ahead of queued background polls', async () => {
+        let scheduler = new RequestScheduler({ maxConcurrent: 1 }, createLog());
+        let first = deferred();
+        let order = [];
+
+        scheduler.schedule({ method: 'GET', url: '/subscriptions/1/' }, () => first.promise);
+        let poll = scheduler.schedule({ method: 'GET', url: '/ss3/subscriptions/1/sensors' }, async () => order.push('poll'));
+        let command = scheduler.schedule({ method: 'POST', url: '/ss3/subscriptions/1/state/off' }, async () => order.push('command'));
+
+        first.resolve();
+        await Promise.all([poll, command]);
+        assert.deepStrictEqual(order, ['command', 'poll']);
+    });
+
+    it('merges identical in-flight GET requests', async () => {
+        let scheduler = new RequestScheduler({}, createLog());
+        let nSent = 0;
+        let send = async () => {
+            nSent++;
+            return { sensors: [] };
+        };
+
+        let results = await Promise.all([
+            scheduler.schedule({ method: 'GET', url: '/sensors' }, send),
+            scheduler.schedule({ method: 'GET', url: '/sensors' }, send)
+        ]);
+        assert.strictEqual(nSent, 1);
+        assert.strictEqual(results[0], results[1]);
+
+        await scheduler.schedule({ method: 'GET', url: '/sensors' }, send);
+        assert.strictEqual(nSent, 2, 'completed requests should not be merged');
+    });
+
+    it('defers non-urgent requests once the budget is spent', async () => {
+        let scheduler = new RequestScheduler({ budget: 1, budgetInterval: 200 }, createLog());
+        let sent = [];
+
+        await scheduler.schedule({ method: 'GET', url: '/a' }, async () => sent.push('a'));
+        let deferredRequest = scheduler.schedule({ method: 'GET', url: '/b' }, async () => sent.push('b'));
+        await scheduler.schedule({ method: 'POST', url: '/c' }, async () => sent.push('c'));
+        assert.deepStrictEqual(sent, ['a', 'c']);
+
+        await deferredRequest;
+        assert.deepStrictEqual(sent, ['a', 'c', 'b']);
+    });
+
+    it('rejects only the failed request', async () => {
+        let scheduler = new RequestScheduler({}, createLog());
+        let failed = scheduler.schedule({ method: 'GET', url: '/a' }, async () => {
+            throw new Error('failed');
+        });
+        let succeeded = scheduler.schedule({ method: 'GET', url: '/b' }, async () => 'ok');
+
+        await assert.rejects(failed, /failed/);
+        assert.strictEqual(await succeeded, 'ok');
+    });
+});
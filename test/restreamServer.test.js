@@ -0,0 +1,131 @@
+import assert from 'assert';
+import { EventEmitter } from 'events';
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+
+import FfmpegSupervisor from '../src/lib/ffmpegSupervisor';
+import RestreamServer from '../src/lib/restreamServer';
+import { createLog, createTempDir, waitFor } from './support/helpers';
+
+// stands in for ffmpeg: writes the playlist given as last argument, then keeps running
+const FAKE_FFMPEG = `#!/bin/sh
+for last; do :; done
+echo '#EXTM3U' > "$last"
+exec sleep 30
+`;
+
+function createCamera(id, shutterClosed = false, ffmpegSupervisor = null) {
+    return {
+        id: id,
+        name: `Camera ${id}`,
+        subId: 100,
+        ffmpegPath: null,
+        ffmpegSupervisor: ffmpegSupervisor,
+        authManager: { accessToken: 'token' },
+        cameraDetails: {
+            uuid: id,
+            cameraSettings: { pictureQuality: '720p' }
+        },
+        simplisafe: {
+            getAlarmSystem: async () => ({ alarmState: 'HOME' })
+        },
+        isUnsupported: () => false,
+        supportsPrivacyShutter: () => true,
+        isPrivacyShutterClosed: () => shutterClosed
+    };
+}
+
+function get(port, urlPath) {
+    return new Promise((resolve, reject) => {
+        http.get({ host: '127.0.0.1', port: port, path: urlPath }, res => {
+            let chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks).toString() }));
+        }).on('error', reject);
+    });
+}
+
+describe('RestreamServer', () => {
+    let api;
+    let server;
+    let ffmpegPath;
+    let ffmpegSupervisor;
+
+    beforeEach(async () => {
+        let dir = createTempDir();
+        ffmpegPath = path.join(dir, 'ffmpeg');
+        fs.writeFileSync(ffmpegPath, FAKE_FFMPEG, { mode: 0o755 });
+
+        api = new EventEmitter();
+        ffmpegSupervisor = new FfmpegSupervisor(createLog(), false, api);
+        server = new RestreamServer({ port: 0, idleTimeout: 1 }, createLog(), false, api);
+        server.resolveServerIpAddress = async () => '10.0.0.1';
+        server.start();
+        await waitFor(() => server.server.listening);
+    });
+
+    afterEach(() => {
+        api.emit('shutdown');
+    });
+
+    it('lists the cameras it re-streams', async () => {
+        server.addCamera(createCamera('abc123'));
+
+        let res = await get(server.port, '/');
+        assert.deepStrictEqual(JSON.parse(res.body), [{ uuid: 'abc123', name: 'Camera abc123', path: '/abc123/index.m3u8' }]);
+    });
+
+    it('starts a camera on request and stops it when idle', async function () {
+        this.timeout(5000);
+        let camera = createCamera('abc123', false, ffmpegSupervisor);
+        camera.ffmpegPath = ffmpegPath;
+        server.addCamera(camera);
+
+        let res = await get(server.port, '/abc123/index.m3u8');
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(res.headers['content-type'], 'application/vnd.apple.mpegurl');
+        assert.strictEqual(res.body, '#EXTM3U\n');
+
+        let ffmpeg = server.sessions.abc123.process;
+        await waitFor(() => !server.sessions.abc123);
+        await waitFor(() => ffmpeg.exitCode !== null || ffmpeg.signalCode !== null);
+    });
+
+    it('does not open a closed privacy shutter', async () => {
+        let camera = createCamera('abc123', true, ffmpegSupervisor);
+        camera.ffmpegPath = ffmpegPath;
+        server.addCamera(camera);
+
+        let res = await get(server.port, '/abc123/index.m3u8');
+        assert.strictEqual(res.status, 503);
+        assert.strictEqual(server.sessions.abc123, undefined);
+    });
+
+    it('rejects unknown cameras and files', async () => {
+        server.addCamera(createCamera('abc123'));
+
+        assert.strictEqual((await get(server.port, '/unknown/index.m3u8')).status, 404);
+        assert.strictEqual((await get(server.port, '/abc123/config.json')).status, 404);
+        assert.strictEqual((await get(server.port, '/abc123/..%2F..%2Fsecret.ts')).status, 404);
+    });
+
+    it('rejects malformed paths', async () => {
+        server.addCamera(createCamera('abc123'));
+
+        assert.strictEqual((await get(server.port, '/%E0%A4%A/x.ts')).status, 400);
+        assert.strictEqual((await get(server.port, '/')).status, 200);
+    });
+
+    it('only listens on this machine by default', () => {
+        assert.strictEqual(server.server.address().address, '127.0.0.1');
+    });
+
+    it('copies the camera feed into an HLS playlist', () => {
+        let args = server.buildArgs(createCamera('abc123'), '10.0.0.1', '/tmp/out');
+
+        assert.strictEqual(args[args.indexOf('-i') + 1], 'https://10.0.0.1/v1/abc123/flv?x=1280&audioEncoding=AAC');
+        assert.strictEqual(args[args.indexOf('-c') + 1], 'copy');
+        assert.strictEqual(args[args.length - 1], path.join('/tmp/out', 'index.m3u8'));
+    });
+});
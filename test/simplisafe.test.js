@@ -0,0 +1,240 @@
+import assert from 'assert';
+
+import Remote from '../src/accessories/remote';
+import { EVENT_TYPES, SENSOR_TYPES, RateLimitError } from '../src/simplisafe';
+import FakeSimpliSafeServer, { buildSubscription } from './support/fakeSimpliSafeServer';
+import { createApi, createClient, waitFor } from './support/helpers';
+
+describe('SimpliSafe3', () => {
+    let server;
+    let simplisafe;
+
+    beforeEach(async () => {
+        server = await new FakeSimpliSafeServer().start();
+        server.addSubscription(buildSubscription(100), [{ serial: 'entry1', type: 5, status: { triggered: false }, flags: {} }]);
+        server.addSubscription(buildSubscription(200), [{ serial: 'entry2', type: 5, status: { triggered: true }, flags: {} }]);
+        server.addSubscription(buildSubscription(300, { sStatus: 0 }));
+        ({ simplisafe } = createClient(server));
+    });
+
+    afterEach(async () => {
+        if (simplisafe.socket) {
+            simplisafe.socket.removeAllListeners();
+            simplisafe.socket.terminate();
+        }
+        await server.stop();
+    });
+
+    describe('subscriptions', () => {
+        it('discovers every active subscription', async () => {
+            let subscriptions = await simplisafe.getSubscriptions();
+            assert.deepStrictEqual(subscriptions.map(s => s.sid), [100, 200]);
+            assert.deepStrictEqual(simplisafe.subIds, [100, 200]);
+        });
+
+        it('restricts discovery to the configured account number', async () => {
+            simplisafe.setDefaultSubscription('ACC200');
+            let subscriptions = await simplisafe.getSubscriptions();
+            assert.deepStrictEqual(subscriptions.map(s => s.sid), [200]);
+        });
+
+        it('throws when no active subscription is found', async () => {
+            simplisafe.setDefaultSubscription('ACC300');
+            await assert.rejects(simplisafe.getSubscriptions(), /No matching monitoring plans found/);
+        });
+
+        it('caches sensors per subscription', async () => {
+            let sensors100 = await simplisafe.getSensors(100);
+            let sensors200 = await simplisafe.getSensors(200);
+            await simplisafe.getSensors(100);
+
+            assert.strictEqual(sensors100[0].serial, 'entry1');
+            assert.strictEqual(sensors200[0].serial, 'entry2');
+            assert.strictEqual(server.requests.filter(r => r.path.endsWith('/sensors')).length, 2);
+        });
+    });
+
+    describe('request budget', () => {
+        it('holds back requests beyond the configured budget', async () => {
+            simplisafe.setRequestBudget({ budget: 2, budgetInterval: 60 * 1000 });
+            simplisafe.getSensors(100);
+            simplisafe.getSensors(200);
+            simplisafe.getSettings(100);
+
+            await waitFor(() => server.requests.length == 2);
+            await new Promise(resolve => setTimeout(resolve, 100));
+            assert.strictEqual(server.requests.length, 2);
+            clearTimeout(simplisafe.scheduler.budgetTimeoutID);
+        });
+    });
+
+    describe('system settings', () => {
+        it('reads the settings of a subscription', async () => {
+            let settings = await simplisafe.getSettings(200);
+            assert.strictEqual(settings.exitDelayAway, 60);
+            assert.ok(server.requests.some(r => r.method == 'GET' && r.path == '/v1/ss3/subscriptions/200/settings/normal'));
+        });
+
+        it('writes only the changed settings', async () => {
+            let settings = await simplisafe.setSettings(100, { doorChime: 0, entryDelayHome: 45 });
+            let request = server.requests.find(r => r.method == 'POST' && r.path == '/v1/ss3/subscriptions/100/settings/normal');
+            assert.deepStrictEqual(request.body, { normal: { doorChime: 0, entryDelayHome: 45 } });
+            assert.strictEqual(settings.doorChime, 0);
+            assert.strictEqual(settings.voicePrompts, 2);
+        });
+
+        it('rejects unknown settings and out of range values', async () => {
+            await assert.rejects(simplisafe.setSettings(100, { wifiSSID: 'home' }), /Invalid setting/);
+            await assert.rejects(simplisafe.setSettings(100, { alarmVolume: 4 }), /Invalid value for alarmVolume/);
+            assert.ok(!server.requests.some(r => r.method == 'POST'));
+        });
+    });
+
+    describe('request error handling', () => {
+        it('refreshes credentials and retries after a 401', async () => {
+            server.expireToken();
+            let system = await simplisafe.getAlarmSystem(100);
+
+            assert.strictEqual(system.serial, 'BASE100');
+            assert.strictEqual(server.requests.filter(r => r.path == '/oauth/token').length, 1);
+            assert.strictEqual(simplisafe.authManager.accessToken, server.validToken);
+        });
+
+        it('blocks requests with increasing backoff after a 403', async () => {
+            server.respondWith('GET', /\/sensors$/, 403, 'Forbidden');
+            await assert.rejects(simplisafe.getSensors(100), RateLimitError);
+            assert.ok(simplisafe.isBlocked);
+            assert.strictEqual(simplisafe.nextBlockInterval, 2 * 60000);
+
+            let nRequests = server.requests.length;
+            await assert.rejects(simplisafe.getAlarmSystem(100), RateLimitError);
+            assert.strictEqual(server.requests.length, nRequests, 'request should not reach the server while blocked');
+
+            simplisafe.nextAttempt = Date.now() - 1;
+            await simplisafe.getAlarmSystem(100);
+            assert.ok(!simplisafe.isBlocked);
+        });
+
+        it('treats a 403 during credentials refresh as rate limiting', async () => {
+            server.expireToken();
+            server.respondWith('POST', /\/oauth\/token$/, 403, 'Forbidden', 4); // including axios-retry attempts
+            await assert.rejects(simplisafe.getAlarmSystem(100), RateLimitError);
+            assert.ok(simplisafe.isBlocked);
+        });
+
+        it('passes SettingsInProgress errors through to the caller', async () => {
+            server.respondWith('POST', /\/state\/away$/, 409, { statusCode: 409, type: 'SettingsInProgress' });
+            await assert.rejects(simplisafe.setAlarmState(100, 'away'), err => err.statusCode == 409);
+            assert.ok(!simplisafe.isBlocked);
+        });
+    });
+
+    describe('adaptive sensor polling', () => {
+        beforeEach(() => {
+            simplisafe.setSensorRefreshPolicy({ off: 60000, home: 30000, away: 10000, disconnected: 5000 });
+            simplisafe.isSocketConnected = true;
+        });
+
+        afterEach(() => {
+            simplisafe.unsubscribeFromSensor('entry1');
+        });
+
+        it('polls at the interval for the current alarm mode', async () => {
+            await simplisafe.getAlarmSystem(100);
+            assert.strictEqual(simplisafe.getSensorRefreshInterval(100), 60000);
+
+            server.subscriptions[100].location.system.alarmState = 'AWAY';
+            await simplisafe.getAlarmSystem(100, true);
+            assert.strictEqual(simplisafe.getSensorRefreshInterval(100), 10000);
+        });
+
+        it('polls faster while real time events are disconnected', () => {
+            simplisafe.updateAlarmState(100, 'HOME');
+            simplisafe.setSocketConnected(false);
+            assert.strictEqual(simplisafe.getSensorRefreshInterval(100), 5000);
+        });
+
+        it('reschedules polling when the system is armed', () => {
+            simplisafe.subIds = [100];
+            simplisafe.subscribeToSensor(100, 'entry1', () => {});
+            let initialTimeoutID = simplisafe.sensorRefreshTimeoutIDs[100];
+
+            simplisafe.handleEvent({ sid: 100, eventId: 1, eventCid: 3401, eventType: 'activity' });
+            assert.strictEqual(simplisafe.getSensorRefreshInterval(100), 10000);
+            assert.notStrictEqual(simplisafe.sensorRefreshTimeoutIDs[100], initialTimeoutID);
+        });
+
+        it('stops polling once all sensors unsubscribe', () => {
+            simplisafe.subscribeToSensor(100, 'entry1', () => {});
+            simplisafe.unsubscribeFromSensor('entry1');
+            assert.strictEqual(simplisafe.sensorRefreshTimeoutIDs[100], undefined);
+        });
+    });
+
+    describe('real time events', () => {
+        beforeEach(async () => {
+            await simplisafe.getSubscriptions();
+            await simplisafe.startListening();
+            await waitFor(() => server.sockets.length == 1);
+        });
+
+        it('emits events for discovered subscriptions only', async () => {
+            let received = [];
+            simplisafe.on(EVENT_TYPES.ALARM_DISARM, data => received.push(data.sid));
+
+            server.sendEvent({ sid: 100, eventId: 2, eventCid: 1400, eventType: 'activity', eventTimestamp: Math.floor(Date.now() / 1000) });
+            server.sockets[0].send(JSON.stringify({ source: 'messagequeue', data: { sid: 300, eventId: 1, eventCid: 1400, eventType: 'activity' } }));
+            server.sendEvent({ sid: 200, eventId: 3, eventCid: 1400, eventType: 'activity', eventTimestamp: Math.floor(Date.now() / 1000) });
+
+            await waitFor(() => received.length == 2);
+            assert.deepStrictEqual(received, [100, 200]);
+        });
+
+        it('reconnects and replays events missed while disconnected', async function () {
+            this.timeout(5000);
+            let received = [];
+            simplisafe.on(EVENT_TYPES.ALARM_DISARM, data => received.push(data.eventId));
+            simplisafe.on(EVENT_TYPES.AWAY_ARM, data => received.push(data.eventId));
+
+            server.sendEvent({ sid: 100, eventId: 10, eventCid: 1400, eventType: 'activity', eventTimestamp: Math.floor(Date.now() / 1000) });
+            await waitFor(() => received.length == 1);
+
+            server.dropSockets();
+            server.sendEvent({ sid: 100, eventId: 11, eventCid: 3401, eventType: 'activity', eventTimestamp: Math.floor(Date.now() / 1000) }, { push: false });
+
+            await waitFor(() => received.length == 2, 4000);
+            assert.deepStrictEqual(received, [10, 11]);
+            assert.strictEqual(server.sockets.length, 1);
+        });
+
+        it('does not replay missed button presses or alarms as if they were live', async function () {
+            this.timeout(5000);
+            let api = createApi();
+            let remote = new Remote('Keychain', 'key1', 100, SENSOR_TYPES.KEYCHAIN, simplisafe.log, false, simplisafe, api);
+            remote.createAccessory();
+            let presses = [];
+            remote.buttonServices.off.getCharacteristic(api.hap.Characteristic.ProgrammableSwitchEvent).on('change', () => presses.push('off'));
+            let alarms = [];
+            simplisafe.on(EVENT_TYPES.ALARM_TRIGGER, data => alarms.push(data.eventId));
+            let disarms = [];
+            simplisafe.on(EVENT_TYPES.ALARM_DISARM, data => disarms.push(data.eventId));
+            let systems = [];
+            simplisafe.subscribeToAlarmSystem(100, 'alarm', system => systems.push(system.alarmState));
+
+            server.sendEvent({ sid: 100, eventId: 20, eventCid: 1400, eventType: 'activity', sensorType: SENSOR_TYPES.KEYCHAIN, sensorSerial: 'key1', eventTimestamp: Math.floor(Date.now() / 1000) });
+            await waitFor(() => presses.length == 1);
+
+            server.dropSockets();
+            server.sendEvent({ sid: 100, eventId: 21, eventCid: 1130, eventType: 'alarm', sensorType: 5, sensorSerial: 'entry1', eventTimestamp: Math.floor(Date.now() / 1000) }, { push: false });
+            server.sendEvent({ sid: 100, eventId: 22, eventCid: 1400, eventType: 'activity', sensorType: SENSOR_TYPES.KEYCHAIN, sensorSerial: 'key1', eventTimestamp: Math.floor(Date.now() / 1000) }, { push: false });
+
+            await waitFor(() => disarms.length == 2, 4000);
+            await waitFor(() => systems.length == 1);
+            assert.deepStrictEqual(presses, ['off']);
+            assert.deepStrictEqual(alarms, []);
+            assert.strictEqual(systems[0], 'OFF');
+            clearInterval(simplisafe.alarmRefreshIntervalID);
+            simplisafe.unsubscribeFromSensor('key1');
+        });
+    });
+});
@@ -0,0 +1,129 @@
+import assert from 'assert';
+
+import SnapshotCache from '../src/lib/snapshotCache';
+import { createLog } from './support/helpers';
+
+describe('SnapshotCache', () => {
+    let camera;
+    let fetches;
+    let failing;
+
+    beforeEach(() => {
+        fetches = [];
+        failing = false;
+        camera = {
+            name: 'Front Door',
+            subId: 100,
+            log: createLog(),
+            debug: false,
+            shutterClosed: false,
+            cameraDetails: {
+                uuid: 'abc123',
+                cameraSettings: { pictureQuality: '720p' }
+            },
+            simplisafe: {
+                isBlocked: false,
+                nextAttempt: 0,
+                alarmStates: { 100: 'HOME' },
+                getAlarmSystem: async () => ({ alarmState: 'HOME' })
+            },
+            supportsPrivacyShutter: () => true,
+            isPrivacyShutterClosed: () => camera.shutterClosed
+        };
+    });
+
+    function createCache(ttl) {
+        let cache = new SnapshotCache(camera, ttl);
+        cache.fetchImage = async width => {
+            fetches.push(width);
+            if (failing) throw new Error('Snapshot request failed: 500');
+            return Buffer.from(`image ${fetches.length}`);
+        };
+        return cache;
+    }
+
+    it('reuses a snapshot until it expires', async () => {
+        let cache = createCache(30);
+        let now = Date.now();
+
+        assert.strictEqual((await cache.get(640, now)).toString(), 'image 1');
+        assert.strictEqual((await cache.get(480, now + 10 * 1000)).toString(), 'image 1');
+        assert.strictEqual((await cache.get(640, now + 31 * 1000)).toString(), 'image 2');
+        assert.deepStrictEqual(fetches, [640, 640]);
+    });
+
+    it('fetches a new snapshot for a larger size', async () => {
+        let cache = createCache(30);
+
+        await cache.get(480);
+        await cache.get(1280);
+        assert.deepStrictEqual(fetches, [480, 1280]);
+    });
+
+    it('shares a fetch in progress', async () => {
+        let cache = createCache(30);
+
+        let images = await Promise.all([cache.get(640), cache.get(640)]);
+        assert.deepStrictEqual(images.map(i => i.toString()), ['image 1', 'image 1']);
+        assert.deepStrictEqual(fetches, [640]);
+    });
+
+    it('serves the last good snapshot when fetching fails', async () => {
+        let cache = createCache(0);
+        await cache.get(640);
+
+        failing = true;
+        assert.strictEqual((await cache.get(640)).toString(), 'image 1');
+        assert.strictEqual(camera.log.messages[0][0], 'warn');
+    });
+
+    it('fails without a previous snapshot', async () => {
+        let cache = createCache(30);
+        failing = true;
+
+        await assert.rejects(cache.get(640), /Snapshot request failed/);
+    });
+
+    it('serves no snapshot while the privacy shutter is closed', async () => {
+        let cache = createCache(30);
+        assert.strictEqual((await cache.serve(640)).toString(), 'image 1');
+
+        camera.shutterClosed = true;
+        assert.strictEqual(await cache.serve(640), null);
+        assert.deepStrictEqual(fetches, [640]);
+    });
+
+    it('does not serve a snapshot taken before the privacy shutter closed while rate limited', async () => {
+        let cache = createCache(30);
+        await cache.serve(640);
+
+        camera.simplisafe.isBlocked = true;
+        camera.simplisafe.nextAttempt = Date.now() + 60 * 1000;
+        camera.simplisafe.getAlarmSystem = async () => {
+            throw new Error('rate limited');
+        };
+        camera.simplisafe.alarmStates[100] = 'AWAY';
+        camera.isPrivacyShutterClosed = alarmState => alarmState == 'AWAY';
+        assert.strictEqual(await cache.serve(640), null);
+
+        camera.simplisafe.alarmStates[100] = 'HOME';
+        assert.strictEqual((await cache.serve(640)).toString(), 'image 1');
+    });
+
+    it('prefetches at full resolution after motion', async () => {
+        let cache = createCache(30);
+        await cache.prefetch();
+
+        assert.deepStrictEqual(fetches, [1280]);
+        await cache.get(640);
+        assert.deepStrictEqual(fetches, [1280]);
+    });
+
+    it('does not prefetch while the privacy shutter is closed', async () => {
+        camera.shutterClosed = true;
+        let cache = createCache(30);
+        await cache.prefetch();
+
+        assert.deepStrictEqual(fetches, []);
+    });
+});
@@ -0,0 +1,136 @@
+import assert from 'assert';
+import { EventEmitter } from 'events';
+import fs from 'fs';
+import path from 'path';
+import { PassThrough } from 'stream';
+
+import FfmpegSupervisor from '../src/lib/ffmpegSupervisor';
+import StreamIngest from '../src/lib/streamIngest';
+import { createLog, createTempDir, waitFor } from './support/helpers';
+
+// stands in for ffmpeg: keeps sending "video" until killed, or sends a little and exits
+const FAKE_FFMPEG = `#!/bin/sh
+while true; do echo video; sleep 0.1; done
+`;
+const SHORT_FFMPEG = `#!/bin/sh
+echo video
+`;
+
+function exited(child) {
+    return child.exitCode !== null || child.signalCode !== null;
+}
+
+describe('StreamIngest', () => {
+    let api;
+    let camera;
+    let spawned;
+
+    beforeEach(() => {
+        let dir = createTempDir();
+        fs.writeFileSync(path.join(dir, 'ffmpeg'), FAKE_FFMPEG, { mode: 0o755 });
+        fs.writeFileSync(path.join(dir, 'ffmpeg-short'), SHORT_FFMPEG, { mode: 0o755 });
+
+        api = new EventEmitter();
+        let supervisor = new FfmpegSupervisor(createLog(), false, api);
+        spawned = [];
+        camera = {
+            name: 'Front Door',
+            log: createLog(),
+            debug: false,
+            ffmpegPath: path.join(dir, 'ffmpeg'),
+            authManager: { accessToken: 'token' },
+            cameraDetails: { uuid: 'abc123' },
+            ffmpegSupervisor: {
+                spawn: (...args) => {
+                    let child = supervisor.spawn(...args);
+                    spawned.push(child);
+                    return child;
+                }
+            }
+        };
+    });
+
+    afterEach(() => {
+        api.emit('shutdown');
+    });
+
+    function createViewer() {
+        let viewer = new PassThrough();
+        viewer.received = '';
+        viewer.on('data', chunk => viewer.received += chunk);
+        return viewer;
+    }
+
+    it('shares one upstream pull between viewers and stops it after the last one leaves', async () => {
+        let closed = false;
+        let ingest = new StreamIngest(camera, 1280, () => closed = true);
+        let first = createViewer();
+        let second = createViewer();
+
+        ingest.addViewer(first, '10.0.0.1');
+        ingest.addViewer(second, '10.0.0.1');
+        await waitFor(() => first.received && second.received);
+        assert.strictEqual(spawned.length, 1);
+
+        ingest.removeViewer(first);
+        let received = second.received.length;
+        await waitFor(() => second.received.length > received);
+        assert.strictEqual(exited(spawned[0]), false);
+
+        assert.strictEqual(closed, false);
+        ingest.removeViewer(second);
+        assert.strictEqual(closed, true);
+        await waitFor(() => exited(spawned[0]));
+        assert.strictEqual(ingest.process, null);
+    });
+
+    it('ends the viewers when the upstream pull ends', async () => {
+        camera.ffmpegPath += '-short';
+        let closed = false;
+        let ingest = new StreamIngest(camera, 1280, () => closed = true);
+        let viewer = createViewer();
+        let ended = false;
+
+        ingest.addViewer(viewer, '10.0.0.1', () => ended = true);
+        await waitFor(() => ended);
+        assert.strictEqual(closed, true);
+        assert.strictEqual(viewer.writableEnded, true);
+        assert.strictEqual(viewer.received, 'video\n');
+        assert.strictEqual(ingest.viewers.size, 0);
+    });
+
+    it('detaches a viewer that falls behind', async () => {
+        let ingest = new StreamIngest(camera, 1280);
+        let slow = new PassThrough({ highWaterMark: 1 });
+        slow.write(Buffer.alloc(5 * 1024 * 1024));
+        let detached = false;
+        let fast = createViewer();
+
+        ingest.addViewer(slow, '10.0.0.1', () => detached = true);
+        ingest.addViewer(fast, '10.0.0.1');
+        await waitFor(() => detached);
+        assert.deepStrictEqual([...ingest.viewers.keys()], [fast]);
+        assert.strictEqual(camera.log.messages[0][0], 'warn');
+        ingest.removeViewer(fast);
+    });
+
+    it('copies the camera feed to MPEG-TS with a fresh access token', () => {
+        let ingest = new StreamIngest(camera, 640);
+        camera.authManager.accessToken = 'new-token';
+        let args = ingest.buildArgs('10.0.0.1');
+
+        assert.strictEqual(args[args.indexOf('-headers') + 1], 'Authorization: Bearer new-token');
+        assert.strictEqual(args[args.indexOf('-i') + 1], 'https://10.0.0.1/v1/abc123/flv?x=640&audioEncoding=AAC');
+        assert.strictEqual(args[args.indexOf('-c') + 1], 'copy');
+        assert.deepStrictEqual(args.slice(-3), ['-f', 'mpegts', 'pipe:1']);
+    });
+
+    it('applies custom source options to the camera feed', () => {
+        camera.cameraOptions = { sourceOptions: '-re false -analyzeduration 1000000' };
+        let args = new StreamIngest(camera, 640).buildArgs('10.0.0.1');
+
+        assert.strictEqual(args.includes('-re'), false);
+        assert.deepStrictEqual(args.slice(0, 2), ['-analyzeduration', '1000000']);
+        assert.ok(args.indexOf('-analyzeduration') < args.indexOf('-i'));
+    });
+});
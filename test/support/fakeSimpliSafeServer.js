@@ -0,0 +1,235 @@
+// Local stand-in for the SimpliSafe REST API, OAuth token endpoint and socketlink websocket
+
+import http from 'http';
+import WebSocket from 'ws';
+
+export const USER_ID = 1234;
+
+export function buildSubscription(sid, overrides = {}) {
+    return {
+        sid: sid,
+        uid: USER_ID,
+        sStatus: 20,
+        activated: 1,
+        location: {
+            account: `ACC${sid}`,
+            street1: `${sid} Main St`,
+            system: {
+                serial: `BASE${sid}`,
+                alarmState: 'OFF',
+                isAlarming: false,
+                powerOutage: false,
+                connType: 'wifi',
+                cameras: []
+            }
+        },
+        ...overrides
+    };
+}
+
+class FakeSimpliSafeServer {
+    server;
+    wss;
+    port;
+    requests = [];
+    scriptedResponses = [];
+    sockets = [];
+    tokenCounter = 0;
+    validToken;
+    subscriptions = {};
+    sensors = {};
+    locks = {};
+    settings = {};
+    events = {};
+
+    async start() {
+        this.issueToken();
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+        this.wss = new WebSocket.Server({ server: this.server });
+        this.wss.on('connection', socket => this.handleSocket(socket));
+
+        await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+        this.port = this.server.address().port;
+        return this;
+    }
+
+    async stop() {
+        this.dropSockets();
+        this.wss.close();
+        await new Promise(resolve => this.server.close(resolve));
+    }
+
+    get apiUrl() {
+        return `http://127.0.0.1:${this.port}/v1`;
+    }
+
+    get oauthUrl() {
+        return `http://127.0.0.1:${this.port}/oauth`;
+    }
+
+    get socketUrl() {
+        return `ws://127.0.0.1:${this.port}`;
+    }
+
+    issueToken() {
+        this.tokenCounter++;
+        this.validToken = `access-token-${this.tokenCounter}`;
+        return this.validToken;
+    }
+
+    /**
+     * Invalidates the current access token so the next API request receives a 401
+     */
+    expireToken() {
+        this.validToken = null;
+    }
+
+    /**
+     * Scripts the next `times` requests matching method & path to fail with the given status and body,
+     * e.g. respondWith('GET', /\/sensors/, 403, 'Forbidden') to simulate rate limiting
+     */
+    respondWith(method, path, status, body, times = 1) {
+        this.scriptedResponses.push({ method, path, status, body, times });
+    }
+
+    addSubscription(subscription, sensors = [], locks = []) {
+        this.subscriptions[subscription.sid] = subscription;
+        this.sensors[subscription.sid] = sensors;
+        this.locks[subscription.sid] = locks;
+        this.settings[subscription.sid] = {
+            alarmDuration: 240,
+            alarmVolume: 3,
+            doorChime: 2,
+            voicePrompts: 2,
+            entryDelayAway: 30,
+            entryDelayHome: 30,
+            exitDelayAway: 60,
+            exitDelayHome: 0
+        };
+        this.events[subscription.sid] = [];
+    }
+
+    /**
+     * Records an event in the subscription's event history and pushes it to connected sockets
+     */
+    sendEvent(data, { push = true } = {}) {
+        this.events[data.sid].unshift(data);
+        if (!push) return;
+
+        for (let socket of this.sockets) {
+            socket.send(JSON.stringify({
+                source: 'messagequeue',
+                type: 'com.simplisafe.event.standard',
+                data: data
+            }));
+        }
+    }
+
+    dropSockets() {
+        for (let socket of this.sockets) {
+            socket.terminate();
+        }
+        this.sockets = [];
+    }
+
+    handleSocket(socket) {
+        socket.send(JSON.stringify({ source: 'service', type: 'com.simplisafe.service.hello' }));
+        socket.on('message', message => {
+            message = JSON.parse(message);
+            if (message.type !== 'com.simplisafe.connection.identify') return;
+
+            if (message.data.auth.token !== this.validToken) {
+                socket.close();
+                return;
+            }
+
+            this.sockets.push(socket);
+            socket.send(JSON.stringify({ source: 'service', type: 'com.simplisafe.service.registered' }));
+            socket.send(JSON.stringify({ source: 'service', type: 'com.simplisafe.namespace.subscribed' }));
+        });
+        socket.on('close', () => {
+            this.sockets = this.sockets.filter(s => s !== socket);
+        });
+    }
+
+    handleRequest(req, res) {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            let url = new URL(req.url, `http://${req.headers.host}`);
+            let request = {
+                method: req.method,
+                path: url.pathname,
+                query: Object.fromEntries(url.searchParams),
+                headers: req.headers,
+                body: body ? JSON.parse(body) : undefined
+            };
+            this.requests.push(request);
+
+            let [status, responseBody] = this.route(request);
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(responseBody));
+        });
+    }
+
+    route(request) {
+        let scripted = this.scriptedResponses.find(r => r.method == request.method && r.path.test(request.path));
+        if (scripted) {
+            scripted.times--;
+            if (scripted.times <= 0) this.scriptedResponses.splice(this.scriptedResponses.indexOf(scripted), 1);
+            return [scripted.status, scripted.body];
+        }
+
+        if (request.method == 'POST' && request.path == '/oauth/token') {
+            return [200, {
+                access_token: this.issueToken(),
+                refresh_token: 'refresh-token',
+                expires_in: 3600,
+                token_type: 'Bearer'
+            }];
+        }
+
+        if (request.headers.authorization !== `Bearer ${this.validToken}`) {
+            return [401, 'Unauthorized'];
+        }
+
+        let match;
+        if (request.method == 'GET' && request.path == '/v1/api/authCheck') {
+            return [200, { userId: USER_ID }];
+        } else if (request.method == 'GET' && request.path == `/v1/users/${USER_ID}/subscriptions`) {
+            return [200, { subscriptions: Object.values(this.subscriptions) }];
+        } else if (request.method == 'GET' && (match = request.path.match(/^\/v1\/subscriptions\/(\d+)\/events$/))) {
+            return [200, { events: this.events[match[1]].slice(0, parseInt(request.query.numEvents || 50)) }];
+        } else if (request.method == 'GET' && (match = request.path.match(/^\/v1\/subscriptions\/(\d+)\/$/))) {
+            return [200, { subscription: this.subscriptions[match[1]] }];
+        } else if (request.method == 'GET' && (match = request.path.match(/^\/v1\/ss3\/subscriptions\/(\d+)\/sensors$/))) {
+            return [200, { sensors: this.sensors[match[1]] }];
+        } else if (request.method == 'POST' && (match = request.path.match(/^\/v1\/ss3\/subscriptions\/(\d+)\/state\/(\w+)$/))) {
+            let state = match[2].toUpperCase();
+            this.subscriptions[match[1]].location.system.alarmState = state;
+            return [200, { state: state, exitDelay: 0 }];
+        } else if (request.method == 'GET' && (match = request.path.match(/^\/v1\/ss3\/subscriptions\/(\d+)\/settings\/normal$/))) {
+            return [200, { settings: { normal: this.settings[match[1]] } }];
+        } else if (request.method == 'POST' && (match = request.path.match(/^\/v1\/ss3\/subscriptions\/(\d+)\/settings\/normal$/))) {
+            Object.assign(this.settings[match[1]], request.body.normal);
+            return [200, { settings: { normal: this.settings[match[1]] } }];
+        } else if (request.method == 'POST' && (match = request.path.match(/^\/v1\/cameras\/(\w+)\/settings$/))) {
+            let camera = Object.values(this.subscriptions)
+                .map(sub => sub.location.system.cameras.find(cam => cam.uuid == match[1]))
+                .find(cam => cam);
+            if (!camera) return [404, { statusCode: 404, type: 'NotFound' }];
+            Object.assign(camera.cameraSettings, request.body.cameraSettings);
+            return [200, { cameraSettings: camera.cameraSettings }];
+        } else if (request.method == 'GET' && (match = request.path.match(/^\/v1\/doorlock\/(\d+)$/))) {
+            return [200, this.locks[match[1]]];
+        } else if (request.method == 'POST' && (match = request.path.match(/^\/v1\/doorlock\/(\d+)\/(\w+)\/state$/))) {
+            let lock = this.locks[match[1]].find(l => l.serial == match[2]);
+            lock.status.lockState = request.body.state == 'lock' ? 1 : 2;
+            return [200, {}];
+        }
+
+        return [404, { statusCode: 404, type: 'NotFound' }];
+    }
+}
+
+export default FakeSimpliSafeServer;
@@ -0,0 +1,77 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import * as hap from 'hap-nodejs';
+
+import SimpliSafe3 from '../../src/simplisafe';
+import SimpliSafe3AuthenticationManager from '../../src/lib/authManager';
+
+export function createLog() {
+    let messages = [];
+    let log = (...args) => messages.push(['info', ...args]);
+    for (let level of ['info', 'warn', 'error', 'debug']) {
+        log[level] = (...args) => messages.push([level, ...args]);
+    }
+    log.messages = messages;
+    return log;
+}
+
+// Homebridge's PlatformAccessory wraps a HAP accessory and adds the persisted context
+class PlatformAccessory extends hap.Accessory {
+    context = {};
+}
+
+export function createApi() {
+    return {
+        hap: hap,
+        platformAccessory: PlatformAccessory
+    };
+}
+
+let tempDirs = [];
+
+/**
+ * Creates a temporary directory, removed after the test that created it
+ */
+export function createTempDir() {
+    let dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ss3-test-'));
+    tempDirs.push(dir);
+    return dir;
+}
+
+afterEach(() => {
+    for (let dir of tempDirs) {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+    tempDirs = [];
+});
+
+/**
+ * Creates a client pointed at the fake server, authenticated with its current token
+ */
+export function createClient(server, sensorRefreshTime = 15000) {
+    let storagePath = createTempDir();
+    fs.writeFileSync(path.join(storagePath, 'simplisafe3auth.json'), JSON.stringify({
+        accessToken: server.validToken,
+        refreshToken: 'refresh-token',
+        codeVerifier: 'code-verifier'
+    }));
+
+    let log = createLog();
+    let authManager = new SimpliSafe3AuthenticationManager(storagePath, log, false);
+    authManager.oauthUrl = server.oauthUrl;
+
+    let simplisafe = new SimpliSafe3(sensorRefreshTime, authManager, storagePath, log, false);
+    simplisafe.apiUrl = server.apiUrl;
+    simplisafe.socketUrl = server.socketUrl;
+
+    return { simplisafe, authManager, log, storagePath };
+}
+
+export async function waitFor(condition, timeout = 5000) {
+    let start = Date.now();
+    while (!condition()) {
+        if (Date.now() - start > timeout) throw new Error('Timed out waiting for condition');
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+}
@@ -0,0 +1,72 @@
+import assert from 'assert';
+
+import SystemSettings from '../src/accessories/systemSettings';
+import FakeSimpliSafeServer, { buildSubscription } from './support/fakeSimpliSafeServer';
+import { createApi, createClient, waitFor } from './support/helpers';
+
+describe('SS3SystemSettings', () => {
+    let server;
+    let simplisafe;
+    let api;
+    let systemSettings;
+
+    beforeEach(async () => {
+        server = await new FakeSimpliSafeServer().start();
+        server.addSubscription(buildSubscription(100));
+        ({ simplisafe } = createClient(server));
+        await simplisafe.getSubscriptions();
+
+        api = createApi();
+        systemSettings = new SystemSettings('System Settings', 'BASE100', 100, simplisafe.log, false, simplisafe, api);
+        systemSettings.createAccessory();
+        await waitFor(() => systemSettings.chimeService.getCharacteristic(api.hap.Characteristic.On).value === true);
+    });
+
+    afterEach(async () => {
+        await server.stop();
+    });
+
+    const set = (fn, value) => new Promise((resolve, reject) => {
+        fn.call(systemSettings, value, err => err ? reject(err) : resolve());
+    });
+
+    it('silences the door chime and restores its volume', async () => {
+        await set(systemSettings.setDoorChime, false);
+        assert.strictEqual(server.settings[100].doorChime, 0);
+        assert.strictEqual(systemSettings.chimeService.getCharacteristic(api.hap.Characteristic.On).value, false);
+
+        await set(systemSettings.setDoorChime, true);
+        assert.strictEqual(server.settings[100].doorChime, 2);
+    });
+
+    it('maps the voice prompt slider to the volume', async () => {
+        assert.strictEqual(systemSettings.voicePromptService.getCharacteristic(api.hap.Characteristic.Brightness).value, 67);
+
+        await set(systemSettings.setVoicePromptVolume, systemSettings.brightnessToVolume(100));
+        assert.strictEqual(server.settings[100].voicePrompts, 3);
+
+        await set(systemSettings.setVoicePromptsOn, false);
+        assert.strictEqual(server.settings[100].voicePrompts, 0);
+        assert.strictEqual(systemSettings.voicePromptService.getCharacteristic(api.hap.Characteristic.On).value, false);
+    });
+
+    it('refreshes settings on alarm refreshes only every few minutes', async () => {
+        const settingsRequests = () => server.requests.filter(r => r.method == 'GET' && r.path.endsWith('/settings/normal')).length;
+        let requests = settingsRequests();
+
+        await simplisafe.refreshAlarmSystem(100);
+        assert.strictEqual(settingsRequests(), requests);
+
+        server.settings[100].doorChime = 0;
+        let realNow = Date.now;
+        let now = realNow() + 11 * 60 * 1000;
+        Date.now = () => now;
+        try {
+            await simplisafe.refreshAlarmSystem(100);
+            await waitFor(() => systemSettings.chimeService.getCharacteristic(api.hap.Characteristic.On).value === false);
+        } finally {
+            Date.now = realNow;
+        }
+        assert.strictEqual(settingsRequests(), requests + 1);
+    });
+});
@@ -0,0 +1,76 @@
+import assert from 'assert';
+import dgram from 'dgram';
+import { EventEmitter } from 'events';
+import { PassThrough } from 'stream';
+
+import Talkback, { reserveUdpPort } from '../src/lib/talkback';
+import { createLog } from './support/helpers';
+
+describe('Talkback', () => {
+    let talkback;
+
+    beforeEach(() => {
+        talkback = new Talkback({
+            name: 'Doorbell',
+            log: createLog(),
+            debug: false,
+            ffmpegPath: 'ffmpeg',
+            authManager: { accessToken: 'token' },
+            cameraDetails: { uuid: 'abc123' }
+        });
+    });
+
+    it('describes the return audio stream from the Home app', () => {
+        let sdp = talkback.buildSdp({
+            address: '192.168.1.20',
+            ipv6: false,
+            audio_return_port: 51000,
+            audio_srtp: Buffer.from('key and salt')
+        });
+
+        let lines = sdp.split('\r\n');
+        assert.ok(lines.includes('c=IN IP4 192.168.1.20'));
+        assert.ok(lines.includes('m=audio 51000 RTP/AVP 110'));
+        assert.ok(lines.includes(`a=crypto:1 AES_CM_128_HMAC_SHA1_80 inline:${Buffer.from('key and salt').toString('base64')}`));
+        assert.ok(sdp.endsWith('\r\n'));
+    });
+
+    it('sends the transcoded audio to the camera', () => {
+        let args = talkback.buildArgs('10.0.0.1');
+        assert.strictEqual(args[args.indexOf('-i') + 1], 'pipe:0');
+        assert.strictEqual(args[args.indexOf('-headers') + 1], 'Authorization: Bearer token');
+        assert.strictEqual(args[args.length - 1], 'https://10.0.0.1/v1/abc123/speaker?audioEncoding=AAC');
+    });
+
+    it('limits the talkback session length', () => {
+        let spawned = [];
+        let stdin = new PassThrough();
+        talkback.ss3Camera.ffmpegSupervisor = {
+            spawn: (ffmpegPath, args, options) => {
+                spawned.push(options);
+                let child = new EventEmitter();
+                child.stderr = new EventEmitter();
+                child.stdin = stdin;
+                return child;
+            }
+        };
+
+        talkback.start({ address: '192.168.1.20', ipv6: false, audio_return_port: 51000, audio_srtp: Buffer.from('key') }, '10.0.0.1', 1800);
+        assert.strictEqual(spawned[0].maxSessionLength, 1800);
+        assert.strictEqual(spawned[0].stallTimeout, 0);
+        assert.ok(stdin.writableEnded);
+    });
+
+    it('reserves a free UDP port', async () => {
+        let port = await reserveUdpPort();
+        assert.ok(port > 0);
+
+        // the port is released so ffmpeg can bind it
+        let socket = dgram.createSocket('udp4');
+        await new Promise((resolve, reject) => {
+            socket.on('error', reject);
+            socket.bind(port, resolve);
+        });
+        socket.close();
+    });
+});